@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Create a pass-through stream that hashes everything written through it
+ *
+ * Call `digest()` once the stream has finished to get the hex digest.
+ * `bytes` counts the bytes that have passed through so far.
+ *
+ * @param {string} algorithm - Hash algorithm (default: 'sha256')
+ * @returns {Transform} Pass-through stream with a `digest()` method and a `bytes` count
+ */
+function createHashingStream(algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+
+  const stream = new Transform({
+    transform(chunk, encoding, callback) {
+      hash.update(chunk);
+      stream.bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+
+  stream.bytes = 0;
+  stream.digest = () => hash.digest('hex');
+
+  return stream;
+}
+
+/**
+ * Compute the checksum of a file
+ * @param {string} filePath - File to hash
+ * @param {string} algorithm - Hash algorithm (default: 'sha256')
+ * @returns {Promise<string>} Hex digest
+ */
+async function computeFileChecksum(filePath, algorithm = 'sha256') {
+  const hash = crypto.createHash(algorithm);
+  await pipeline(fs.createReadStream(filePath), hash);
+  return hash.digest('hex');
+}
+
+/**
+ * Get the sidecar checksum file path for an archive
+ * @param {string} archivePath - Archive path
+ * @returns {string} Sidecar path (e.g. folder-x-20251010-020000.tar.gz.sha256)
+ */
+function getChecksumPath(archivePath) {
+  return `${archivePath}.sha256`;
+}
+
+/**
+ * Write a sidecar checksum file next to an archive (sha256sum format)
+ *
+ * The sidecar can be checked by hand with `sha256sum -c <archive>.sha256`.
+ *
+ * @param {string} archivePath - Archive path
+ * @param {string} checksum - Hex SHA-256 digest
+ * @returns {string} Sidecar path
+ */
+function writeChecksumFile(archivePath, checksum) {
+  const checksumPath = getChecksumPath(archivePath);
+  fs.writeFileSync(checksumPath, `${checksum}  ${path.basename(archivePath)}\n`);
+  return checksumPath;
+}
+
+/**
+ * Read the checksum from an archive's sidecar file
+ * @param {string} archivePath - Archive path
+ * @returns {string|null} Hex SHA-256 digest, or null if there is no sidecar
+ */
+function readChecksumFile(archivePath) {
+  const checksumPath = getChecksumPath(archivePath);
+
+  if (!fs.existsSync(checksumPath)) {
+    return null;
+  }
+
+  return fs.readFileSync(checksumPath, 'utf-8').trim().split(/\s+/)[0];
+}
+
+module.exports = {
+  createHashingStream,
+  computeFileChecksum,
+  getChecksumPath,
+  writeChecksumFile,
+  readChecksumFile
+};
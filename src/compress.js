@@ -1,15 +1,124 @@
 const fs = require('fs');
 const path = require('path');
+const { pipeline } = require('stream');
 const archiver = require('archiver');
+const tar = require('tar');
 const { log, formatBytes } = require('./utils');
+const { createHashingStream, writeChecksumFile } = require('./checksum');
+const { createEncryptStream } = require('./encryption');
+
+/**
+ * Connect archive → (encryptor) → hasher → output file
+ * @param {Archiver} archive - Archiver instance
+ * @param {Transform} hasher - Hashing stream from createHashingStream()
+ * @param {WriteStream} output - Output file stream
+ * @param {Object} encryptionKeys - Keys from loadEncryptionKeys(), or undefined
+ * @param {Function} onError - Called if the encryptor fails
+ */
+function pipeArchive(archive, hasher, output, encryptionKeys, onError) {
+  if (!encryptionKeys) {
+    archive.pipe(hasher).pipe(output);
+    return;
+  }
+
+  const encryptor = createEncryptStream(encryptionKeys);
+  encryptor.on('error', onError);
+  archive.pipe(encryptor).pipe(hasher).pipe(output);
+}
+
+/**
+ * Add a folder (or only the selected files) and the optional metadata entry to an archive
+ * @param {Archiver} archive - Archiver instance
+ * @param {string} sourcePath - Absolute path to folder
+ * @param {Object} options - Options of compressFolder()
+ */
+function addFolderEntries(archive, sourcePath, options) {
+  const folderName = options.folderName || path.basename(sourcePath);
+
+  if (options.files) {
+    // archive.file() lstat()s each path, so directories and symbolic links keep their type
+    for (const file of options.files) {
+      archive.file(path.join(sourcePath, file), { name: `${folderName}/${file}` });
+    }
+  } else {
+    archive.directory(sourcePath, folderName);
+  }
+
+  if (options.metadata) {
+    archive.append(options.metadata.content, { name: options.metadata.name });
+  }
+}
+
+/**
+ * Pipe a source stream through the (optional) encryptor and a hasher
+ *
+ * Used by streaming backups, which upload the result directly instead of
+ * writing a local file. An error anywhere in the chain destroys the whole
+ * chain (including the source), and destroying the returned stream stops the
+ * source too.
+ *
+ * @param {Readable} source - Archive or dump stream
+ * @param {Object} encryptionKeys - Keys from loadEncryptionKeys(), or undefined
+ * @returns {Transform} Readable end of the chain, with `digest()` and `bytes` (see createHashingStream())
+ */
+function createHashedStream(source, encryptionKeys) {
+  const hasher = createHashingStream();
+  const stages = encryptionKeys ? [source, createEncryptStream(encryptionKeys), hasher] : [source, hasher];
+
+  // Errors are reported by the destroyed hasher to whoever reads it
+  pipeline(...stages, () => {});
+
+  return hasher;
+}
+
+/**
+ * Create a tar.gz stream of a folder without writing it to disk
+ *
+ * Takes the same options as compressFolder(). The archive is produced as the
+ * returned stream is read.
+ *
+ * @param {string} sourcePath - Absolute path to folder
+ * @param {Object} options - Options of compressFolder()
+ * @returns {Transform} Archive stream with `digest()` and `bytes` (see createHashedStream())
+ * @throws {Error} If the source path is not a directory
+ */
+function createFolderArchiveStream(sourcePath, options = {}) {
+  if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isDirectory()) {
+    throw new Error(`Source path is not a directory: ${sourcePath}`);
+  }
+
+  const archive = archiver('tar', {
+    gzip: true,
+    gzipOptions: { level: options.compressionLevel ?? 6 }
+  });
+
+  const stream = createHashedStream(archive, options.encryptionKeys);
+
+  addFolderEntries(archive, sourcePath, options);
+  archive.finalize();
+
+  return stream;
+}
 
 /**
  * Compress a folder to tar.gz
+ *
+ * A SHA-256 of the archive is computed while it is written and stored in a
+ * `<archive>.sha256` sidecar file. With `encryptionKeys`, the archive stream is
+ * encrypted before it reaches the file (the checksum covers the encrypted file).
+ *
  * @param {string} sourcePath - Absolute path to folder
- * @param {string} outputPath - Output tar.gz file path
+ * @param {string} outputPath - Output tar.gz (or tar.gz.enc) file path
+ * @param {Object} options - Compress options
+ * @param {Object} options.encryptionKeys - Keys from loadEncryptionKeys() (default: no encryption)
+ * @param {string[]} options.files - Only archive these paths, relative to sourcePath (default: whole folder).
+ *   Directories are added without their contents and symbolic links as links.
+ * @param {Object} options.metadata - Extra { name, content } entry stored at the archive root
+ * @param {string} options.folderName - Top-level folder name inside the archive (default: basename of sourcePath)
+ * @param {number} options.compressionLevel - gzip level 0-9 (default: 6)
  * @returns {Promise<string>} Path to created archive
  */
-async function compressFolder(sourcePath, outputPath) {
+async function compressFolder(sourcePath, outputPath, options = {}) {
   return new Promise((resolve, reject) => {
     // Validate source path
     if (!fs.existsSync(sourcePath)) {
@@ -31,15 +140,20 @@ async function compressFolder(sourcePath, outputPath) {
     const output = fs.createWriteStream(outputPath);
     const archive = archiver('tar', {
       gzip: true,
-      gzipOptions: { level: 6 }
+      gzipOptions: { level: options.compressionLevel ?? 6 }
     });
 
     // Track progress
     let totalBytes = 0;
 
+    // Hash the archive while it is being written
+    const hasher = createHashingStream();
+
     output.on('close', () => {
       const size = formatBytes(archive.pointer());
-      log(`Compressed: ${path.basename(sourcePath)} → ${size}`);
+      const checksum = hasher.digest();
+      writeChecksumFile(outputPath, checksum);
+      log(`Compressed: ${options.folderName || path.basename(sourcePath)} → ${size} (sha256: ${checksum})`);
       resolve(outputPath);
     });
 
@@ -51,12 +165,11 @@ async function compressFolder(sourcePath, outputPath) {
       totalBytes = progress.fs.processedBytes;
     });
 
-    // Pipe archive to output
-    archive.pipe(output);
+    // Pipe archive to output through the (optional) encryptor and the hasher
+    pipeArchive(archive, hasher, output, options.encryptionKeys, reject);
 
-    // Add directory to archive
-    const folderName = path.basename(sourcePath);
-    archive.directory(sourcePath, folderName);
+    // Add directory (or only the selected files) to archive
+    addFolderEntries(archive, sourcePath, options);
 
     // Finalize the archive
     archive.finalize();
@@ -65,11 +178,18 @@ async function compressFolder(sourcePath, outputPath) {
 
 /**
  * Compress database dump file to tar.gz
+ *
+ * Like compressFolder(), writes a `<archive>.sha256` sidecar file and
+ * optionally encrypts the archive.
+ *
  * @param {string} dumpFilePath - Path to database dump file
- * @param {string} outputPath - Output tar.gz file path
+ * @param {string} outputPath - Output tar.gz (or tar.gz.enc) file path
+ * @param {Object} options - Compress options
+ * @param {Object} options.encryptionKeys - Keys from loadEncryptionKeys() (default: no encryption)
+ * @param {number} options.compressionLevel - gzip level 0-9 (default: 6)
  * @returns {Promise<string>} Path to created archive
  */
-async function compressDatabaseDump(dumpFilePath, outputPath) {
+async function compressDatabaseDump(dumpFilePath, outputPath, options = {}) {
   return new Promise((resolve, reject) => {
     if (!fs.existsSync(dumpFilePath)) {
       return reject(new Error(`Dump file does not exist: ${dumpFilePath}`));
@@ -84,12 +204,17 @@ async function compressDatabaseDump(dumpFilePath, outputPath) {
     const output = fs.createWriteStream(outputPath);
     const archive = archiver('tar', {
       gzip: true,
-      gzipOptions: { level: 6 }
+      gzipOptions: { level: options.compressionLevel ?? 6 }
     });
 
+    // Hash the archive while it is being written
+    const hasher = createHashingStream();
+
     output.on('close', () => {
       const size = formatBytes(archive.pointer());
-      log(`Compressed DB dump: ${path.basename(dumpFilePath)} → ${size}`);
+      const checksum = hasher.digest();
+      writeChecksumFile(outputPath, checksum);
+      log(`Compressed DB dump: ${path.basename(dumpFilePath)} → ${size} (sha256: ${checksum})`);
       resolve(outputPath);
     });
 
@@ -97,7 +222,7 @@ async function compressDatabaseDump(dumpFilePath, outputPath) {
       reject(err);
     });
 
-    archive.pipe(output);
+    pipeArchive(archive, hasher, output, options.encryptionKeys, reject);
 
     // Add dump file to archive
     archive.file(dumpFilePath, { name: path.basename(dumpFilePath) });
@@ -106,7 +231,89 @@ async function compressDatabaseDump(dumpFilePath, outputPath) {
   });
 }
 
+/**
+ * List the entry paths contained in a tar.gz archive
+ * @param {string} archivePath - Path to tar.gz archive
+ * @returns {Promise<string[]>} Entry paths (relative, as stored in the archive)
+ */
+async function listArchiveEntries(archivePath) {
+  const entries = [];
+
+  await tar.t({
+    file: archivePath,
+    onentry: (entry) => entries.push(entry.path)
+  });
+
+  return entries;
+}
+
+/**
+ * Throw if extracting the given entries would overwrite existing files
+ * @param {string[]} entries - Entry paths from listArchiveEntries()
+ * @param {string} destDir - Destination directory
+ * @throws {Error} If any entry already exists as a file in destDir
+ */
+function assertNoConflicts(entries, destDir) {
+  const conflicts = [...new Set(entries)].filter((entry) => {
+    const target = path.join(destDir, entry);
+    return fs.existsSync(target) && !fs.statSync(target).isDirectory();
+  });
+
+  if (conflicts.length > 0) {
+    const preview = conflicts.slice(0, 10).join('\n  ');
+    const more = conflicts.length > 10 ? `\n  ... and ${conflicts.length - 10} more` : '';
+    throw new Error(
+      `Refusing to overwrite ${conflicts.length} existing file(s) in ${destDir}:\n  ${preview}${more}\n` +
+      'Use --force to overwrite.'
+    );
+  }
+}
+
+/**
+ * Extract a tar.gz archive into a destination directory
+ *
+ * Refuses to overwrite existing files unless `overwrite` is set, so a restore
+ * never silently clobbers live data.
+ *
+ * @param {string} archivePath - Path to tar.gz archive
+ * @param {string} destDir - Destination directory (created if missing)
+ * @param {Object} options - Extract options
+ * @param {boolean} options.overwrite - Overwrite existing files (default: false)
+ * @returns {Promise<string[]>} Extracted entry paths
+ */
+async function extractArchive(archivePath, destDir, options = {}) {
+  const { overwrite = false } = options;
+
+  if (!fs.existsSync(archivePath)) {
+    throw new Error(`Archive does not exist: ${archivePath}`);
+  }
+
+  const entries = await listArchiveEntries(archivePath);
+
+  // Check for files that would be overwritten
+  if (!overwrite) {
+    assertNoConflicts(entries, destDir);
+  }
+
+  fs.mkdirSync(destDir, { recursive: true });
+
+  // tar strips absolute paths and '..' segments by default
+  await tar.x({
+    file: archivePath,
+    cwd: destDir
+  });
+
+  log(`Extracted: ${path.basename(archivePath)} → ${destDir} (${entries.length} entries)`);
+
+  return entries;
+}
+
 module.exports = {
   compressFolder,
-  compressDatabaseDump
+  compressDatabaseDump,
+  createHashedStream,
+  createFolderArchiveStream,
+  listArchiveEntries,
+  assertNoConflicts,
+  extractArchive
 };
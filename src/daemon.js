@@ -0,0 +1,276 @@
+#!/usr/bin/env node
+
+// Node.js 기본 모듈 불러오기
+const fs = require('fs');           // 파일 시스템 작업 (상태 파일, 설정 파일 감시)
+const path = require('path');       // 경로 처리
+
+// 프로젝트 내부 모듈 불러오기
+const config = require('./config');                      // 설정 파일 로더
+const { runBackup } = require('./backup');               // 백업 실행
+const { getSchedules, getNextRun, countMissedRuns } = require('./schedule'); // 스케줄 계산
+const { parseArgs, log } = require('./utils');           // 유틸리티 함수들
+
+// CLI 사용법
+const USAGE = `Usage:
+  npm run daemon -- [options]
+
+Runs backups on the schedules in .config ("schedule" or "schedules")
+until stopped. .config is reloaded when it changes.
+
+Options:
+  --help               Show this help`;
+
+// 설정 파일 변경 확인 주기 (밀리초)
+const CONFIG_POLL_INTERVAL = 5000;
+
+// setTimeout 최대 대기 시간 (이보다 먼 실행은 중간에 다시 계산)
+const MAX_TIMER_DELAY = 60 * 60 * 1000;
+
+/**
+ * 데몬 상태 파일 경로
+ *
+ * 스케줄별 마지막 실행 시각을 저장하여, 데몬이 멈춰 있던 동안
+ * 놓친 실행을 다음 시작 시 확인합니다.
+ *
+ * @returns {string} 상태 파일 경로 (<STATE_DIR>/daemon.json)
+ */
+function getStatePath() {
+  return path.join(config.ensureStateDir(), 'daemon.json');
+}
+
+/**
+ * 데몬 상태 로드
+ *
+ * @returns {Object} { lastRuns: { <스케줄 이름>: ISO 시각 } }
+ */
+function loadState() {
+  const statePath = getStatePath();
+
+  if (!fs.existsSync(statePath)) {
+    return { lastRuns: {} };
+  }
+
+  return { lastRuns: {}, ...JSON.parse(fs.readFileSync(statePath, 'utf-8')) };
+}
+
+/**
+ * 데몬 상태 저장 (임시 파일에 쓴 뒤 이름을 바꿔 원자적으로 저장)
+ *
+ * @param {Object} state - loadState() 형식의 상태
+ */
+function saveState(state) {
+  const statePath = getStatePath();
+  const tmpPath = `${statePath}.tmp`;
+
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2));
+  fs.renameSync(tmpPath, statePath);
+}
+
+/**
+ * 스케줄 설명 문자열 (로그용)
+ *
+ * @param {Object} schedule - getSchedules()의 스케줄
+ * @returns {string} 예: 'nightly (0 2 * * *, Asia/Seoul, tags: db)'
+ */
+function describeSchedule(schedule) {
+  const parts = [schedule.cron, schedule.timezone || 'local time'];
+
+  if (schedule.targets.length > 0) {
+    parts.push(`targets: ${schedule.targets.join(', ')}`);
+  }
+
+  if (schedule.tags.length > 0) {
+    parts.push(`tags: ${schedule.tags.join(', ')}`);
+  }
+
+  return `${schedule.name} (${parts.join(', ')})`;
+}
+
+/**
+ * daemon CLI 실행 함수
+ *
+ * 1. .config에서 스케줄 로드 (잘못된 cron 표현식이나 시간대면 시작하지 않음)
+ * 2. 놓친 실행 확인 (catch_up: 'once'면 한 번 실행, 'skip'이면 건너뜀)
+ * 3. 다음 실행 시각까지 대기 후 해당 스케줄의 대상 그룹 백업
+ *    (실행은 한 번에 하나씩, 실행 중에 도래한 스케줄은 대기열에서 순서대로 실행)
+ * 4. .config가 바뀌면 스케줄을 다시 로드 (잘못된 설정이면 기존 스케줄 유지)
+ * 5. SIGINT/SIGTERM을 받으면 진행 중인 백업이 끝난 뒤 종료
+ *
+ * @param {string[]} argv - 커맨드라인 인자 (process.argv.slice(2))
+ * @returns {Promise<void>} 시작 완료 시 resolve (이후 종료 신호까지 계속 실행)
+ */
+async function runDaemon(argv) {
+  const args = parseArgs(argv, ['help']);
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  let schedules = getSchedules(config.loadConfig());
+  const state = loadState();
+
+  const queue = [];       // 실행 대기 중인 스케줄
+  let running = false;    // 백업 실행 중 여부
+  let stopping = false;   // 종료 신호 수신 여부
+  let timer = null;
+
+  log('========================================');
+  log('Backup daemon started');
+  schedules.forEach(schedule => log(`Schedule: ${describeSchedule(schedule)}`));
+  log('========================================');
+
+  // 대기열의 스케줄을 하나씩 실행
+  // 상태 저장 실패(디스크 부족, 권한 등)는 로그만 남기고 다음 스케줄을 계속 실행
+  const drain = async () => {
+    if (running) {
+      return;
+    }
+
+    running = true;
+
+    try {
+      while (queue.length > 0 && !stopping) {
+        const { schedule, reason } = queue.shift();
+        const startedAt = new Date();
+
+        log(`Running schedule ${describeSchedule(schedule)}: ${reason}`);
+
+        try {
+          const result = await runBackup({ targets: schedule.targets, tags: schedule.tags });
+
+          if (!result.success) {
+            log(`Schedule ${schedule.name} finished with failures`, 'error');
+          }
+        } catch (error) {
+          log(`Schedule ${schedule.name} failed: ${error.message}`, 'error');
+        }
+
+        state.lastRuns[schedule.name] = startedAt.toISOString();
+
+        try {
+          saveState(state);
+        } catch (error) {
+          log(`Failed to save daemon state: ${error.message}`, 'error');
+        }
+      }
+    } finally {
+      running = false;
+    }
+
+    if (stopping) {
+      process.exit(0);
+    }
+  };
+
+  // 같은 스케줄이 이미 대기 중이면 중복으로 넣지 않음
+  // drain()은 기다리지 않으므로 예상치 못한 오류도 여기서 로그로 남김 (처리되지 않은 거부로 종료되지 않도록)
+  const enqueue = (schedule, reason) => {
+    if (queue.some(item => item.schedule.name === schedule.name)) {
+      return;
+    }
+
+    queue.push({ schedule, reason });
+    drain().catch(error => log(`Schedule queue failed: ${error.message}`, 'error'));
+  };
+
+  // 가장 가까운 다음 실행 시각에 타이머 설정
+  const scheduleNext = () => {
+    clearTimeout(timer);
+
+    const now = new Date();
+    const nextRuns = schedules.map(schedule => ({ schedule, at: getNextRun(schedule, now) }));
+    const nextAt = Math.min(...nextRuns.map(run => run.at.getTime()));
+
+    timer = setTimeout(() => {
+      const due = new Date();
+
+      for (const run of nextRuns) {
+        if (run.at <= due) {
+          enqueue(run.schedule, `scheduled at ${run.at.toISOString()}`);
+        }
+      }
+
+      scheduleNext();
+    }, Math.min(Math.max(nextAt - now.getTime(), 0), MAX_TIMER_DELAY));
+  };
+
+  // 놓친 실행 확인 (처음 보는 스케줄은 지금을 기준으로 기록만 함)
+  const now = new Date();
+  for (const schedule of schedules) {
+    const lastRun = state.lastRuns[schedule.name];
+
+    if (!lastRun) {
+      state.lastRuns[schedule.name] = now.toISOString();
+      continue;
+    }
+
+    const missed = countMissedRuns(schedule, new Date(lastRun), now);
+
+    if (missed === 0) {
+      continue;
+    }
+
+    if (schedule.catch_up === 'once') {
+      log(`Schedule ${schedule.name} missed ${missed} run(s) since ${lastRun}, running once now`, 'warn');
+      enqueue(schedule, `catching up ${missed} missed run(s)`);
+    } else {
+      log(`Schedule ${schedule.name} missed ${missed} run(s) since ${lastRun}, skipping (catch_up: skip)`, 'warn');
+      state.lastRuns[schedule.name] = now.toISOString();
+    }
+  }
+  saveState(state);
+
+  scheduleNext();
+
+  // .config 변경 감지 후 스케줄 다시 로드
+  const configPath = path.resolve(config.configFile);
+  fs.watchFile(configPath, { interval: CONFIG_POLL_INTERVAL }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) {
+      return;
+    }
+
+    try {
+      schedules = getSchedules(config.loadConfig());
+      log('.config changed, schedules reloaded');
+      schedules.forEach(schedule => log(`Schedule: ${describeSchedule(schedule)}`));
+      scheduleNext();
+    } catch (error) {
+      log(`Failed to reload .config, keeping previous schedules: ${error.message}`, 'error');
+    }
+  });
+
+  // 종료 신호: 진행 중인 백업이 있으면 끝난 뒤 종료
+  const stop = (signal) => {
+    log(`Received ${signal}, stopping daemon...`);
+    stopping = true;
+    clearTimeout(timer);
+    fs.unwatchFile(configPath);
+
+    if (!running) {
+      process.exit(0);
+    }
+  };
+
+  process.on('SIGINT', () => stop('SIGINT'));
+  process.on('SIGTERM', () => stop('SIGTERM'));
+}
+
+// ==========================================
+// 스크립트 실행부
+// ==========================================
+
+if (require.main === module) {
+  runDaemon(process.argv.slice(2)).catch((error) => {
+    log(`Daemon failed: ${error.message}`, 'error');
+    process.exit(1);
+  });
+}
+
+// ==========================================
+// 모듈 내보내기
+// ==========================================
+
+module.exports = {
+  runDaemon
+};
@@ -0,0 +1,465 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Client-side archive encryption (chunked AES-256-GCM)
+ *
+ * Archives are split into fixed-size chunks that are each sealed with
+ * AES-256-GCM, so encryption and decryption both stream and no plaintext is
+ * released before its chunk has been authenticated. The last chunk carries a
+ * "final" flag, which makes truncated files fail to decrypt.
+ *
+ * File layout:
+ *   header   MAGIC(4) | version(1) | mode(1) | chunkSize(4) | baseNonce(12) | mode params
+ *   chunk    final(1) | length(4) | ciphertext(length) | tag(16)   (repeated)
+ *
+ * Modes:
+ *   1 (secret)     key = scrypt(passphrase or key file contents, salt(16))
+ *   2 (public key) random data key wrapped with RSA-OAEP-SHA256: keyLength(2) | wrappedKey
+ *
+ * The whole header is authenticated as additional data on every chunk.
+ */
+
+const MAGIC = Buffer.from('BKEC');
+const VERSION = 1;
+const MODE_SECRET = 1;
+const MODE_PUBLIC_KEY = 2;
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const NONCE_LENGTH = 12;
+const SALT_LENGTH = 16;
+const TAG_LENGTH = 16;
+const FIXED_HEADER_LENGTH = MAGIC.length + 1 + 1 + 4 + NONCE_LENGTH;
+const CHUNK_HEADER_LENGTH = 1 + 4;
+
+// scrypt cost parameters (N=2^15 needs 32MB of memory)
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// File extension appended to encrypted archives
+const ENCRYPTED_EXTENSION = 'enc';
+
+// Derived secret-mode keys, cached per loadEncryptionKeys() result
+const derivedKeys = new WeakMap();
+
+// Fixed scrypt salt for chunk id keys: ids must be the same on every run
+const CHUNK_ID_SALT = Buffer.from('backup-chunk-ids');
+const CHUNK_ID_INFO = 'repository chunk id';
+
+/**
+ * Resolve key material from the `encryption` section of .config
+ *
+ * Supported fields:
+ * - passphrase_env: environment variable holding the passphrase (default: BACKUP_ENCRYPTION_PASSPHRASE)
+ * - key_file: file whose contents are used as the secret
+ * - public_key_file: RSA public key (PEM); the backup host then never holds the decryption key
+ * - private_key_file: RSA private key (PEM), only needed where backups are restored
+ * - private_key_passphrase_env: environment variable holding the private key passphrase
+ *
+ * @param {Object} encryptionConfig - `encryption` section of .config
+ * @returns {Object} { secret, publicKey, privateKey } (unset keys are null)
+ */
+function loadEncryptionKeys(encryptionConfig = {}) {
+  const keys = { secret: null, publicKey: null, privateKey: null };
+
+  if (encryptionConfig.key_file) {
+    keys.secret = fs.readFileSync(encryptionConfig.key_file);
+  } else {
+    const passphraseEnv = encryptionConfig.passphrase_env || 'BACKUP_ENCRYPTION_PASSPHRASE';
+    if (process.env[passphraseEnv]) {
+      keys.secret = Buffer.from(process.env[passphraseEnv], 'utf-8');
+    }
+  }
+
+  if (encryptionConfig.public_key_file) {
+    keys.publicKey = crypto.createPublicKey(fs.readFileSync(encryptionConfig.public_key_file));
+  }
+
+  if (encryptionConfig.private_key_file) {
+    const passphraseEnv = encryptionConfig.private_key_passphrase_env;
+    keys.privateKey = crypto.createPrivateKey({
+      key: fs.readFileSync(encryptionConfig.private_key_file),
+      passphrase: passphraseEnv ? process.env[passphraseEnv] : undefined
+    });
+  }
+
+  return keys;
+}
+
+/**
+ * Check whether encryption is enabled in .config
+ * @param {Object} appConfig - Loaded .config
+ * @returns {boolean} True if archives should be encrypted
+ */
+function isEncryptionEnabled(appConfig) {
+  return Boolean(appConfig.encryption && appConfig.encryption.enabled);
+}
+
+/**
+ * Derive the AES key for a secret and salt, reusing earlier derivations
+ *
+ * scrypt is deliberately slow. Encrypting many small objects (repository
+ * chunks) with one set of keys therefore reuses a single salt, so a run costs
+ * one derivation instead of one per object; nonces stay random per file.
+ *
+ * @param {Object} keys - Result of loadEncryptionKeys()
+ * @param {Buffer} salt - Salt from the header, or null to reuse/create the encryption salt
+ * @returns {Object} { salt, key }
+ */
+function deriveSecretKey(keys, salt) {
+  if (!derivedKeys.has(keys)) {
+    derivedKeys.set(keys, { encryptSalt: null, bySalt: new Map() });
+  }
+
+  const cache = derivedKeys.get(keys);
+
+  if (!salt) {
+    cache.encryptSalt = cache.encryptSalt || crypto.randomBytes(SALT_LENGTH);
+    salt = cache.encryptSalt;
+  }
+
+  const cacheKey = salt.toString('hex');
+  if (!cache.bySalt.has(cacheKey)) {
+    cache.bySalt.set(cacheKey, crypto.scryptSync(keys.secret, salt, 32, SCRYPT_OPTIONS));
+  }
+
+  return { salt: Buffer.from(salt), key: cache.bySalt.get(cacheKey) };
+}
+
+/**
+ * Derive the HMAC key for repository chunk ids from the secret
+ *
+ * Keyed ids keep anyone who can list the bucket from confirming that known
+ * content is backed up. Public-key setups have no secret to derive from; they
+ * use a random key protected with wrapKey() instead.
+ *
+ * @param {Object} keys - Result of loadEncryptionKeys()
+ * @returns {Buffer} 32-byte key
+ * @throws {Error} If no passphrase or key file is configured
+ */
+function deriveChunkIdKey(keys) {
+  if (!keys.secret) {
+    throw new Error('Chunk ids are keyed with a secret, but no passphrase or key_file is configured');
+  }
+
+  const material = deriveSecretKey(keys, CHUNK_ID_SALT).key;
+  return Buffer.from(crypto.hkdfSync('sha256', material, Buffer.alloc(0), CHUNK_ID_INFO, 32));
+}
+
+/**
+ * Encrypt a small key with the public key (RSA-OAEP-SHA256)
+ * @param {Object} keys - Result of loadEncryptionKeys() with a public key
+ * @param {Buffer} key - Key to protect
+ * @returns {Buffer} Wrapped key
+ */
+function wrapKey(keys, key) {
+  return crypto.publicEncrypt(
+    { key: keys.publicKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+    key
+  );
+}
+
+/**
+ * Decrypt a key wrapped by wrapKey() with the private key
+ * @param {Object} keys - Result of loadEncryptionKeys()
+ * @param {Buffer} wrapped - Wrapped key
+ * @returns {Buffer} Key
+ * @throws {Error} If no private key is configured
+ */
+function unwrapKey(keys, wrapped) {
+  if (!keys.privateKey) {
+    throw new Error('Key is wrapped with a public key, but no private_key_file is configured');
+  }
+
+  return crypto.privateDecrypt(
+    { key: keys.privateKey, padding: crypto.constants.RSA_PKCS1_OAEP_PADDING, oaepHash: 'sha256' },
+    wrapped
+  );
+}
+
+/**
+ * Derive the nonce for a chunk from the base nonce and chunk counter
+ * @param {Buffer} baseNonce - Random per-file nonce
+ * @param {number} counter - Chunk index
+ * @returns {Buffer} 12-byte nonce
+ */
+function chunkNonce(baseNonce, counter) {
+  if (counter > 0xffffffff) {
+    throw new Error('Too many chunks for a single encrypted file');
+  }
+
+  const nonce = Buffer.from(baseNonce);
+  nonce.writeUInt32BE((nonce.readUInt32BE(NONCE_LENGTH - 4) ^ counter) >>> 0, NONCE_LENGTH - 4);
+  return nonce;
+}
+
+/**
+ * Create a stream that encrypts everything written through it
+ *
+ * Uses the public key when one is configured, otherwise the secret.
+ *
+ * @param {Object} keys - Result of loadEncryptionKeys()
+ * @param {Object} options - Stream options
+ * @param {number} options.chunkSize - Plaintext chunk size (default: 64 KB)
+ * @returns {Transform} Encrypting transform stream
+ */
+function createEncryptStream(keys, options = {}) {
+  const chunkSize = options.chunkSize || DEFAULT_CHUNK_SIZE;
+  const baseNonce = crypto.randomBytes(NONCE_LENGTH);
+
+  let key;
+  let modeParams;
+  let mode;
+
+  if (keys.publicKey) {
+    mode = MODE_PUBLIC_KEY;
+    key = crypto.randomBytes(32);
+    const wrapped = wrapKey(keys, key);
+    const length = Buffer.alloc(2);
+    length.writeUInt16BE(wrapped.length);
+    modeParams = Buffer.concat([length, wrapped]);
+  } else if (keys.secret) {
+    mode = MODE_SECRET;
+    const derived = deriveSecretKey(keys, null);
+    key = derived.key;
+    modeParams = derived.salt;
+  } else {
+    throw new Error('Encryption is enabled but no passphrase, key_file or public_key_file is configured');
+  }
+
+  const fixed = Buffer.alloc(FIXED_HEADER_LENGTH);
+  MAGIC.copy(fixed, 0);
+  fixed.writeUInt8(VERSION, 4);
+  fixed.writeUInt8(mode, 5);
+  fixed.writeUInt32BE(chunkSize, 6);
+  baseNonce.copy(fixed, 10);
+  const header = Buffer.concat([fixed, modeParams]);
+
+  let pending = Buffer.alloc(0);
+  let counter = 0;
+  let headerWritten = false;
+
+  const seal = (stream, plaintext, final) => {
+    const chunkHeader = Buffer.alloc(CHUNK_HEADER_LENGTH);
+    chunkHeader.writeUInt8(final ? 1 : 0, 0);
+    chunkHeader.writeUInt32BE(plaintext.length, 1);
+
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, chunkNonce(baseNonce, counter++));
+    cipher.setAAD(Buffer.concat([header, chunkHeader]));
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+    stream.push(Buffer.concat([chunkHeader, ciphertext, cipher.getAuthTag()]));
+  };
+
+  const writeHeader = (stream) => {
+    if (!headerWritten) {
+      stream.push(header);
+      headerWritten = true;
+    }
+  };
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      try {
+        writeHeader(this);
+        pending = Buffer.concat([pending, data]);
+
+        while (pending.length > chunkSize) {
+          seal(this, pending.subarray(0, chunkSize), false);
+          pending = pending.subarray(chunkSize);
+        }
+
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      try {
+        writeHeader(this);
+        seal(this, pending, true);
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    }
+  });
+}
+
+/**
+ * Create a stream that decrypts data produced by createEncryptStream()
+ *
+ * Each chunk is authenticated before it is passed on; a tampered or
+ * truncated file makes the stream fail.
+ *
+ * @param {Object} keys - Result of loadEncryptionKeys()
+ * @returns {Transform} Decrypting transform stream
+ */
+function createDecryptStream(keys) {
+  let buffer = Buffer.alloc(0);
+  let header = null;
+  let key = null;
+  let baseNonce = null;
+  let chunkSize = 0;
+  let counter = 0;
+  let finished = false;
+
+  // Parse the header once enough bytes are buffered; returns false if more data is needed
+  const parseHeader = () => {
+    if (buffer.length < FIXED_HEADER_LENGTH) {
+      return false;
+    }
+
+    if (!buffer.subarray(0, MAGIC.length).equals(MAGIC)) {
+      throw new Error('Not an encrypted backup file (bad magic)');
+    }
+
+    const version = buffer.readUInt8(4);
+    if (version !== VERSION) {
+      throw new Error(`Unsupported encryption format version: ${version}`);
+    }
+
+    const mode = buffer.readUInt8(5);
+    chunkSize = buffer.readUInt32BE(6);
+    baseNonce = buffer.subarray(10, 10 + NONCE_LENGTH);
+
+    let headerLength;
+
+    if (mode === MODE_SECRET) {
+      headerLength = FIXED_HEADER_LENGTH + SALT_LENGTH;
+      if (buffer.length < headerLength) {
+        return false;
+      }
+      if (!keys.secret) {
+        throw new Error('Backup is encrypted with a passphrase/key file, but none is configured');
+      }
+      key = deriveSecretKey(keys, buffer.subarray(FIXED_HEADER_LENGTH, headerLength)).key;
+    } else if (mode === MODE_PUBLIC_KEY) {
+      if (buffer.length < FIXED_HEADER_LENGTH + 2) {
+        return false;
+      }
+      const wrappedLength = buffer.readUInt16BE(FIXED_HEADER_LENGTH);
+      headerLength = FIXED_HEADER_LENGTH + 2 + wrappedLength;
+      if (buffer.length < headerLength) {
+        return false;
+      }
+      if (!keys.privateKey) {
+        throw new Error('Backup is encrypted with a public key, but no private_key_file is configured');
+      }
+      key = unwrapKey(keys, buffer.subarray(FIXED_HEADER_LENGTH + 2, headerLength));
+    } else {
+      throw new Error(`Unsupported encryption mode: ${mode}`);
+    }
+
+    header = Buffer.from(buffer.subarray(0, headerLength));
+    baseNonce = Buffer.from(baseNonce);
+    buffer = buffer.subarray(headerLength);
+    return true;
+  };
+
+  // Open the next chunk if it is fully buffered; returns false if more data is needed
+  const openChunk = (stream) => {
+    if (buffer.length < CHUNK_HEADER_LENGTH) {
+      return false;
+    }
+
+    const final = buffer.readUInt8(0) === 1;
+    const length = buffer.readUInt32BE(1);
+
+    if (length > chunkSize) {
+      throw new Error('Corrupted encrypted file (chunk too large)');
+    }
+
+    const total = CHUNK_HEADER_LENGTH + length + TAG_LENGTH;
+    if (buffer.length < total) {
+      return false;
+    }
+
+    const chunkHeader = buffer.subarray(0, CHUNK_HEADER_LENGTH);
+    const ciphertext = buffer.subarray(CHUNK_HEADER_LENGTH, CHUNK_HEADER_LENGTH + length);
+    const tag = buffer.subarray(CHUNK_HEADER_LENGTH + length, total);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, chunkNonce(baseNonce, counter++));
+    decipher.setAAD(Buffer.concat([header, chunkHeader]));
+    decipher.setAuthTag(tag);
+
+    let plaintext;
+    try {
+      plaintext = Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (error) {
+      throw new Error('Decryption failed: wrong key or corrupted file');
+    }
+
+    stream.push(plaintext);
+    buffer = buffer.subarray(total);
+    finished = final;
+    return true;
+  };
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      try {
+        buffer = Buffer.concat([buffer, data]);
+
+        if (!header && !parseHeader()) {
+          return callback();
+        }
+
+        while (!finished && openChunk(this)) {
+          // keep opening chunks while complete ones are buffered
+        }
+
+        if (finished && buffer.length > 0) {
+          throw new Error('Corrupted encrypted file (data after final chunk)');
+        }
+
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+
+    flush(callback) {
+      if (!finished) {
+        return callback(new Error('Encrypted file is truncated'));
+      }
+      callback();
+    }
+  });
+}
+
+/**
+ * Decrypt an encrypted archive file
+ * @param {string} inputPath - Encrypted file path
+ * @param {string} outputPath - Decrypted output path
+ * @param {Object} keys - Result of loadEncryptionKeys()
+ * @returns {Promise<string>} Output path
+ */
+async function decryptFile(inputPath, outputPath, keys) {
+  try {
+    await pipeline(
+      fs.createReadStream(inputPath),
+      createDecryptStream(keys),
+      fs.createWriteStream(outputPath)
+    );
+  } catch (error) {
+    fs.rmSync(outputPath, { force: true });
+    throw error;
+  }
+
+  return outputPath;
+}
+
+module.exports = {
+  ENCRYPTED_EXTENSION,
+  loadEncryptionKeys,
+  isEncryptionEnabled,
+  createEncryptStream,
+  createDecryptStream,
+  decryptFile,
+  deriveChunkIdKey,
+  wrapKey,
+  unwrapKey
+};
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+const ignore = require('ignore');
+
+/**
+ * Include/exclude filtering for folder targets
+ *
+ * Patterns use gitignore syntax and are matched against paths relative to the
+ * source folder. Exclude patterns come from the target definition and from a
+ * `.backupignore` file at the root of the source folder. When include
+ * patterns are given, only files matching at least one of them are backed up.
+ */
+
+// Ignore file read from the root of a source folder (gitignore syntax)
+const BACKUPIGNORE_FILE = '.backupignore';
+
+/**
+ * Create a filter for a source folder
+ * @param {string} sourcePath - Absolute path to folder
+ * @param {Object} options - Filter options
+ * @param {string[]} options.include - Only back up files matching these patterns (default: all files)
+ * @param {string[]} options.exclude - Skip files and directories matching these patterns
+ * @returns {Object|null} Filter with `excludes(relativePath, isDirectory)` and
+ *   `includes(relativePath, isDirectory)`, or null if nothing is filtered
+ */
+function createFileFilter(sourcePath, options = {}) {
+  const include = options.include || [];
+  const exclude = [...(options.exclude || [])];
+
+  const ignorePath = path.join(sourcePath, BACKUPIGNORE_FILE);
+  if (fs.existsSync(ignorePath)) {
+    exclude.push(...fs.readFileSync(ignorePath, 'utf-8').split(/\r?\n/));
+  }
+
+  if (include.length === 0 && exclude.every(line => !line.trim() || line.trim().startsWith('#'))) {
+    return null;
+  }
+
+  const excluded = ignore().add(exclude);
+  const included = include.length > 0 ? ignore().add(include) : null;
+
+  return {
+    // Directories are tested with a trailing slash so `dir/` patterns match them
+    excludes: (relativePath, isDirectory) => excluded.ignores(isDirectory ? `${relativePath}/` : relativePath),
+    includes: (relativePath, isDirectory) => !included || included.ignores(isDirectory ? `${relativePath}/` : relativePath)
+  };
+}
+
+/**
+ * Walk a folder and collect the entries that pass a filter
+ *
+ * Excluded directories and symbolic links are not descended into. With
+ * include patterns, a directory is kept only if it matches one of them or
+ * something below it is kept. Other entry types (sockets, FIFOs, devices) are
+ * left out, as in unfiltered archives.
+ *
+ * @param {string} sourcePath - Absolute path to folder
+ * @param {Object|null} filter - Filter from createFileFilter(), or null for all entries
+ * @returns {Promise<Object>} { files, directories, symlinks, skipped }
+ *   - files: regular files as [{ path, stat }]
+ *   - directories: [{ path, stat }], each listed before its contents
+ *   - symlinks: [{ path, stat, target }] (stat describes the link itself)
+ *   - skipped: { files, bytes } left out by the filter, including excluded directories' contents
+ *   (paths are relative and use '/')
+ */
+async function walkFolder(sourcePath, filter) {
+  const files = [];
+  const directories = [];
+  const symlinks = [];
+  const skipped = { files: 0, bytes: 0 };
+
+  // Returns the number of entries kept under `dir`
+  const walk = async (dir) => {
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+    let kept = 0;
+
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      const relativePath = path.relative(sourcePath, fullPath).split(path.sep).join('/');
+
+      if (entry.isDirectory()) {
+        if (filter && filter.excludes(relativePath, true)) {
+          const size = await getDirectorySize(fullPath);
+          skipped.files += size.files;
+          skipped.bytes += size.bytes;
+          continue;
+        }
+
+        // Reserve the directory's place so it precedes its contents
+        const index = directories.length;
+        const stat = await fs.promises.stat(fullPath);
+
+        if ((await walk(fullPath)) > 0 || !filter || filter.includes(relativePath, true)) {
+          directories.splice(index, 0, { path: relativePath, stat });
+          kept++;
+        }
+        continue;
+      }
+
+      if (!entry.isFile() && !entry.isSymbolicLink()) {
+        continue;
+      }
+
+      const stat = await fs.promises.lstat(fullPath);
+
+      if (filter && (filter.excludes(relativePath, false) || !filter.includes(relativePath, false))) {
+        skipped.files++;
+        skipped.bytes += stat.size;
+        continue;
+      }
+
+      if (entry.isSymbolicLink()) {
+        symlinks.push({ path: relativePath, stat, target: await fs.promises.readlink(fullPath) });
+      } else {
+        files.push({ path: relativePath, stat });
+      }
+      kept++;
+    }
+
+    return kept;
+  };
+
+  await walk(sourcePath);
+
+  return { files, directories, symlinks, skipped };
+}
+
+/**
+ * Count the files and bytes under a directory
+ * @param {string} dir - Directory path
+ * @returns {Promise<Object>} { files, bytes }
+ */
+async function getDirectorySize(dir) {
+  const total = { files: 0, bytes: 0 };
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+
+    if (entry.isDirectory()) {
+      const size = await getDirectorySize(fullPath);
+      total.files += size.files;
+      total.bytes += size.bytes;
+    } else if (entry.isFile()) {
+      total.files++;
+      total.bytes += (await fs.promises.stat(fullPath)).size;
+    }
+  }
+
+  return total;
+}
+
+module.exports = {
+  BACKUPIGNORE_FILE,
+  createFileFilter,
+  walkFolder
+};
@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const { computeFileChecksum } = require('./checksum');
+const { walkFolder } = require('./filter');
+const { formatTimestamp, parseBackupFilename } = require('./utils');
+
+/**
+ * Incremental folder backups based on a file-state manifest
+ *
+ * A full backup records a manifest of every file (path, size, mtime and
+ * optionally SHA-256) in the state directory. Until the next full backup is
+ * due, each run archives only the files added or changed since that full
+ * backup, plus a list of files deleted since then. Restoring therefore needs
+ * the base full backup and one incremental archive.
+ *
+ * Incremental archive names carry the base timestamp so retention can tell
+ * which full backup they depend on:
+ *   folder-<name>-<timestamp>.incr-<base timestamp>.tar.gz
+ */
+
+// Metadata entry stored at the root of every incremental archive
+const INCREMENTAL_METADATA_FILE = '.backup-incremental.json';
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Scan a folder and record the state of every file, directory and symbolic link
+ * @param {string} sourcePath - Absolute path to folder
+ * @param {Object} options - Scan options
+ * @param {boolean} options.hash - Also record the SHA-256 of every file (default: false)
+ * @param {Object} options.filter - Filter from createFileFilter() (default: all files)
+ * @returns {Promise<Object>} { files, skipped }
+ *   - files: map of relative path (with '/') → state, directories first:
+ *     { size, mtimeMs, hash? } for regular files, { type: 'directory' } or { type: 'symlink', target }
+ *   - skipped: { files, bytes } left out by the filter
+ */
+async function scanFolder(sourcePath, options = {}) {
+  const files = {};
+  const walked = await walkFolder(sourcePath, options.filter || null);
+
+  for (const { path: relativePath } of walked.directories) {
+    files[relativePath] = { type: 'directory' };
+  }
+
+  for (const { path: relativePath, target } of walked.symlinks) {
+    files[relativePath] = { type: 'symlink', target };
+  }
+
+  for (const { path: relativePath, stat } of walked.files) {
+    files[relativePath] = {
+      size: stat.size,
+      mtimeMs: Math.floor(stat.mtimeMs)
+    };
+
+    if (options.hash) {
+      files[relativePath].hash = await computeFileChecksum(path.join(sourcePath, relativePath));
+    }
+  }
+
+  return { files, skipped: walked.skipped };
+}
+
+/**
+ * Get the manifest path of a folder target
+ * @param {string} stateDir - State directory
+ * @param {string} target - Folder target name
+ * @returns {string} Manifest file path
+ */
+function getManifestPath(stateDir, target) {
+  return path.join(stateDir, 'manifests', `folder-${target}.json`);
+}
+
+/**
+ * Load the manifest of the last full backup of a folder target
+ * @param {string} stateDir - State directory
+ * @param {string} target - Folder target name
+ * @returns {Object|null} Manifest, or null if there is none
+ */
+function loadManifest(stateDir, target) {
+  const manifestPath = getManifestPath(stateDir, target);
+
+  if (!fs.existsSync(manifestPath)) {
+    return null;
+  }
+
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  return manifest.version === MANIFEST_VERSION ? manifest : null;
+}
+
+/**
+ * Save the manifest of a full backup (written atomically)
+ * @param {string} stateDir - State directory
+ * @param {string} target - Folder target name
+ * @param {Object} manifest - Manifest from planFolderBackup()
+ */
+function saveManifest(stateDir, target, manifest) {
+  const manifestPath = getManifestPath(stateDir, target);
+  fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+
+  const tmpPath = `${manifestPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(manifest));
+  fs.renameSync(tmpPath, manifestPath);
+}
+
+/**
+ * Check whether an entry differs from its state in the base manifest
+ * @param {Object} current - Current entry state
+ * @param {Object} base - Entry state in the manifest (undefined if new)
+ * @returns {boolean} True if the entry is new or changed
+ */
+function isChanged(current, base) {
+  // Entries without a type (including those of older manifests) are regular files
+  if (!base || current.type !== base.type) {
+    return true;
+  }
+
+  if (current.type === 'directory') {
+    return false;
+  }
+
+  if (current.type === 'symlink') {
+    return current.target !== base.target;
+  }
+
+  if (current.size !== base.size) {
+    return true;
+  }
+
+  // With hashes, a touched but unchanged file is not re-archived
+  if (current.hash && base.hash) {
+    return current.hash !== base.hash;
+  }
+
+  return current.mtimeMs !== base.mtimeMs;
+}
+
+/**
+ * Decide whether this run is a full or incremental backup of a folder
+ *
+ * A full backup is due when there is no manifest yet, or when the last full
+ * backup is older than `full_backup_interval_days`.
+ *
+ * @param {string} sourcePath - Absolute path to folder
+ * @param {string} target - Folder target name
+ * @param {string} stateDir - State directory
+ * @param {Object} incrementalConfig - `incremental` section of .config
+ * @param {Object} options - Plan options
+ * @param {Object} options.filter - Filter from createFileFilter() (default: all files)
+ * @param {Date} options.now - Current time (default: new Date())
+ * @returns {Promise<Object>} Plan
+ *   - type: 'full' or 'incremental'
+ *   - files: current file states (becomes the manifest after a full backup)
+ *   - skipped: { files, bytes } left out by the filter
+ *   - base: { name, timestamp } of the base full backup (incremental only)
+ *   - changed: relative paths to archive (incremental only)
+ *   - deleted: relative paths deleted since the base (incremental only)
+ */
+async function planFolderBackup(sourcePath, target, stateDir, incrementalConfig, options = {}) {
+  const { filter = null, now = new Date() } = options;
+  const { files, skipped } = await scanFolder(sourcePath, { hash: incrementalConfig.hash, filter });
+  const manifest = loadManifest(stateDir, target);
+
+  const intervalMs = incrementalConfig.full_backup_interval_days * 24 * 60 * 60 * 1000;
+  const baseInfo = manifest ? parseBackupFilename(manifest.base.name) : null;
+
+  if (!baseInfo || now - baseInfo.timestamp >= intervalMs) {
+    return { type: 'full', files, skipped };
+  }
+
+  const changed = Object.keys(files).filter(file => isChanged(files[file], manifest.files[file]));
+  const deleted = Object.keys(manifest.files).filter(file => !files[file]);
+
+  return {
+    type: 'incremental',
+    files,
+    skipped,
+    base: { name: manifest.base.name, timestamp: formatTimestamp(baseInfo.timestamp) },
+    changed,
+    deleted
+  };
+}
+
+/**
+ * Build the manifest to save after a full backup has been uploaded
+ * @param {string} archiveName - Name of the full backup archive
+ * @param {Object} files - File states from planFolderBackup()
+ * @returns {Object} Manifest
+ */
+function createManifest(archiveName, files) {
+  return {
+    version: MANIFEST_VERSION,
+    base: { name: archiveName },
+    files
+  };
+}
+
+/**
+ * Apply an extracted incremental archive's deletions and remove its metadata
+ *
+ * Call after extracting the base full backup and then the incremental
+ * archive into the same directory.
+ *
+ * @param {string} destDir - Directory both archives were extracted into
+ * @param {string} folderName - Top-level folder name inside the archives
+ * @returns {number} Number of deleted files
+ */
+function applyIncrementalMetadata(destDir, folderName) {
+  const metadataPath = path.join(destDir, INCREMENTAL_METADATA_FILE);
+
+  if (!fs.existsSync(metadataPath)) {
+    throw new Error(`Incremental metadata (${INCREMENTAL_METADATA_FILE}) not found in ${destDir}`);
+  }
+
+  const metadata = JSON.parse(fs.readFileSync(metadataPath, 'utf-8'));
+  const folderRoot = path.resolve(destDir, folderName);
+  let deletedCount = 0;
+
+  for (const file of metadata.deleted || []) {
+    const filePath = path.resolve(folderRoot, file);
+
+    // Never delete anything outside the restored folder
+    if (!filePath.startsWith(folderRoot + path.sep)) {
+      continue;
+    }
+
+    // lstat so dangling symbolic links are removed too
+    if (fs.lstatSync(filePath, { throwIfNoEntry: false })) {
+      fs.rmSync(filePath, { recursive: true, force: true });
+      deletedCount++;
+    }
+  }
+
+  fs.rmSync(metadataPath, { force: true });
+
+  return deletedCount;
+}
+
+module.exports = {
+  INCREMENTAL_METADATA_FILE,
+  scanFolder,
+  loadManifest,
+  saveManifest,
+  planFolderBackup,
+  createManifest,
+  applyIncrementalMetadata
+};
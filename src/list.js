@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+// 프로젝트 내부 모듈 불러오기
+const config = require('./config');                      // 설정 파일 로더
+const UploaderFactory = require('./uploaders/factory');    // 업로더 팩토리
+const { isChunkFile } = require('./repository');           // 저장소 모드 청크 판별
+const {
+  parseBackupFilename,
+  parseArgs,
+  formatBytes,
+  formatAge,
+  log,
+  redirectLogsToStderr
+} = require('./utils');                                    // 유틸리티 함수들
+
+// CLI 사용법
+const USAGE = `Usage:
+  npm run list -- [options]
+
+Options:
+  --target <name>      Only show backups of this target
+  --kind <kind>        Only show "folder", "db" or "snapshot" backups
+  --uploader <type>    Only query uploaders of this type (e.g. gdrive, s3-sdk)
+  --json               Print the catalog as JSON
+  --help               Show this help`;
+
+/**
+ * 업로더 표시 이름 생성
+ *
+ * 같은 타입의 업로더가 여러 개 설정된 경우 구분할 수 있도록
+ * 두 번째부터 순번을 붙입니다. (예: s3-sdk, s3-sdk#2)
+ *
+ * @param {Array<BaseUploader>} uploaders - 업로더 목록
+ * @returns {string[]} 업로더 순서와 동일한 표시 이름 배열
+ */
+function getUploaderLabels(uploaders) {
+  const seen = {};
+
+  return uploaders.map((uploader) => {
+    const type = uploader.getType();
+    seen[type] = (seen[type] || 0) + 1;
+    return seen[type] === 1 ? type : `${type}#${seen[type]}`;
+  });
+}
+
+/**
+ * 모든 업로더의 파일 목록을 모아 백업 카탈로그 생성
+ *
+ * 파일명을 parseBackupFilename()으로 분해하여 대상(kind + target)별로 묶고,
+ * 같은 파일명의 백업이 어느 업로더에 저장되어 있는지 기록합니다.
+ * 이 도구의 명명 규칙과 맞지 않는 파일은 unrecognized로 따로 모읍니다.
+ * 저장소 모드의 청크는 개별 표시 대신 업로더별 개수와 크기만 집계합니다.
+ *
+ * @param {Array<BaseUploader>} uploaders - 조회할 업로더 목록 (초기화 완료 상태)
+ * @returns {Promise<Object>} 카탈로그
+ *   - uploaders: 조회한 업로더 표시 이름 배열
+ *   - targets: [{ kind, target, backups: [{ name, timestamp, size, locations }] }]
+ *   - unrecognized: [{ uploader, name, size }]
+ *   - repository: [{ uploader, chunks, size }] (청크가 있는 업로더만)
+ *   - errors: [{ uploader, message }]
+ */
+async function buildCatalog(uploaders) {
+  const labels = getUploaderLabels(uploaders);
+  const targetMap = new Map();
+  const unrecognized = [];
+  const repository = [];
+  const errors = [];
+
+  for (let i = 0; i < uploaders.length; i++) {
+    const uploader = uploaders[i];
+    const label = labels[i];
+    let files;
+
+    try {
+      files = await uploader.listFiles(uploader.getRemotePath());
+    } catch (error) {
+      // 한 업로더의 조회 실패가 전체 목록 출력을 막지 않도록 기록만 함
+      errors.push({ uploader: label, message: error.message });
+      continue;
+    }
+
+    // 저장소 모드 청크 집계
+    const chunks = files.filter(file => isChunkFile(file.name));
+    if (chunks.length > 0) {
+      repository.push({
+        uploader: label,
+        chunks: chunks.length,
+        size: chunks.reduce((sum, file) => sum + (file.size || 0), 0)
+      });
+    }
+
+    for (const file of files) {
+      if (isChunkFile(file.name)) {
+        continue;
+      }
+
+      const parsed = parseBackupFilename(file.name);
+
+      if (!parsed) {
+        unrecognized.push({ uploader: label, name: file.name, size: file.size });
+        continue;
+      }
+
+      // 대상별 그룹 (예: folder-mydata)
+      const key = `${parsed.kind}-${parsed.target}`;
+      if (!targetMap.has(key)) {
+        targetMap.set(key, { kind: parsed.kind, target: parsed.target, backups: new Map() });
+      }
+
+      // 파일명별 백업 항목 (여러 업로더에 같은 파일이 있으면 locations에 추가)
+      const backups = targetMap.get(key).backups;
+      if (!backups.has(file.name)) {
+        backups.set(file.name, {
+          name: file.name,
+          timestamp: parsed.timestamp,
+          size: file.size,
+          locations: []
+        });
+      }
+
+      backups.get(file.name).locations.push(label);
+    }
+  }
+
+  // 대상은 종류/이름순, 백업은 최신순으로 정렬
+  const targets = [...targetMap.values()]
+    .map(t => ({
+      kind: t.kind,
+      target: t.target,
+      backups: [...t.backups.values()].sort((a, b) => b.timestamp - a.timestamp)
+    }))
+    .sort((a, b) => a.kind.localeCompare(b.kind) || a.target.localeCompare(b.target));
+
+  return { uploaders: labels, targets, unrecognized, repository, errors };
+}
+
+/**
+ * 행 배열을 열 너비에 맞춘 텍스트 표로 변환
+ *
+ * @param {string[][]} rows - 첫 행은 헤더
+ * @returns {string} 줄바꿈으로 연결된 표 문자열
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, col) => Math.max(...rows.map(row => row[col].length)));
+
+  return rows
+    .map(row => row.map((cell, col) => cell.padEnd(widths[col])).join('  ').trimEnd())
+    .join('\n');
+}
+
+/**
+ * 카탈로그를 사람이 읽기 쉬운 표 형식으로 출력
+ *
+ * @param {Object} catalog - buildCatalog() 결과
+ */
+function printCatalog(catalog) {
+  const now = Date.now();
+
+  if (catalog.targets.length === 0) {
+    console.log('No backups found.');
+  }
+
+  for (const target of catalog.targets) {
+    console.log(`\n${target.kind} ${target.target} (${target.backups.length} backup(s))`);
+
+    const rows = [['BACKUP', 'CREATED (UTC)', 'SIZE', 'AGE', 'STORED ON']];
+
+    for (const backup of target.backups) {
+      // 일부 업로더에만 있는 백업은 빠진 업로더를 함께 표시
+      const missing = catalog.uploaders.filter(label => !backup.locations.includes(label));
+      const storedOn = backup.locations.join(', ') + (missing.length > 0 ? ` (missing: ${missing.join(', ')})` : '');
+
+      rows.push([
+        backup.name,
+        backup.timestamp.toISOString().replace('T', ' ').replace(/\..+/, ''),
+        formatBytes(backup.size || 0),
+        formatAge(now - backup.timestamp.getTime()),
+        storedOn
+      ]);
+    }
+
+    console.log(formatTable(rows).replace(/^/gm, '  '));
+  }
+
+  for (const repo of catalog.repository) {
+    console.log(`\nChunk repository on ${repo.uploader}: ${repo.chunks} chunk(s), ${formatBytes(repo.size)}`);
+  }
+
+  if (catalog.unrecognized.length > 0) {
+    console.log(`\nUnrecognized files (${catalog.unrecognized.length}):`);
+    for (const file of catalog.unrecognized) {
+      console.log(`  ${file.uploader}: ${file.name}`);
+    }
+  }
+
+  for (const error of catalog.errors) {
+    console.log(`\nFailed to list ${error.uploader}: ${error.message}`);
+  }
+}
+
+/**
+ * list CLI 실행 함수
+ *
+ * @param {string[]} argv - 커맨드라인 인자 (process.argv.slice(2))
+ * @returns {Promise<Object|undefined>} 필터링된 카탈로그
+ */
+async function runList(argv) {
+  const args = parseArgs(argv, ['json', 'help']);
+
+  if (args.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  // JSON 출력 시 stdout에는 JSON만 나가도록 로그를 stderr로 전환
+  if (args.json) {
+    redirectLogsToStderr();
+  }
+
+  const appConfig = config.loadConfig();
+  const uploaders = await UploaderFactory.initializeFromConfig(appConfig.uploaders, args.uploader);
+
+  log(`Listing backups on ${uploaders.map(u => u.getType()).join(', ')}...`);
+
+  const catalog = await buildCatalog(uploaders);
+
+  // 대상/종류 필터 적용
+  catalog.targets = catalog.targets.filter(t =>
+    (!args.target || t.target === args.target) &&
+    (!args.kind || t.kind === args.kind)
+  );
+
+  if (args.json) {
+    console.log(JSON.stringify(catalog, null, 2));
+  } else {
+    printCatalog(catalog);
+  }
+
+  return catalog;
+}
+
+// ==========================================
+// 스크립트 실행부
+// ==========================================
+
+if (require.main === module) {
+  runList(process.argv.slice(2)).catch((error) => {
+    log(`List failed: ${error.message}`, 'error');
+    process.exit(1);
+  });
+}
+
+// ==========================================
+// 모듈 내보내기
+// ==========================================
+
+module.exports = {
+  runList,
+  buildCatalog
+};
@@ -0,0 +1,803 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { assertNoConflicts } = require('./compress');
+const { createHashingStream, computeFileChecksum } = require('./checksum');
+const {
+  createEncryptStream, createDecryptStream, loadEncryptionKeys, deriveChunkIdKey, wrapKey, unwrapKey
+} = require('./encryption');
+const { scanFolder } = require('./incremental');
+const { retry, generateTimestampFilename, parseBackupFilename, formatBytes, log } = require('./utils');
+
+/**
+ * Deduplicating chunk repository for large, slowly-changing folders
+ *
+ * Files are split into content-defined chunks (gear-hash CDC), so an edit only
+ * changes the chunks around it. Every chunk is stored once per uploader as
+ * `chunk-<id>` (gzip, then encrypted when encryption is on), next to the
+ * regular archives. The id is the SHA-256 of the plaintext, or with encryption
+ * an HMAC-SHA256 with a secret key, so chunk names do not reveal which content
+ * is stored. The key is derived from the passphrase or key file; with a public
+ * key it is random, kept in the state directory and stored RSA-wrapped in each
+ * snapshot (see getBackupIdKey()).
+ *
+ * Each run uploads a small plaintext snapshot `snapshot-<target>-<timestamp>.json`
+ * that only holds chunk ids. The file list (paths, sizes, modes and the chunks
+ * of every file) is itself stored as chunks, listed under `index`, so names
+ * are encrypted along with the data. Garbage collection only needs the
+ * snapshot files and therefore works without the decryption key.
+ *
+ * Snapshot layout:
+ *   { version, target, created, encrypted, chunkIdKey, wrappedChunkIdKey, index: [chunk id], chunks: [chunk id], stats }
+ *   (chunkIdKey: source of the HMAC key, 'secret' or 'public-key', or null for plain SHA-256 ids;
+ *   wrappedChunkIdKey: base64 RSA-wrapped key, public-key mode only)
+ * Index layout (stored as chunks):
+ *   { files: [{ path, size, mtimeMs, mode, chunks: [chunk id] }
+ *     | { path, type: 'directory', mode } | { path, type: 'symlink', target }] }
+ */
+
+const SNAPSHOT_VERSION = 1;
+
+const CHUNK_PREFIX = 'chunk-';
+
+// Average chunk size; chunks are between 1/4 and 4 times this size
+const DEFAULT_CHUNK_SIZE_MB = 4;
+
+// Gear table for content-defined chunking. Derived deterministically because
+// changing it would move every chunk boundary and defeat deduplication.
+const GEAR = Array.from({ length: 256 }, (_, i) =>
+  crypto.createHash('sha256').update(`gear-${i}`).digest().readUInt32BE(0)
+);
+
+/**
+ * Check whether a file name is a repository chunk
+ * @param {string} fileName - Remote file name
+ * @returns {boolean} True for `chunk-<sha256>` objects
+ */
+function isChunkFile(fileName) {
+  return /^chunk-[0-9a-f]{64}$/.test(fileName);
+}
+
+/**
+ * Check whether a folder is backed up in repository mode
+ * @param {Object} target - Folder target from loadBackupTargets() ({ name, source })
+ * @param {Object} repositoryConfig - `repository` section of .config
+ * @returns {boolean} True if the target's name or path is listed in `repository.folders`
+ */
+function isRepositoryFolder(target, repositoryConfig) {
+  const folders = (repositoryConfig && repositoryConfig.folders) || [];
+
+  return folders.some(folder =>
+    folder === target.name || path.resolve(folder) === path.resolve(target.source)
+  );
+}
+
+/**
+ * Split a stream of buffers into content-defined chunks
+ *
+ * A boundary is placed where the rolling gear hash has its top bits clear,
+ * so boundaries depend only on nearby content and survive insertions.
+ *
+ * @param {AsyncIterable<Buffer>} source - Data source (e.g. a file read stream)
+ * @param {number} averageSize - Average chunk size in bytes
+ * @returns {AsyncGenerator<Buffer>} Chunks
+ */
+async function* chunkStream(source, averageSize) {
+  const minSize = Math.floor(averageSize / 4);
+  const maxSize = averageSize * 4;
+  const bits = Math.min(31, Math.max(1, Math.round(Math.log2(averageSize - minSize))));
+  const mask = (0xffffffff << (32 - bits)) >>> 0;
+
+  let parts = [];
+  let length = 0;
+  let hash = 0;
+
+  for await (const data of source) {
+    let start = 0;
+    let i = 0;
+
+    while (i < data.length) {
+      const current = length + (i - start);
+
+      // No boundary can fall before the minimum size, so skip hashing there
+      if (current < minSize) {
+        i += Math.min(minSize - current, data.length - i);
+        continue;
+      }
+
+      hash = ((hash << 1) + GEAR[data[i]]) >>> 0;
+      i++;
+
+      if ((hash & mask) === 0 || current + 1 >= maxSize) {
+        parts.push(data.subarray(start, i));
+        yield Buffer.concat(parts);
+        parts = [];
+        length = 0;
+        hash = 0;
+        start = i;
+      }
+    }
+
+    if (start < data.length) {
+      parts.push(data.subarray(start));
+      length += data.length - start;
+    }
+  }
+
+  if (length > 0) {
+    yield Buffer.concat(parts);
+  }
+}
+
+/**
+ * Get the chunk id (hex SHA-256 of the plaintext, or its HMAC-SHA256 with a key)
+ * @param {Buffer} data - Chunk data
+ * @param {Buffer} idKey - HMAC key (see getBackupIdKey()), or null for plain SHA-256
+ * @returns {string} Chunk id
+ */
+function getChunkId(data, idKey) {
+  const hash = idKey ? crypto.createHmac('sha256', idKey) : crypto.createHash('sha256');
+  return hash.update(data).digest('hex');
+}
+
+/**
+ * Get the chunk id key for a backup run
+ *
+ * Like encryption, a public key takes precedence over the secret. The backup
+ * host then has no secret to derive a key from, so a random key is created
+ * once and kept in the state directory (replaced if the public key changes).
+ * Snapshots carry it wrapped with the public key, so only the private key
+ * holder can recompute chunk ids.
+ *
+ * @param {Object} encryptionKeys - Keys from loadEncryptionKeys(), or null
+ * @param {string} stateDir - State directory
+ * @returns {Object|null} { source, key, wrapped }, or null for plain SHA-256 ids
+ *   (wrapped: base64 wrapped key, public-key mode only)
+ */
+function getBackupIdKey(encryptionKeys, stateDir) {
+  if (!encryptionKeys) {
+    return null;
+  }
+
+  if (!encryptionKeys.publicKey) {
+    return { source: 'secret', key: deriveChunkIdKey(encryptionKeys), wrapped: null };
+  }
+
+  const keyPath = path.join(stateDir, 'repository', 'chunk-id-key.json');
+  const publicKey = crypto.createHash('sha256')
+    .update(encryptionKeys.publicKey.export({ type: 'spki', format: 'der' }))
+    .digest('hex');
+
+  if (fs.existsSync(keyPath)) {
+    const stored = JSON.parse(fs.readFileSync(keyPath, 'utf-8'));
+
+    if (stored.publicKey === publicKey) {
+      return { source: 'public-key', key: Buffer.from(stored.key, 'base64'), wrapped: stored.wrapped };
+    }
+  }
+
+  const key = crypto.randomBytes(32);
+  const wrapped = wrapKey(encryptionKeys, key).toString('base64');
+
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  const tmpPath = `${keyPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ publicKey, key: key.toString('base64'), wrapped }), { mode: 0o600 });
+  fs.renameSync(tmpPath, keyPath);
+
+  return { source: 'public-key', key, wrapped };
+}
+
+/**
+ * Get the chunk id key a snapshot was written with
+ * @param {Object} snapshot - Snapshot from readSnapshot()
+ * @param {Object} encryptionKeys - Keys from loadEncryptionKeys(), or null
+ * @returns {Buffer|null} HMAC key, or null for plain SHA-256 ids
+ * @throws {Error} If the key source is unknown or its key material is not configured
+ */
+function getSnapshotIdKey(snapshot, encryptionKeys) {
+  // Snapshots written before chunk ids were keyed have no chunkIdKey and use plain SHA-256 ids
+  if (!snapshot.chunkIdKey) {
+    return null;
+  }
+
+  if (snapshot.chunkIdKey === 'secret') {
+    return deriveChunkIdKey(encryptionKeys);
+  }
+
+  if (snapshot.chunkIdKey === 'public-key') {
+    return unwrapKey(encryptionKeys, Buffer.from(snapshot.wrappedChunkIdKey, 'base64'));
+  }
+
+  throw new Error(`Unsupported chunk id key in snapshot: ${snapshot.chunkIdKey}`);
+}
+
+/**
+ * Write a chunk object (gzip, then optionally encrypted) to a local file
+ * @param {Buffer} data - Chunk data
+ * @param {string} outputPath - Object file path
+ * @param {Object} encryptionKeys - Keys from loadEncryptionKeys(), or null
+ * @returns {Promise<string>} SHA-256 of the object file (for upload verification)
+ */
+async function writeChunkObject(data, outputPath, encryptionKeys) {
+  const hasher = createHashingStream();
+
+  await pipeline(
+    Readable.from([data]),
+    zlib.createGzip(),
+    ...(encryptionKeys ? [createEncryptStream(encryptionKeys)] : []),
+    hasher,
+    fs.createWriteStream(outputPath)
+  );
+
+  return hasher.digest();
+}
+
+/**
+ * Read a chunk object written by writeChunkObject() and check its id
+ * @param {string} objectPath - Object file path
+ * @param {string} id - Expected chunk id
+ * @param {Object} encryptionKeys - Keys from loadEncryptionKeys(), or null
+ * @param {Buffer} idKey - Chunk id key, or null (see getChunkId())
+ * @returns {Promise<Buffer>} Chunk data
+ * @throws {Error} If the chunk does not match its id
+ */
+async function readChunkObject(objectPath, id, encryptionKeys, idKey) {
+  const parts = [];
+
+  await pipeline(
+    fs.createReadStream(objectPath),
+    ...(encryptionKeys ? [createDecryptStream(encryptionKeys)] : []),
+    zlib.createGunzip(),
+    async (source) => {
+      for await (const part of source) {
+        parts.push(part);
+      }
+    }
+  );
+
+  const data = Buffer.concat(parts);
+
+  if (getChunkId(data, idKey) !== id) {
+    throw new Error(`Chunk ${id} is corrupted`);
+  }
+
+  return data;
+}
+
+/**
+ * Upload an object and verify it, with retries
+ * @param {BaseUploader} uploader - Target uploader
+ * @param {string} localPath - Local object file (its basename must equal `name`)
+ * @param {string} name - Remote object name
+ * @param {string} checksum - SHA-256 of the object file
+ */
+async function storeObject(uploader, localPath, name, checksum) {
+  const remotePath = uploader.getRemotePath();
+
+  await retry(async () => {
+    await uploader.uploadFile(localPath, remotePath, name, { checksum });
+    await uploader.verifyUpload(localPath, remotePath, name, checksum);
+  });
+}
+
+/**
+ * Get the local chunk cache path of a target
+ * @param {string} stateDir - State directory
+ * @param {string} target - Folder target name
+ * @returns {string} Cache file path
+ */
+function getCachePath(stateDir, target) {
+  return path.join(stateDir, 'repository', `${target}.json`);
+}
+
+/**
+ * Load the chunk cache (file state → chunk ids) from the previous run
+ *
+ * The cache is ignored when it was written with another chunk id function
+ * (encryption turned on or off, or a different key), since its ids would not
+ * match the chunks of this run.
+ *
+ * @param {string} stateDir - State directory
+ * @param {string} target - Folder target name
+ * @param {string} idFingerprint - Id of a fixed string, which identifies the chunk id function
+ * @returns {Object} Map of relative path → { size, mtimeMs, chunks }
+ */
+function loadCache(stateDir, target, idFingerprint) {
+  const cachePath = getCachePath(stateDir, target);
+
+  if (!fs.existsSync(cachePath)) {
+    return {};
+  }
+
+  const cache = JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+  return (cache.chunkIds === idFingerprint && cache.files) || {};
+}
+
+/**
+ * Save the chunk cache (written atomically)
+ * @param {string} stateDir - State directory
+ * @param {string} target - Folder target name
+ * @param {string} idFingerprint - Id of a fixed string, which identifies the chunk id function
+ * @param {Object} files - Map of relative path → { size, mtimeMs, chunks }
+ */
+function saveCache(stateDir, target, idFingerprint, files) {
+  const cachePath = getCachePath(stateDir, target);
+  fs.mkdirSync(path.dirname(cachePath), { recursive: true });
+
+  const tmpPath = `${cachePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify({ chunkIds: idFingerprint, files }));
+  fs.renameSync(tmpPath, cachePath);
+}
+
+/**
+ * Back up a folder into the chunk repository of every uploader
+ *
+ * Only chunks an uploader does not have yet are uploaded. Files whose size and
+ * mtime match the previous run reuse their cached chunk ids without being
+ * read again, as long as every uploader still has those chunks.
+ *
+ * An uploader that fails is skipped for the rest of the run and does not get
+ * the snapshot; the others still do.
+ *
+ * @param {string} sourcePath - Absolute path to folder
+ * @param {string} target - Folder target name
+ * @param {Array<BaseUploader>} uploaders - Initialized uploaders
+ * @param {Object} options - Backup options
+ * @param {string} options.workDir - Local directory for temporary objects
+ * @param {string} options.stateDir - State directory (chunk cache)
+ * @param {Object} options.encryptionKeys - Keys from loadEncryptionKeys(), or null
+ * @param {number} options.chunkSizeMb - Average chunk size in MB (default: 4)
+ * @param {Object} options.filter - Filter from createFileFilter() (default: all files)
+ * @returns {Promise<Object>} { name, stats, uploaded: [type], failed: [{ uploader, message }] }
+ *   (stats.skipped: { files, bytes } left out by the filter)
+ * @throws {Error} If the snapshot could not be stored on any uploader
+ */
+async function backupFolder(sourcePath, target, uploaders, options) {
+  const { workDir, stateDir, encryptionKeys = null } = options;
+  const averageSize = (options.chunkSizeMb || DEFAULT_CHUNK_SIZE_MB) * 1024 * 1024;
+
+  fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    return await storeSnapshot(sourcePath, target, uploaders, { ...options, averageSize });
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Chunk, upload and record a folder (see backupFolder())
+ * @param {string} sourcePath - Absolute path to folder
+ * @param {string} target - Folder target name
+ * @param {Array<BaseUploader>} uploaders - Initialized uploaders
+ * @param {Object} options - backupFolder() options plus averageSize in bytes
+ * @returns {Promise<Object>} See backupFolder()
+ */
+async function storeSnapshot(sourcePath, target, uploaders, options) {
+  const { workDir, stateDir, encryptionKeys = null, averageSize, filter = null } = options;
+  const chunkIdKey = getBackupIdKey(encryptionKeys, stateDir);
+  const idKey = chunkIdKey && chunkIdKey.key;
+
+  // Chunks already present on each uploader
+  const existing = new Map();
+  const failed = new Map();
+
+  for (const uploader of uploaders) {
+    try {
+      const files = await uploader.listFiles(uploader.getRemotePath());
+      existing.set(uploader, new Set(files.filter(f => isChunkFile(f.name)).map(f => f.name.slice(CHUNK_PREFIX.length))));
+    } catch (error) {
+      failed.set(uploader, error.message);
+    }
+  }
+
+  const activeUploaders = () => uploaders.filter(u => !failed.has(u));
+  const stats = { files: 0, size: 0, newChunks: 0, uploadedBytes: 0 };
+
+  // Upload a chunk to every active uploader that does not have it yet
+  const putChunk = async (data) => {
+    const id = getChunkId(data, idKey);
+    const missing = activeUploaders().filter(u => !existing.get(u).has(id));
+
+    if (missing.length === 0) {
+      return id;
+    }
+
+    const name = `${CHUNK_PREFIX}${id}`;
+    const objectPath = path.join(workDir, name);
+
+    try {
+      const checksum = await writeChunkObject(data, objectPath, encryptionKeys);
+
+      for (const uploader of missing) {
+        try {
+          await storeObject(uploader, objectPath, name, checksum);
+          existing.get(uploader).add(id);
+        } catch (error) {
+          log(`Failed to upload chunk to ${uploader.getType()}: ${error.message}`, 'error');
+          failed.set(uploader, error.message);
+        }
+      }
+
+      stats.newChunks++;
+      stats.uploadedBytes += fs.statSync(objectPath).size;
+    } finally {
+      fs.rmSync(objectPath, { force: true });
+    }
+
+    return id;
+  };
+
+  // Identifies the id function without revealing the key
+  const idFingerprint = getChunkId(Buffer.from('chunk cache'), idKey);
+  const cache = loadCache(stateDir, target, idFingerprint);
+  const { files: scanned, skipped } = await scanFolder(sourcePath, { filter });
+  const entries = [];
+  const nextCache = {};
+
+  for (const relativePath of Object.keys(scanned).sort()) {
+    if (activeUploaders().length === 0) {
+      break;
+    }
+
+    const filePath = path.join(sourcePath, relativePath);
+    const state = scanned[relativePath];
+    const cached = cache[relativePath];
+
+    if (state.type === 'symlink') {
+      entries.push({ path: relativePath, type: 'symlink', target: state.target });
+      continue;
+    }
+
+    let chunks;
+    let size = state.size;
+    let mode;
+
+    try {
+      mode = fs.statSync(filePath).mode & 0o777;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        // Deleted since the scan
+        continue;
+      }
+      throw error;
+    }
+
+    if (state.type === 'directory') {
+      entries.push({ path: relativePath, type: 'directory', mode });
+      continue;
+    }
+
+    const reusable = cached && cached.size === state.size && cached.mtimeMs === state.mtimeMs &&
+      activeUploaders().every(u => cached.chunks.every(id => existing.get(u).has(id)));
+
+    if (reusable) {
+      chunks = cached.chunks;
+    } else {
+      chunks = [];
+      size = 0;
+
+      try {
+        for await (const data of chunkStream(fs.createReadStream(filePath, { highWaterMark: 1024 * 1024 }), averageSize)) {
+          chunks.push(await putChunk(data));
+          size += data.length;
+        }
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          // Deleted since the scan
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    entries.push({
+      path: relativePath,
+      size,
+      mtimeMs: state.mtimeMs,
+      mode,
+      chunks
+    });
+    nextCache[relativePath] = { size, mtimeMs: state.mtimeMs, chunks };
+
+    stats.files++;
+    stats.size += size;
+  }
+
+  saveCache(stateDir, target, idFingerprint, nextCache);
+
+  // Store the file list as chunks too
+  const index = [];
+  for await (const data of chunkStream([Buffer.from(JSON.stringify({ files: entries }))], averageSize)) {
+    index.push(await putChunk(data));
+  }
+
+  const name = generateTimestampFilename(`snapshot-${target}`, 'json');
+  const snapshot = {
+    version: SNAPSHOT_VERSION,
+    target,
+    created: new Date().toISOString(),
+    encrypted: Boolean(encryptionKeys),
+    chunkIdKey: chunkIdKey && chunkIdKey.source,
+    wrappedChunkIdKey: chunkIdKey && chunkIdKey.wrapped,
+    index,
+    chunks: [...new Set(entries.flatMap(entry => entry.chunks || []))],
+    stats: { files: stats.files, size: stats.size }
+  };
+
+  const snapshotPath = path.join(workDir, name);
+  const uploaded = [];
+
+  try {
+    fs.writeFileSync(snapshotPath, JSON.stringify(snapshot));
+    const checksum = await computeFileChecksum(snapshotPath);
+
+    for (const uploader of activeUploaders()) {
+      try {
+        await storeObject(uploader, snapshotPath, name, checksum);
+        uploaded.push(uploader.getType());
+      } catch (error) {
+        failed.set(uploader, error.message);
+      }
+    }
+  } finally {
+    fs.rmSync(snapshotPath, { force: true });
+  }
+
+  const failures = [...failed.entries()].map(([uploader, message]) => ({ uploader: uploader.getType(), message }));
+
+  if (uploaded.length === 0) {
+    throw new Error(`Snapshot ${name} could not be stored: ${failures.map(f => `${f.uploader}: ${f.message}`).join('; ')}`);
+  }
+
+  log(`Snapshot ${name}: ${stats.files} file(s), ${formatBytes(stats.size)}, ` +
+    `${stats.newChunks} new chunk(s) (${formatBytes(stats.uploadedBytes)} uploaded)`);
+
+  return { name, stats: { ...stats, skipped }, uploaded, failed: failures };
+}
+
+/**
+ * Download and parse a snapshot file
+ * @param {BaseUploader} uploader - Uploader holding the snapshot
+ * @param {string} name - Snapshot file name
+ * @param {string} workDir - Local directory for temporary files
+ * @returns {Promise<Object>} Snapshot
+ */
+async function readSnapshot(uploader, name, workDir) {
+  fs.mkdirSync(workDir, { recursive: true });
+  const localPath = path.join(workDir, name);
+
+  try {
+    await retry(async () => {
+      await uploader.downloadFile(uploader.getRemotePath(), name, localPath);
+    });
+
+    const snapshot = JSON.parse(fs.readFileSync(localPath, 'utf-8'));
+
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+      throw new Error(`Unsupported snapshot version in ${name}: ${snapshot.version}`);
+    }
+
+    return snapshot;
+  } finally {
+    fs.rmSync(localPath, { force: true });
+  }
+}
+
+/**
+ * Download a chunk and return its data
+ * @param {BaseUploader} uploader - Uploader holding the chunk
+ * @param {string} id - Chunk id
+ * @param {string} workDir - Local directory for temporary files
+ * @param {Object} encryptionKeys - Keys from loadEncryptionKeys(), or null
+ * @param {Buffer} idKey - Chunk id key, or null (see getChunkId())
+ * @returns {Promise<Buffer>} Chunk data
+ */
+async function fetchChunk(uploader, id, workDir, encryptionKeys, idKey) {
+  const name = `${CHUNK_PREFIX}${id}`;
+  const localPath = path.join(workDir, name);
+
+  try {
+    await retry(async () => {
+      await uploader.downloadFile(uploader.getRemotePath(), name, localPath);
+    });
+
+    return await readChunkObject(localPath, id, encryptionKeys, idKey);
+  } finally {
+    fs.rmSync(localPath, { force: true });
+  }
+}
+
+/**
+ * Restore a snapshot into a destination directory
+ *
+ * Like archive restores, files are written to `<dest>/<target>/...` and
+ * existing files are never overwritten unless `overwrite` is set.
+ *
+ * @param {BaseUploader} uploader - Uploader holding the snapshot
+ * @param {string} name - Snapshot file name
+ * @param {string} destDir - Destination directory
+ * @param {Object} options - Restore options
+ * @param {string} options.workDir - Local directory for temporary files
+ * @param {Object} options.encryptionConfig - `encryption` section of .config (for encrypted snapshots)
+ * @param {boolean} options.overwrite - Overwrite existing files (default: false)
+ * @returns {Promise<Object>} { files, size }
+ */
+async function restoreSnapshot(uploader, name, destDir, options) {
+  const { workDir, encryptionConfig = {}, overwrite = false } = options;
+
+  try {
+    const snapshot = await readSnapshot(uploader, name, workDir);
+    const encryptionKeys = snapshot.encrypted ? loadEncryptionKeys(encryptionConfig) : null;
+    const idKey = getSnapshotIdKey(snapshot, encryptionKeys);
+
+    const indexParts = [];
+    for (const id of snapshot.index) {
+      indexParts.push(await fetchChunk(uploader, id, workDir, encryptionKeys, idKey));
+    }
+    const { files } = JSON.parse(Buffer.concat(indexParts).toString('utf-8'));
+
+    if (!overwrite) {
+      assertNoConflicts(files.map(file => `${snapshot.target}/${file.path}`), destDir);
+    }
+
+    const root = path.resolve(destDir, snapshot.target);
+    const safePath = (entry) => {
+      const entryPath = path.resolve(root, entry.path);
+
+      // Never write outside the restored folder
+      if (!entryPath.startsWith(root + path.sep)) {
+        throw new Error(`Refusing to restore unsafe path: ${entry.path}`);
+      }
+
+      return entryPath;
+    };
+
+    const directories = files.filter(entry => entry.type === 'directory');
+    const symlinks = files.filter(entry => entry.type === 'symlink');
+    let size = 0;
+
+    for (const directory of directories) {
+      fs.mkdirSync(safePath(directory), { recursive: true });
+    }
+
+    for (const file of files.filter(entry => !entry.type)) {
+      const filePath = safePath(file);
+
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+      const output = fs.createWriteStream(filePath, { mode: file.mode });
+      await pipeline(
+        (async function* () {
+          for (const id of file.chunks) {
+            yield await fetchChunk(uploader, id, workDir, encryptionKeys, idKey);
+          }
+        })(),
+        output
+      );
+
+      fs.chmodSync(filePath, file.mode);
+      fs.utimesSync(filePath, new Date(), new Date(file.mtimeMs));
+      size += file.size;
+    }
+
+    // Links last, so no file is written through one; modes last, so read-only directories can be filled
+    for (const link of symlinks) {
+      const linkPath = safePath(link);
+
+      fs.mkdirSync(path.dirname(linkPath), { recursive: true });
+      fs.rmSync(linkPath, { force: true });
+      fs.symlinkSync(link.target, linkPath);
+    }
+
+    for (const directory of directories) {
+      fs.chmodSync(safePath(directory), directory.mode);
+    }
+
+    const fileCount = files.length - directories.length - symlinks.length;
+    log(`Restored snapshot: ${name} → ${destDir} (${fileCount} file(s), ${formatBytes(size)})`);
+
+    return { files: fileCount, size };
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Find the chunks that garbageCollect() would delete
+ *
+ * A chunk is deleted when no snapshot references it, unless it is locked
+ * (e.g. on S3 legal hold), like locked backups in planCleanup(). The dry
+ * run passes the snapshots retention would delete, so that their chunks
+ * count as unreferenced just as they will after cleanup. Throws if any
+ * snapshot cannot be read.
+ *
+ * @param {BaseUploader} uploader - Uploader to clean
+ * @param {string} workDir - Local directory for temporary files
+ * @param {string[]} [deletedSnapshots] - Snapshot file names to treat as already deleted
+ * @returns {Promise<Object>} { toDelete, locked: [{ file, reason }] }
+ */
+async function planGarbageCollection(uploader, workDir, deletedSnapshots = []) {
+  const remotePath = uploader.getRemotePath();
+  const files = await uploader.listFiles(remotePath);
+  const chunkFiles = files.filter(file => isChunkFile(file.name));
+  const toDelete = [];
+  const locked = [];
+
+  if (chunkFiles.length === 0) {
+    return { toDelete, locked };
+  }
+
+  const referenced = new Set();
+
+  try {
+    for (const file of files) {
+      const parsed = parseBackupFilename(file.name);
+
+      if (parsed && parsed.kind === 'snapshot' && !deletedSnapshots.includes(file.name)) {
+        const snapshot = await readSnapshot(uploader, file.name, workDir);
+        snapshot.index.forEach(id => referenced.add(id));
+        snapshot.chunks.forEach(id => referenced.add(id));
+      }
+    }
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+
+  for (const file of chunkFiles) {
+    if (referenced.has(file.name.slice(CHUNK_PREFIX.length))) {
+      continue;
+    }
+
+    const reason = await uploader.getLockReason(remotePath, file.name);
+
+    if (reason) {
+      locked.push({ file, reason });
+    } else {
+      toDelete.push(file);
+    }
+  }
+
+  return { toDelete, locked };
+}
+
+/**
+ * Delete chunks that no remaining snapshot references
+ *
+ * Run after old snapshots have been deleted by retention. Aborts without
+ * deleting anything if any snapshot cannot be read. Locked chunks are
+ * skipped (see planGarbageCollection()).
+ *
+ * @param {BaseUploader} uploader - Uploader to clean
+ * @param {string} workDir - Local directory for temporary files
+ * @returns {Promise<number>} Number of deleted chunks
+ */
+async function garbageCollect(uploader, workDir) {
+  const remotePath = uploader.getRemotePath();
+  const { toDelete, locked } = await planGarbageCollection(uploader, workDir);
+
+  for (const { file, reason } of locked) {
+    log(`Skipping locked chunk ${file.name} (${reason})`);
+  }
+
+  for (const file of toDelete) {
+    await uploader.deleteFile(remotePath, file.name);
+  }
+
+  return toDelete.length;
+}
+
+module.exports = {
+  DEFAULT_CHUNK_SIZE_MB,
+  isChunkFile,
+  isRepositoryFolder,
+  chunkStream,
+  backupFolder,
+  readSnapshot,
+  restoreSnapshot,
+  planGarbageCollection,
+  garbageCollect
+};
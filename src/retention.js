@@ -0,0 +1,142 @@
+/**
+ * Grandfather-father-son (GFS) retention
+ *
+ * Besides keeping every backup younger than `days`, a policy can keep the
+ * newest backup of each of the last N days, ISO weeks, months and years in
+ * which a backup exists. Periods are worked out in UTC from the timestamp in
+ * the file name, per target, so every uploader applies the same selection.
+ *
+ * The newest `min_keep` backups of a target are always kept, whatever
+ * their age, so failing backups cannot prune a target down to nothing.
+ *
+ * Policy: { days, daily, weekly, monthly, yearly, min_keep } (counts of 0 keep nothing)
+ */
+
+const GFS_PERIODS = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Get the key of the period a timestamp falls in
+ * @param {string} period - 'daily', 'weekly', 'monthly' or 'yearly'
+ * @param {Date} date - Backup timestamp
+ * @returns {string} Period key (e.g. '2025-10-10', '2025-W41', '2025-10', '2025')
+ */
+function getPeriodKey(period, date) {
+  const year = date.getUTCFullYear();
+  const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+  const day = String(date.getUTCDate()).padStart(2, '0');
+
+  switch (period) {
+    case 'daily':
+      return `${year}-${month}-${day}`;
+    case 'weekly': {
+      // ISO 8601 week: the week belongs to the year of its Thursday
+      const thursday = new Date(Date.UTC(year, date.getUTCMonth(), date.getUTCDate()));
+      thursday.setUTCDate(thursday.getUTCDate() + 3 - ((thursday.getUTCDay() + 6) % 7));
+      const firstThursday = new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4));
+      const week = 1 + Math.round(((thursday - firstThursday) / 86400000 - 3 + ((firstThursday.getUTCDay() + 6) % 7)) / 7);
+      return `${thursday.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+    case 'monthly':
+      return `${year}-${month}`;
+    case 'yearly':
+      return `${year}`;
+    default:
+      throw new Error(`Unknown retention period: ${period}`);
+  }
+}
+
+/**
+ * Normalize a retention setting into a full policy
+ * @param {number|Object} retention - Retention days, or a partial policy
+ * @returns {Object} { days, daily, weekly, monthly, yearly }
+ */
+function normalizeRetention(retention) {
+  const policy = typeof retention === 'number' ? { days: retention } : { ...retention };
+
+  for (const period of GFS_PERIODS) {
+    policy[period] = policy[period] || 0;
+  }
+
+  policy.min_keep = policy.min_keep || 0;
+
+  return policy;
+}
+
+/**
+ * Select the backups of one target that GFS retention keeps
+ *
+ * For each period type, the newest backup of each of the most recent N
+ * periods that have a backup is kept. A backup may represent several
+ * periods at once (e.g. the newest backup of a month and of its last week).
+ *
+ * @param {Array} backups - [{ name, timestamp }] of one target
+ * @param {Object} policy - Retention policy
+ * @returns {Set<string>} Names of the backups to keep
+ */
+function selectGfsBackups(backups, policy) {
+  const kept = new Set();
+  const newestFirst = [...backups].sort((a, b) => b.timestamp - a.timestamp);
+
+  for (const period of GFS_PERIODS) {
+    const count = policy[period] || 0;
+    let lastKey = null;
+    let periods = 0;
+
+    for (const backup of newestFirst) {
+      if (periods >= count) {
+        break;
+      }
+
+      const key = getPeriodKey(period, backup.timestamp);
+      if (key !== lastKey) {
+        kept.add(backup.name);
+        lastKey = key;
+        periods++;
+      }
+    }
+  }
+
+  return kept;
+}
+
+/**
+ * Select the newest backups of one target that `min_keep` protects
+ * @param {Array} backups - [{ name, timestamp }] of one target
+ * @param {Object} policy - Retention policy
+ * @returns {Set<string>} Names of the backups to keep
+ */
+function selectNewestBackups(backups, policy) {
+  const newestFirst = [...backups].sort((a, b) => b.timestamp - a.timestamp);
+
+  return new Set(newestFirst.slice(0, policy.min_keep || 0).map(backup => backup.name));
+}
+
+/**
+ * Describe a policy for log messages
+ * @param {Object} policy - Retention policy
+ * @returns {string} e.g. '7 days, 4 weekly, 12 monthly'
+ */
+function describeRetention(policy) {
+  const parts = [`${policy.days} days`];
+
+  for (const period of GFS_PERIODS) {
+    if (policy[period] > 0) {
+      parts.push(`${policy[period]} ${period}`);
+    }
+  }
+
+  if (policy.min_keep > 0) {
+    parts.push(`at least ${policy.min_keep} newest`);
+  }
+
+  return parts.join(', ');
+}
+
+module.exports = {
+  GFS_PERIODS,
+  getPeriodKey,
+  normalizeRetention,
+  selectGfsBackups,
+  selectNewestBackups,
+  describeRetention
+};
@@ -0,0 +1,171 @@
+const cronParser = require('cron-parser');
+
+/**
+ * Backup schedules
+ *
+ * `.config` can define several schedules, each running the backup for a
+ * group of targets (selected by target name or tag) on its own cron
+ * expression and timezone. Without `schedules`, the top-level `schedule`
+ * applies to every target, as it always has.
+ *
+ *   "timezone": "Asia/Seoul",
+ *   "catch_up": "once",
+ *   "schedules": [
+ *     { "name": "databases", "cron": "0 * * * *", "tags": ["db"] },
+ *     { "name": "nightly", "cron": "0 2 * * *", "targets": ["project-web"], "catch_up": "skip" }
+ *   ]
+ */
+
+// What the daemon does about runs missed while it was not running
+const CATCH_UP_POLICIES = ['once', 'skip'];
+
+/**
+ * Get the normalized schedules of a configuration
+ * @param {Object} appConfig - Configuration from loadConfig()
+ * @returns {Array} [{ name, cron, timezone, targets, tags, catch_up }]
+ *   (empty targets and tags select every target)
+ * @throws {Error} If a schedule is invalid (bad cron expression, duplicate name, ...)
+ */
+function getSchedules(appConfig) {
+  const schedules = Array.isArray(appConfig.schedules) && appConfig.schedules.length > 0
+    ? appConfig.schedules
+    : [{ name: 'default', cron: appConfig.schedule }];
+
+  const names = new Set();
+
+  return schedules.map((schedule, index) => {
+    const name = schedule.name || `schedule-${index + 1}`;
+
+    if (names.has(name)) {
+      throw new Error(`Duplicate schedule name: ${name}`);
+    }
+    names.add(name);
+
+    const normalized = {
+      name,
+      cron: schedule.cron,
+      timezone: schedule.timezone || appConfig.timezone || null,
+      targets: schedule.targets || [],
+      tags: schedule.tags || [],
+      catch_up: schedule.catch_up || appConfig.catch_up || 'once'
+    };
+
+    if (typeof normalized.cron !== 'string' || !normalized.cron.trim()) {
+      throw new Error(`Schedule "${name}": "cron" is required`);
+    }
+
+    try {
+      parseCron(normalized);
+    } catch (error) {
+      throw new Error(`Schedule "${name}": invalid cron expression or timezone: ${error.message}`);
+    }
+
+    if (!CATCH_UP_POLICIES.includes(normalized.catch_up)) {
+      throw new Error(`Schedule "${name}": "catch_up" must be one of ${CATCH_UP_POLICIES.join(', ')}`);
+    }
+
+    return normalized;
+  });
+}
+
+/**
+ * Parse a schedule's cron expression in its timezone
+ * @param {Object} schedule - Schedule from getSchedules()
+ * @param {Date} currentDate - Time to iterate from (default: now)
+ * @returns {CronExpression} cron-parser iterator
+ */
+function parseCron(schedule, currentDate = new Date()) {
+  const options = { currentDate };
+
+  if (schedule.timezone) {
+    options.tz = schedule.timezone;
+  }
+
+  return cronParser.parseExpression(schedule.cron, options);
+}
+
+/**
+ * Get the next time a schedule fires
+ * @param {Object} schedule - Schedule from getSchedules()
+ * @param {Date} after - Time to look from (default: now)
+ * @returns {Date} Next run time
+ */
+function getNextRun(schedule, after = new Date()) {
+  return parseCron(schedule, after).next().toDate();
+}
+
+/**
+ * Count the times a schedule fired between two moments
+ * @param {Object} schedule - Schedule from getSchedules()
+ * @param {Date} since - Last run (exclusive)
+ * @param {Date} until - Current time (inclusive)
+ * @param {number} limit - Stop counting at this many (default: 1000)
+ * @returns {number} Number of missed runs (at most `limit`)
+ */
+function countMissedRuns(schedule, since, until, limit = 1000) {
+  const interval = parseCron(schedule, since);
+  let count = 0;
+
+  while (count < limit && interval.next().toDate() <= until) {
+    count++;
+  }
+
+  return count;
+}
+
+/**
+ * Get the time a target's newest backup must be newer than to count as fresh
+ *
+ * This is the scheduled run before the most recent one: a target is stale
+ * once it has missed a whole schedule interval (the current run's failure
+ * alone does not make it stale).
+ *
+ * @param {Object} schedule - Schedule from getSchedules()
+ * @param {Date} now - Current time (default: now)
+ * @returns {Date} Freshness cutoff
+ */
+function getFreshnessCutoff(schedule, now = new Date()) {
+  // Look back from slightly later so a run started on time counts as the most recent one
+  const interval = parseCron(schedule, new Date(now.getTime() + 1000));
+  interval.prev();
+
+  return interval.prev().toDate();
+}
+
+/**
+ * Check whether a target belongs to a schedule's target group
+ * @param {Object} target - Target from loadBackupTargets()
+ * @param {Object} group - { targets, tags } (both empty or missing selects every target)
+ * @returns {boolean} True if the target is selected by name or by one of its tags
+ */
+function isTargetInGroup(target, group) {
+  const names = group.targets || [];
+  const tags = group.tags || [];
+
+  if (names.length === 0 && tags.length === 0) {
+    return true;
+  }
+
+  return names.includes(target.name) || target.tags.some(tag => tags.includes(tag));
+}
+
+/**
+ * Get the schedule that backs up a target
+ * @param {Array} schedules - Schedules from getSchedules()
+ * @param {Object} target - Target from loadBackupTargets()
+ * @returns {Object|null} First schedule whose group contains the target, or null
+ */
+function getTargetSchedule(schedules, target) {
+  return schedules.find(schedule => isTargetInGroup(target, schedule)) || null;
+}
+
+module.exports = {
+  CATCH_UP_POLICIES,
+  getSchedules,
+  parseCron,
+  getNextRun,
+  countMissedRuns,
+  getFreshnessCutoff,
+  isTargetInGroup,
+  getTargetSchedule
+};
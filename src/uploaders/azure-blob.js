@@ -0,0 +1,460 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { BlobServiceClient, ContainerClient } = require('@azure/storage-blob');
+const { getContentType, log, formatBytes } = require('../utils');
+const { createHashingStream, computeFileChecksum } = require('../checksum');
+const BaseUploader = require('./base');
+
+const MB = 1024 * 1024;
+
+// 블록 블롭의 최대 블록 수
+const MAX_BLOCKS = 50000;
+
+// 액세스 계층 (S3의 storage_class에 해당)
+const ACCESS_TIERS = ['Hot', 'Cool', 'Cold', 'Archive'];
+
+// 연결 문자열을 담은 기본 환경변수 (Azure CLI와 같은 이름)
+const DEFAULT_CONNECTION_STRING_ENV = 'AZURE_STORAGE_CONNECTION_STRING';
+
+/**
+ * Azure Blob Storage 업로더
+ *
+ * @azure/storage-blob을 사용하여 Azure Blob Storage 컨테이너에 블록 블롭으로 백업 업로드
+ * 블록 크기보다 큰 파일은 여러 블록을 동시에 업로드한 뒤 커밋
+ * (실패한 업로드의 커밋되지 않은 블록은 Azure가 7일 후 삭제)
+ *
+ * 인증 방식:
+ * 1. 연결 문자열 (connection_string_env, 기본값: AZURE_STORAGE_CONNECTION_STRING 환경변수)
+ * 2. SAS 토큰 (account_url + sas_token_env)
+ */
+class AzureBlobUploader extends BaseUploader {
+  constructor(config) {
+    super(config);
+    // 컨테이너 이름
+    this.container = config.container;
+    // 블롭 이름 프리픽스 (예: 'backups/')
+    this.prefix = config.prefix || '';
+    // 액세스 계층 (지정하지 않으면 스토리지 계정의 기본 계층)
+    this.accessTier = null;
+    // 블록 크기 (MB), 이보다 큰 파일은 여러 블록으로 나눠 업로드
+    this.blockSizeMb = config.block_size_mb || 8;
+    // 동시에 업로드할 블록 수
+    this.blockConcurrency = config.block_concurrency || 4;
+    // Container Client 인스턴스
+    this.containerClient = null;
+    // 초기화 플래그
+    this.initialized = false;
+
+    if (!this.container) {
+      throw new Error('Azure container is required');
+    }
+
+    if (config.access_tier) {
+      this.accessTier = ACCESS_TIERS.find(tier => tier.toLowerCase() === String(config.access_tier).toLowerCase());
+
+      if (!this.accessTier) {
+        throw new Error(`Azure access_tier must be one of ${ACCESS_TIERS.join(', ')}`);
+      }
+    }
+
+    if (config.account_url && config.connection_string_env) {
+      throw new Error('Azure connection_string_env and account_url cannot be used together');
+    }
+
+    if (Boolean(config.account_url) !== Boolean(config.sas_token_env)) {
+      throw new Error('Azure account_url and sas_token_env must be set together');
+    }
+
+    if (!(Number.isInteger(this.blockSizeMb) && this.blockSizeMb > 0 && this.blockSizeMb <= 4000)) {
+      throw new Error('Azure block_size_mb must be an integer between 1 and 4000');
+    }
+
+    if (!(Number.isInteger(this.blockConcurrency) && this.blockConcurrency > 0)) {
+      throw new Error('Azure block_concurrency must be a positive integer');
+    }
+  }
+
+  /**
+   * Container Client 초기화
+   *
+   * @throws {Error} 연결 문자열이나 SAS 토큰 환경변수가 비어 있는 경우
+   */
+  async initialize() {
+    if (this.config.account_url) {
+      const sasToken = process.env[this.config.sas_token_env];
+
+      if (!sasToken) {
+        throw new Error(`Environment variable ${this.config.sas_token_env} (sas_token_env) is not set`);
+      }
+
+      // 계정 SAS와 컨테이너 SAS 모두 컨테이너 URL의 쿼리로 전달
+      const accountUrl = this.config.account_url.replace(/\/+$/, '');
+      this.containerClient = new ContainerClient(
+        `${accountUrl}/${encodeURIComponent(this.container)}?${sasToken.replace(/^\?/, '')}`
+      );
+    } else {
+      const envName = this.config.connection_string_env || DEFAULT_CONNECTION_STRING_ENV;
+      const connectionString = process.env[envName];
+
+      if (!connectionString) {
+        throw new Error(`Environment variable ${envName} (connection_string_env) is not set`);
+      }
+
+      this.containerClient = BlobServiceClient.fromConnectionString(connectionString).getContainerClient(this.container);
+    }
+
+    this.initialized = true;
+    log(`Azure Blob client initialized (container: ${this.container}, tier: ${this.accessTier || 'account default'})`);
+  }
+
+  /**
+   * 블롭 클라이언트
+   *
+   * @param {string} fileName - 파일 이름
+   * @returns {BlockBlobClient} 프리픽스를 붙인 블롭의 클라이언트
+   */
+  getBlobClient(fileName) {
+    return this.containerClient.getBlockBlobClient(`${this.prefix}${fileName}`);
+  }
+
+  /**
+   * 파일 크기에 맞는 블록 크기
+   *
+   * 블록 수가 MAX_BLOCKS를 넘지 않도록 설정보다 크게 조정합니다.
+   *
+   * @param {number} fileSize - 파일 크기 (바이트)
+   * @returns {number} 블록 크기 (바이트)
+   */
+  getBlockSize(fileSize) {
+    return Math.max(this.blockSizeMb * MB, Math.ceil(fileSize / MAX_BLOCKS));
+  }
+
+  /**
+   * Azure Blob Storage에 파일 업로드
+   *
+   * 블록 크기보다 큰 파일은 block_concurrency개씩 블록을 동시에 업로드하고 10% 단위로 진행률을 출력합니다.
+   *
+   * @param {string} filePath - 업로드할 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - SHA-256 (hex), 블롭 메타데이터(sha256)로 저장
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadFile(filePath, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Azure Blob client not initialized');
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const fileSize = fs.statSync(filePath).size;
+    const blockSize = this.getBlockSize(fileSize);
+    const blobClient = this.getBlobClient(fileName);
+    log(`Uploading to Azure container ${this.container}: ${blobClient.name} (${formatBytes(fileSize)})`);
+
+    if (fileSize > blockSize) {
+      log(`Block upload: ${Math.ceil(fileSize / blockSize)} block(s) of ${formatBytes(blockSize)}, ${this.blockConcurrency} at a time`);
+    }
+
+    let lastReported = 0;
+
+    try {
+      await blobClient.uploadFile(filePath, {
+        blockSize,
+        maxSingleShotSize: blockSize,
+        concurrency: this.blockConcurrency,
+        tier: this.accessTier || undefined,
+        metadata: options.checksum ? { sha256: options.checksum } : undefined,
+        blobHTTPHeaders: { blobContentType: getContentType(fileName) },
+        onProgress: ({ loadedBytes }) => {
+          // 진행률 출력 (10% 단위, 블록 업로드만)
+          const percent = Math.floor((loadedBytes / fileSize) * 10) * 10;
+          if (fileSize > blockSize && percent > lastReported) {
+            lastReported = percent;
+            log(`  ${fileName}: ${percent}% (${formatBytes(loadedBytes)})`);
+          }
+        }
+      });
+
+      log(`Upload successful: ${fileName} → ${this.container}/${blobClient.name}`);
+
+      return {
+        name: fileName,
+        size: fileSize
+      };
+
+    } catch (error) {
+      throw new Error(`Azure Blob upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 스트리밍 업로드 지원
+   *
+   * @returns {boolean} true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * 스트림을 블록 블롭으로 업로드 (스트리밍 모드)
+   *
+   * 블록 크기만큼 모아 동시에 업로드한 뒤 커밋하고, 업로드 후 블롭 크기를 스트림과 비교합니다.
+   * SHA-256은 업로드가 끝나야 알 수 있으므로 메타데이터를 나중에 설정하고,
+   * Archive 계층에서는 메타데이터를 바꿀 수 없으므로 액세스 계층도 그 뒤에 설정합니다.
+   * 커밋 전에 실패하면 블롭이 만들어지지 않으며, 커밋 후 실패하면 블롭을 삭제합니다.
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {number} options.partSizeMb - 블록 크기 (MB, 기본값: block_size_mb)
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadStream(stream, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Azure Blob client not initialized');
+    }
+
+    const blobClient = this.getBlobClient(fileName);
+    const hasher = createHashingStream();
+    log(`Streaming to Azure container ${this.container}: ${blobClient.name}`);
+
+    try {
+      await Promise.all([
+        pipeline(stream, hasher),
+        blobClient.uploadStream(hasher, (options.partSizeMb || this.blockSizeMb) * MB, this.blockConcurrency, {
+          blobHTTPHeaders: { blobContentType: getContentType(fileName) }
+        })
+      ]);
+
+      try {
+        const properties = await blobClient.getProperties();
+        if (properties.contentLength !== hasher.bytes) {
+          throw new Error(`Size mismatch for ${blobClient.name}: streamed ${hasher.bytes}, remote ${properties.contentLength}`);
+        }
+
+        await blobClient.setMetadata({ sha256: hasher.digest() });
+
+        if (this.accessTier) {
+          await blobClient.setAccessTier(this.accessTier);
+        }
+
+      } catch (error) {
+        await blobClient.deleteIfExists().catch(() => {});
+        throw error;
+      }
+
+      log(`Upload successful: ${fileName} → ${this.container}/${blobClient.name} (${formatBytes(hasher.bytes)})`);
+
+      return {
+        name: fileName,
+        size: hasher.bytes
+      };
+
+    } catch (error) {
+      throw new Error(`Azure Blob streaming upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로드된 파일 무결성 검증
+   *
+   * 블롭 크기를 로컬 파일과 비교하고, 블롭 메타데이터의 SHA-256을 로컬 체크섬과 비교합니다.
+   * (저장된 내용 자체는 다운로드 시 SHA-256을 다시 계산해 확인)
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 업로드된 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (hex)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 블롭이 없거나 크기 또는 체크섬이 일치하지 않는 경우
+   */
+  async verifyUpload(filePath, remotePath, fileName, checksum) {
+    if (!this.initialized) {
+      throw new Error('Azure Blob client not initialized');
+    }
+
+    const blobClient = this.getBlobClient(fileName);
+    const localSize = fs.statSync(filePath).size;
+
+    let properties;
+    try {
+      properties = await blobClient.getProperties();
+    } catch (error) {
+      throw new Error(`Azure integrity check failed for ${blobClient.name}: ${error.message}`);
+    }
+
+    if (properties.contentLength !== localSize) {
+      throw new Error(`Size mismatch for ${blobClient.name}: local ${localSize}, remote ${properties.contentLength}`);
+    }
+
+    const localChecksum = checksum || await computeFileChecksum(filePath);
+    const remoteChecksum = properties.metadata && properties.metadata.sha256;
+
+    if (remoteChecksum && remoteChecksum !== localChecksum) {
+      throw new Error(`Checksum mismatch for ${blobClient.name}: local ${localChecksum}, remote ${remoteChecksum}`);
+    }
+
+    log(`Integrity verified in Azure: ${fileName} (${remoteChecksum ? `sha256: ${localChecksum}` : `size: ${localSize}`})`);
+    return true;
+  }
+
+  /**
+   * Azure Blob Storage에서 파일 다운로드
+   *
+   * 받은 파일의 SHA-256을 블롭 메타데이터(sha256)와 비교합니다.
+   * Archive 계층의 블롭은 먼저 Hot 또는 Cool 계층으로 리하이드레이션해야 합니다.
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 다운로드할 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드된 파일 정보 {name, size, path}
+   */
+  async downloadFile(remotePath, fileName, localPath) {
+    if (!this.initialized) {
+      throw new Error('Azure Blob client not initialized');
+    }
+
+    const blobClient = this.getBlobClient(fileName);
+    log(`Downloading from Azure container ${this.container}: ${blobClient.name}`);
+
+    try {
+      const properties = await blobClient.getProperties();
+
+      if (properties.accessTier === 'Archive') {
+        throw new Error(
+          `${blobClient.name} is in the Archive tier` +
+          (properties.archiveStatus ? ` (${properties.archiveStatus})` : '') +
+          `; rehydrate it first: az storage blob set-tier --container-name ${this.container} --name ${blobClient.name} --tier Hot`
+        );
+      }
+
+      // 로컬 디렉토리가 없으면 생성
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+
+      const hasher = createHashingStream();
+      const response = await blobClient.download();
+      await pipeline(response.readableStreamBody, hasher, fs.createWriteStream(localPath));
+
+      const expected = properties.metadata && properties.metadata.sha256;
+      const actual = hasher.digest();
+
+      if (expected && actual !== expected) {
+        throw new Error(`Checksum mismatch for ${fileName}: expected ${expected}, got ${actual}`);
+      }
+
+      log(`Download successful: ${fileName} (${formatBytes(hasher.bytes)})`);
+
+      return {
+        name: fileName,
+        size: hasher.bytes,
+        path: localPath
+      };
+
+    } catch (error) {
+      throw new Error(`Azure Blob download failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 컨테이너의 파일 목록 조회
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @returns {Promise<Array>} 파일 목록 [{name, size, createdTime}]
+   */
+  async listFiles(remotePath) {
+    if (!this.initialized) {
+      throw new Error('Azure Blob client not initialized');
+    }
+
+    try {
+      const files = [];
+
+      // 하위 경로('/' 포함)의 블롭은 제외
+      for await (const item of this.containerClient.listBlobsByHierarchy('/', { prefix: this.prefix })) {
+        if (item.kind === 'prefix') {
+          continue;
+        }
+
+        files.push({
+          name: item.name.slice(this.prefix.length), // 프리픽스 제거
+          size: item.properties.contentLength,
+          createdTime: (item.properties.createdOn || item.properties.lastModified).toISOString(),
+          id: item.name
+        });
+      }
+
+      return files.sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+
+    } catch (error) {
+      throw new Error(`Failed to list Azure blobs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Azure Blob Storage에서 파일 삭제 (스냅샷 포함)
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 삭제할 파일 이름
+   */
+  async deleteFile(remotePath, fileName) {
+    if (!this.initialized) {
+      throw new Error('Azure Blob client not initialized');
+    }
+
+    try {
+      await this.getBlobClient(fileName).delete({ deleteSnapshots: 'include' });
+      log(`Deleted file from Azure container ${this.container}: ${fileName}`);
+
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  /**
+   * 연결 테스트
+   *
+   * 컨테이너의 블롭 목록을 조회해 인증, 컨테이너 존재 여부, 목록 권한을 확인합니다.
+   *
+   * @returns {Promise<boolean>} 연결 성공 여부
+   */
+  async testConnection() {
+    if (!this.initialized) {
+      throw new Error('Azure Blob client not initialized');
+    }
+
+    try {
+      await this.containerClient.listBlobsFlat({ prefix: this.prefix }).byPage({ maxPageSize: 1 }).next();
+      log(`Azure Blob connection OK (container: ${this.container})`);
+      return true;
+
+    } catch (error) {
+      if (error.statusCode === 404) {
+        throw new Error(`Azure container '${this.container}' not found`);
+      }
+
+      if (error.statusCode === 403) {
+        throw new Error(`Access denied to Azure container '${this.container}' (check the connection string or SAS permissions: read, add, create, write, delete, list)`);
+      }
+
+      throw new Error(`Azure Blob connection test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로더 타입 반환
+   *
+   * @returns {string} 'azure-blob'
+   */
+  getType() {
+    return 'azure-blob';
+  }
+}
+
+module.exports = AzureBlobUploader;
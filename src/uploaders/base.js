@@ -1,3 +1,7 @@
+const { parseBackupFilename, log } = require('../utils');
+const { isChunkFile } = require('../repository');
+const { normalizeRetention, selectGfsBackups, selectNewestBackups } = require('../retention');
+
 /**
  * BaseUploader - 모든 업로더의 공통 인터페이스
  *
@@ -8,6 +12,11 @@
  * - GDriveUploader: Google Drive (rclone)
  * - S3RcloneUploader: AWS S3 (rclone)
  * - S3SdkUploader: AWS S3 (AWS SDK)
+ * - LocalUploader: 로컬 디렉토리 또는 마운트된 볼륨 (NAS)
+ * - SftpUploader: SSH 서버 (SFTP)
+ * - WebdavUploader: WebDAV 서버 (Nextcloud, ownCloud 등)
+ * - AzureBlobUploader: Azure Blob Storage
+ * - GcsUploader: Google Cloud Storage
  */
 class BaseUploader {
   constructor(config) {
@@ -31,13 +40,86 @@ class BaseUploader {
    * @param {string} filePath - 로컬 파일 경로
    * @param {string} remotePath - 원격 저장소 경로
    * @param {string} fileName - 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - 파일의 SHA-256 (hex), 원격 객체 메타데이터로 저장
    * @returns {Promise<Object>} 업로드 결과 {name, size}
    * @throws {Error} 하위 클래스에서 반드시 구현해야 함
    */
-  async uploadFile(filePath, remotePath, fileName) {
+  async uploadFile(filePath, remotePath, fileName, options = {}) {
     throw new Error('uploadFile() must be implemented by subclass');
   }
 
+  /**
+   * 스트리밍 업로드 지원 여부
+   *
+   * 스트리밍 모드(.config의 streaming)는 모든 업로더가 uploadStream()을 지원해야 합니다.
+   *
+   * @returns {boolean} uploadStream()을 구현했으면 true
+   */
+  supportsStreaming() {
+    return false;
+  }
+
+  /**
+   * 저장소 모드 지원 여부
+   *
+   * 저장소 모드(.config의 repository)로 백업하는 대상은 이 값이 true인 업로더에만 보낼 수 있습니다.
+   *
+   * @returns {boolean} 저장소 청크와 스냅샷을 저장할 수 있으면 true
+   */
+  supportsRepository() {
+    return true;
+  }
+
+  /**
+   * 스트림 업로드 (스트리밍 모드)
+   *
+   * 전체 크기를 미리 알 수 없는 스트림(아카이브 또는 pg_dump 출력)을
+   * 로컬 파일 없이 끝까지 읽어 원격 파일로 저장하고, 저장된 크기(가능하면 해시)를 검증합니다.
+   * 업로드나 검증에 실패하면 원격에 남은 불완전한 파일(또는 멀티파트 업로드)을 정리한 뒤 에러를 던집니다.
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} remotePath - 원격 저장소 경로
+   * @param {string} fileName - 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {number} options.partSizeMb - 멀티파트 업로드의 파트 크기 (MB, .config의 streaming.part_size_mb)
+   * @returns {Promise<Object>} 업로드 결과 {name, size}
+   * @throws {Error} 스트리밍 업로드를 지원하지 않는 업로더
+   */
+  async uploadStream(stream, remotePath, fileName, options = {}) {
+    throw new Error(`${this.getType()} does not support streaming uploads`);
+  }
+
+  /**
+   * 업로드된 파일 무결성 검증
+   *
+   * 원격 객체가 로컬 파일과 일치하는지 확인합니다.
+   * 불일치 시 에러를 던지므로 retry()로 감싸면 재업로드됩니다.
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} remotePath - 원격 저장소 경로
+   * @param {string} fileName - 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (hex)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 불일치하거나 검증에 실패한 경우
+   */
+  async verifyUpload(filePath, remotePath, fileName, checksum) {
+    throw new Error('verifyUpload() must be implemented by subclass');
+  }
+
+  /**
+   * 파일 다운로드
+   *
+   * @param {string} remotePath - 원격 저장소 경로
+   * @param {string} fileName - 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드 결과 {name, size, path}
+   * @throws {Error} 하위 클래스에서 반드시 구현해야 함
+   */
+  async downloadFile(remotePath, fileName, localPath) {
+    throw new Error('downloadFile() must be implemented by subclass');
+  }
+
   /**
    * 파일 목록 조회
    *
@@ -61,33 +143,215 @@ class BaseUploader {
   }
 
   /**
-   * 오래된 백업 정리
+   * 보관 정책 설정
+   *
+   * 업로드할 때 보관 정책이 필요한 업로더(예: S3 Object Lock의 보관 기한)를 위해
+   * 백업 실행 시 업로더 초기화 후 호출됩니다.
+   *
+   * @param {number|Object} retention - 기본 보관 정책 (selectExpiredBackups() 참고)
+   * @param {Object} retentionByTarget - 대상별 보관 정책 (selectExpiredBackups() 참고)
+   */
+  setRetentionPolicy(retention, retentionByTarget = {}) {
+    this.retention = { policy: retention, byTarget: retentionByTarget };
+  }
+
+  /**
+   * 파일이 삭제할 수 없도록 잠겨 있는지 확인
+   *
+   * 정리 시 잠긴 백업은 삭제하지 않고 건너뜁니다.
+   * 잠금을 지원하는 업로더(예: S3 Object Lock)에서 재정의합니다.
    *
    * @param {string} remotePath - 원격 저장소 경로
-   * @param {number} retentionDays - 보관 일수
+   * @param {string} fileName - 파일 이름
+   * @returns {Promise<string|null>} 잠겨 있으면 이유 (예: 'COMPLIANCE until 2025-11-10T02:00:00.000Z'), 아니면 null
    */
-  async cleanupOldBackups(remotePath, retentionDays) {
-    const files = await this.listFiles(remotePath);
+  async getLockReason(remotePath, fileName) {
+    return null;
+  }
 
-    if (files.length === 0) {
-      return;
+  /**
+   * 이 도구가 만들지 않은 파일 선택
+   *
+   * 백업 파일명 형식(folder-/db-/snapshot-<대상>-<타임스탬프>.<확장자>)이 아니고
+   * 저장소 청크도 아닌 파일입니다. 정리 대상에서 제외되며 로그로만 보고합니다.
+   *
+   * @param {Array} files - listFiles() 결과 [{name, size, createdTime}]
+   * @returns {Array} 인식하지 못한 파일 목록
+   */
+  selectUnrecognizedFiles(files) {
+    return files.filter(file => !parseBackupFilename(file.name) && !isChunkFile(file.name));
+  }
+
+  /**
+   * 보관 정책에 따라 삭제 대상 백업 선택
+   *
+   * 이 도구의 파일명 형식을 따르는 백업만 대상으로 하며,
+   * 보관 정책은 파일명의 종류와 대상 이름(예: folder-mydata, db-mydb)별로 적용합니다.
+   * 인식하지 못한 파일(selectUnrecognizedFiles())은 나이와 무관하게 삭제하지 않습니다.
+   *
+   * 다음 중 하나에 해당하는 백업은 보관합니다:
+   * - 생성일이 보관 기간(days) 이내인 파일
+   * - GFS 정책에 따라 최근 N일/N주/N개월/N년 각 기간을 대표하는 백업
+   *   (파일명의 타임스탬프 기준, 대상별로 각 기간의 가장 최신 백업)
+   * - 대상별로 가장 최신 백업 min_keep개 (나이와 무관)
+   * - skipTargets에 있는 대상(이번 실행에서 백업이 실패한 대상)의 모든 백업
+   *
+   * 보관 중인 증분 백업이 의존하는 전체 백업은 보관 기간이 지났더라도 남겨둡니다.
+   * (증분 백업은 기준 전체 백업 없이는 복원할 수 없기 때문)
+   * 저장소 모드의 청크는 나이와 무관하게 스냅샷이 참조하는 동안 유지되므로
+   * 여기서 고르지 않고 repository.garbageCollect()가 정리합니다.
+   *
+   * @param {Array} files - listFiles() 결과 [{name, size, createdTime}]
+   * @param {number|Object} retention - 기본 보관 정책 { days, daily, weekly, monthly, yearly } (숫자면 보관 일수)
+   * @param {Object} retentionByTarget - 대상별 보관 정책 (예: { 'db-mydb': { days: 7, monthly: 12 } })
+   * @param {string[]} skipTargets - 정리하지 않을 대상 (예: ['db-mydb'])
+   * @returns {Array} 삭제할 파일 목록
+   */
+  selectExpiredBackups(files, retention, retentionByTarget = {}, skipTargets = []) {
+    const defaultPolicy = normalizeRetention(retention);
+
+    // 이 도구가 만든 백업 파일만 대상 (청크와 인식하지 못한 파일 제외)
+    const backups = files
+      .map(file => ({ file, parsed: parseBackupFilename(file.name) }))
+      .filter(({ parsed }) => parsed);
+
+    // 파일명의 종류와 대상 이름으로 보관 정책 결정 (대상별 설정이 없으면 기본값)
+    const policyOf = parsed => retentionByTarget[`${parsed.kind}-${parsed.target}`]
+      ? normalizeRetention(retentionByTarget[`${parsed.kind}-${parsed.target}`])
+      : defaultPolicy;
+
+    const isWithinDays = (file, days) => {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - days);
+
+      return new Date(file.createdTime) >= cutoffDate;
+    };
+
+    // 보관할 파일 이름 수집 및 대상별로 묶기 (GFS 선택용)
+    const retained = new Set();
+    const groups = new Map();
+
+    for (const { file, parsed } of backups) {
+      const policy = policyOf(parsed);
+
+      if (isWithinDays(file, policy.days) || skipTargets.includes(`${parsed.kind}-${parsed.target}`)) {
+        retained.add(file.name);
+      }
+
+      const key = `${parsed.kind}-${parsed.target}`;
+      if (!groups.has(key)) {
+        groups.set(key, { policy, backups: [] });
+      }
+      groups.get(key).backups.push({ name: file.name, timestamp: parsed.timestamp });
+    }
+
+    for (const group of groups.values()) {
+      const kept = [
+        ...selectGfsBackups(group.backups, group.policy),
+        ...selectNewestBackups(group.backups, group.policy)
+      ];
+
+      for (const name of kept) {
+        retained.add(name);
+      }
+    }
+
+    // 보관 중인 증분 백업이 참조하는 전체 백업 키 수집 (예: folder-mydata-1760061600000)
+    const requiredBases = new Set();
+    for (const { file, parsed } of backups) {
+      if (parsed.type === 'incremental' && retained.has(file.name)) {
+        requiredBases.add(`${parsed.kind}-${parsed.target}-${parsed.base.getTime()}`);
+      }
     }
 
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
+    return backups
+      .filter(({ file, parsed }) => {
+        if (retained.has(file.name)) {
+          return false;
+        }
 
-    let deletedCount = 0;
+        const isRequiredBase = parsed.type === 'full' &&
+          requiredBases.has(`${parsed.kind}-${parsed.target}-${parsed.timestamp.getTime()}`);
 
-    for (const file of files) {
-      const fileDate = new Date(file.createdTime);
+        return !isRequiredBase;
+      })
+      .map(({ file }) => file);
+  }
 
-      if (fileDate < cutoffDate) {
-        await this.deleteFile(remotePath, file.name);
-        deletedCount++;
+  /**
+   * 정리 계획: cleanupOldBackups()가 삭제할 파일과 잠겨 있어 건너뛸 파일
+   *
+   * 삭제 대상은 selectExpiredBackups()로 선택하고, 그중 잠긴 파일(getLockReason())은 건너뜁니다.
+   * 드라이런도 이 계획을 출력하므로, 실제 정리와 같은 파일을 보여 줍니다.
+   *
+   * @param {string} remotePath - 원격 저장소 경로
+   * @param {number|Object} retention - 기본 보관 정책 (selectExpiredBackups() 참고)
+   * @param {Object} retentionByTarget - 대상별 보관 정책 (selectExpiredBackups() 참고)
+   * @param {string[]} skipTargets - 정리하지 않을 대상 (selectExpiredBackups() 참고)
+   * @returns {Promise<Object>} { files, toDelete, locked: [{ file, reason }] } (files는 listFiles() 결과)
+   */
+  async planCleanup(remotePath, retention, retentionByTarget = {}, skipTargets = []) {
+    const files = await this.listFiles(remotePath);
+    const toDelete = [];
+    const locked = [];
+
+    for (const file of this.selectExpiredBackups(files, retention, retentionByTarget, skipTargets)) {
+      const reason = await this.getLockReason(remotePath, file.name);
+
+      if (reason) {
+        locked.push({ file, reason });
+      } else {
+        toDelete.push(file);
       }
     }
 
-    return deletedCount;
+    return { files, toDelete, locked };
+  }
+
+  /**
+   * 오래된 백업 정리
+   *
+   * 삭제 대상은 planCleanup()으로 선택합니다.
+   * 이 도구가 만들지 않은 파일은 삭제하지 않고 경고로 보고합니다.
+   * 잠긴 파일(getLockReason())은 삭제하지 않고 건너뛰며, 잠금이 풀린 뒤의 정리에서 삭제됩니다.
+   *
+   * @param {string} remotePath - 원격 저장소 경로
+   * @param {number|Object} retention - 기본 보관 정책 (selectExpiredBackups() 참고)
+   * @param {Object} retentionByTarget - 대상별 보관 정책 (selectExpiredBackups() 참고)
+   * @param {string[]} skipTargets - 정리하지 않을 대상 (selectExpiredBackups() 참고)
+   * @returns {Promise<number>} 삭제한 파일 수
+   */
+  async cleanupOldBackups(remotePath, retention, retentionByTarget = {}, skipTargets = []) {
+    const { files, toDelete, locked } = await this.planCleanup(remotePath, retention, retentionByTarget, skipTargets);
+
+    if (files.length === 0) {
+      return 0;
+    }
+
+    this.reportUnrecognizedFiles(files);
+
+    for (const { file, reason } of locked) {
+      log(`Skipping locked backup ${file.name} (${reason})`);
+    }
+
+    for (const file of toDelete) {
+      await this.deleteFile(remotePath, file.name);
+    }
+
+    return toDelete.length;
+  }
+
+  /**
+   * 정리 대상에서 제외한 (이 도구가 만들지 않은) 파일 보고
+   *
+   * @param {Array} files - listFiles() 결과 [{name, size, createdTime}]
+   */
+  reportUnrecognizedFiles(files) {
+    const unrecognized = this.selectUnrecognizedFiles(files);
+
+    if (unrecognized.length > 0) {
+      log(`Leaving ${unrecognized.length} file(s) not created by this tool untouched: ${unrecognized.map(file => file.name).join(', ')}`, 'warn');
+    }
   }
 
   /**
@@ -100,10 +364,22 @@ class BaseUploader {
     throw new Error('testConnection() must be implemented by subclass');
   }
 
+  /**
+   * 원격 저장소 경로 반환
+   *
+   * .config의 folder_path(Google Drive, WebDAV) 또는 prefix(S3, Azure, GCS) 값을 사용합니다.
+   * 백업 업로드, 복원, 목록 조회, 정리 모두 이 경로를 기준으로 동작합니다.
+   *
+   * @returns {string} 원격 저장소 경로
+   */
+  getRemotePath() {
+    return this.config?.folder_path || this.config?.prefix || '';
+  }
+
   /**
    * 업로더 타입 반환
    *
-   * @returns {string} 업로더 타입 ('gdrive', 's3-rclone', 's3-sdk')
+   * @returns {string} 업로더 타입 ('gdrive', 's3-rclone', 's3-sdk', 'local', 'sftp', 'webdav', 'azure-blob', 'gcs')
    * @throws {Error} 하위 클래스에서 반드시 구현해야 함
    */
   getType() {
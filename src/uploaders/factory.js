@@ -1,6 +1,11 @@
 const GDriveUploader = require('./gdrive');
 const S3RcloneUploader = require('./s3-rclone');
 const S3SdkUploader = require('./s3-sdk');
+const LocalUploader = require('./local');
+const SftpUploader = require('./sftp');
+const WebdavUploader = require('./webdav');
+const AzureBlobUploader = require('./azure-blob');
+const GcsUploader = require('./gcs');
 
 /**
  * Uploader Factory
@@ -11,12 +16,17 @@ const S3SdkUploader = require('./s3-sdk');
  * - 'gdrive': Google Drive (rclone)
  * - 's3-rclone': AWS S3 (rclone)
  * - 's3-sdk': AWS S3 (AWS SDK)
+ * - 'local': 로컬 디렉토리 또는 마운트된 볼륨 (NAS)
+ * - 'sftp': SSH 서버 (SFTP)
+ * - 'webdav': WebDAV 서버 (Nextcloud, ownCloud 등)
+ * - 'azure-blob': Azure Blob Storage
+ * - 'gcs': Google Cloud Storage
  */
 class UploaderFactory {
   /**
    * 업로더 인스턴스 생성
    *
-   * @param {string} type - 업로더 타입 ('gdrive', 's3-rclone', 's3-sdk')
+   * @param {string} type - 업로더 타입 ('gdrive', 's3-rclone', 's3-sdk', 'local', 'sftp', 'webdav', 'azure-blob', 'gcs')
    * @param {Object} config - 업로더 설정
    * @returns {BaseUploader} 업로더 인스턴스
    * @throws {Error} 지원하지 않는 타입인 경우
@@ -32,10 +42,25 @@ class UploaderFactory {
       case 's3-sdk':
         return new S3SdkUploader(config);
 
+      case 'local':
+        return new LocalUploader(config);
+
+      case 'sftp':
+        return new SftpUploader(config);
+
+      case 'webdav':
+        return new WebdavUploader(config);
+
+      case 'azure-blob':
+        return new AzureBlobUploader(config);
+
+      case 'gcs':
+        return new GcsUploader(config);
+
       default:
         throw new Error(
           `Unsupported uploader type: ${type}\n` +
-          `Supported types: gdrive, s3-rclone, s3-sdk`
+          `Supported types: gdrive, s3-rclone, s3-sdk, local, sftp, webdav, azure-blob, gcs`
         );
     }
   }
@@ -84,6 +109,34 @@ class UploaderFactory {
 
     return uploaders;
   }
+
+  /**
+   * 활성화된 업로더들을 생성하고 초기화
+   *
+   * 복원, 목록 조회 등 업로드 이외의 명령에서 사용합니다.
+   *
+   * @param {Array} uploadersConfig - .config 파일의 uploaders 배열
+   * @param {string} [type] - 지정 시 해당 타입의 업로더만 사용
+   * @returns {Promise<Array<BaseUploader>>} 초기화된 업로더 인스턴스 배열
+   * @throws {Error} 지정한 타입의 업로더가 활성화되어 있지 않은 경우
+   */
+  static async initializeFromConfig(uploadersConfig, type) {
+    let uploaders = UploaderFactory.createFromConfig(uploadersConfig);
+
+    if (type) {
+      uploaders = uploaders.filter(u => u.getType() === type);
+
+      if (uploaders.length === 0) {
+        throw new Error(`No enabled uploader of type '${type}' in .config`);
+      }
+    }
+
+    for (const uploader of uploaders) {
+      await uploader.initialize();
+    }
+
+    return uploaders;
+  }
 }
 
 module.exports = UploaderFactory;
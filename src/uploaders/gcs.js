@@ -0,0 +1,547 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Storage, CRC32C } = require('@google-cloud/storage');
+const { getContentType, log, formatBytes } = require('../utils');
+const { createHashingStream, computeFileChecksum } = require('../checksum');
+const configLoader = require('../config');
+const BaseUploader = require('./base');
+
+const MB = 1024 * 1024;
+
+// 스토리지 클래스 (S3의 storage_class에 해당)
+const STORAGE_CLASSES = ['STANDARD', 'NEARLINE', 'COLDLINE', 'ARCHIVE'];
+
+/**
+ * Google Cloud Storage 업로더
+ *
+ * @google-cloud/storage를 사용하여 GCS 버킷에 백업 업로드 (rclone 불필요)
+ * resumable_threshold_mb보다 큰 파일은 재개 가능한 업로드(resumable upload)로 chunk_size_mb씩 전송하고,
+ * 업로드 세션 URI를 STATE_DIR에 저장해 실패 후 다시 시도하면 서버에 이미 있는 부분은 건너뜁니다.
+ * 업로드와 다운로드 모두 CRC32C로 전송 내용을 검증합니다.
+ *
+ * 인증 방식:
+ * 1. 서비스 계정 키 파일 (key_file)
+ * 2. Application Default Credentials (GOOGLE_APPLICATION_CREDENTIALS 환경변수, gcloud, GCE 메타데이터)
+ * 3. 인증 없음 (api_endpoint로 로컬 fake GCS 서버를 지정한 경우)
+ */
+class GcsUploader extends BaseUploader {
+  constructor(config) {
+    super(config);
+    // 버킷 이름
+    this.bucketName = config.bucket;
+    // 객체 이름 프리픽스 (예: 'backups/')
+    this.prefix = config.prefix || '';
+    // 스토리지 클래스 (지정하지 않으면 버킷의 기본 클래스)
+    this.storageClass = null;
+    // 이보다 큰 파일은 재개 가능한 업로드 사용 (MB)
+    this.resumableThresholdMb = config.resumable_threshold_mb ?? 8;
+    // 재개 가능한 업로드의 청크 크기 (MB, 256KB의 배수여야 하므로 MB 단위로 지정)
+    this.chunkSizeMb = config.chunk_size_mb || 16;
+    // Bucket 인스턴스
+    this.bucket = null;
+    // 초기화 플래그
+    this.initialized = false;
+
+    if (!this.bucketName) {
+      throw new Error('GCS bucket is required');
+    }
+
+    if (config.storage_class) {
+      this.storageClass = String(config.storage_class).toUpperCase();
+
+      if (!STORAGE_CLASSES.includes(this.storageClass)) {
+        throw new Error(`GCS storage_class must be one of ${STORAGE_CLASSES.join(', ')}`);
+      }
+    }
+
+    if (!(Number.isInteger(this.chunkSizeMb) && this.chunkSizeMb > 0)) {
+      throw new Error('GCS chunk_size_mb must be a positive integer');
+    }
+
+    if (!(typeof this.resumableThresholdMb === 'number' && this.resumableThresholdMb >= 0)) {
+      throw new Error('GCS resumable_threshold_mb must be a non-negative number');
+    }
+  }
+
+  /**
+   * Storage 클라이언트 초기화
+   *
+   * @throws {Error} key_file이 없는 경우
+   */
+  async initialize() {
+    const options = {};
+
+    if (this.config.project_id) {
+      options.projectId = this.config.project_id;
+    }
+
+    if (this.config.key_file) {
+      if (!fs.existsSync(this.config.key_file)) {
+        throw new Error(`GCS key_file not found: ${this.config.key_file}`);
+      }
+      options.keyFilename = this.config.key_file;
+    }
+
+    if (this.config.api_endpoint) {
+      // fake GCS 서버 등 사용자 지정 엔드포인트에는 인증 정보를 보내지 않음
+      options.apiEndpoint = this.config.api_endpoint.replace(/\/+$/, '');
+    }
+
+    this.bucket = new Storage(options).bucket(this.bucketName);
+
+    this.initialized = true;
+    log(`GCS client initialized (bucket: ${this.bucketName}, class: ${this.storageClass || 'bucket default'})`);
+  }
+
+  /**
+   * 객체 메타데이터
+   *
+   * @param {string} fileName - 파일 이름
+   * @param {string} checksum - SHA-256 (hex), 사용자 메타데이터(sha256)로 저장
+   * @returns {Object} 업로드 요청의 metadata
+   */
+  getObjectMetadata(fileName, checksum) {
+    const metadata = { contentType: getContentType(fileName) };
+
+    if (this.storageClass) {
+      metadata.storageClass = this.storageClass;
+    }
+
+    if (checksum) {
+      metadata.metadata = { sha256: checksum };
+    }
+
+    return metadata;
+  }
+
+  /**
+   * 재개 가능한 업로드 세션 정보 파일 경로
+   *
+   * @param {string} objectName - GCS 객체 이름
+   * @returns {string} <STATE_DIR>/gcs-uploads/<버킷과 객체 이름의 SHA-256>.json
+   */
+  getUploadStatePath(objectName) {
+    const id = crypto.createHash('sha256').update(`${this.bucketName}/${objectName}`).digest('hex');
+    return path.join(configLoader.ensureStateDir(), 'gcs-uploads', `${id}.json`);
+  }
+
+  /**
+   * 재개 가능한 업로드 세션 정보 저장 (임시 파일에 쓴 뒤 이름을 바꿔 원자적으로 저장)
+   *
+   * @param {string} statePath - getUploadStatePath() 결과
+   * @param {Object} state - { bucket, name, uri, size, mtimeMs, checksum }
+   */
+  saveUploadState(statePath, state) {
+    fs.mkdirSync(path.dirname(statePath), { recursive: true });
+    fs.writeFileSync(`${statePath}.tmp`, JSON.stringify(state, null, 2));
+    fs.renameSync(`${statePath}.tmp`, statePath);
+  }
+
+  /**
+   * 이어서 업로드할 수 있는 세션 URI 찾기
+   *
+   * 저장된 세션이 같은 로컬 파일(크기, 수정 시각, 체크섬)에 대한 것일 때만 사용합니다.
+   *
+   * @param {string} statePath - getUploadStatePath() 결과
+   * @param {Object} expected - { size, mtimeMs, checksum }
+   * @returns {string|null} 세션 URI, 없거나 파일이 바뀌었으면 null
+   */
+  loadResumableUri(statePath, expected) {
+    if (!fs.existsSync(statePath)) {
+      return null;
+    }
+
+    const state = JSON.parse(fs.readFileSync(statePath, 'utf-8'));
+    const matches = ['size', 'mtimeMs', 'checksum'].every(field => state[field] === expected[field]);
+
+    if (!matches) {
+      fs.rmSync(statePath, { force: true });
+      return null;
+    }
+
+    return state.uri;
+  }
+
+  /**
+   * GCS에 파일 업로드
+   *
+   * resumable_threshold_mb 이하의 파일은 한 번의 요청으로, 그보다 큰 파일은 재개 가능한 업로드로 전송하고
+   * 10% 단위로 진행률을 출력합니다.
+   * 재개 가능한 업로드:
+   * - 세션 URI를 STATE_DIR/gcs-uploads에 저장
+   * - 실패 후 다시 호출하면(retry) 같은 세션으로 이어서 업로드 (서버에 있는 바이트는 건너뜀)
+   * - 세션이 만료되었으면(404, 410) 새 세션으로 처음부터 업로드
+   * - 업로드 완료 후 세션 정보 삭제 (완료되지 않은 세션은 GCS가 1주일 후 폐기)
+   *
+   * @param {string} filePath - 업로드할 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - SHA-256 (hex), 객체 메타데이터(sha256)로 저장
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadFile(filePath, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('GCS client not initialized');
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const stat = fs.statSync(filePath);
+    const objectName = `${this.prefix}${fileName}`;
+    const file = this.bucket.file(objectName);
+    const metadata = this.getObjectMetadata(fileName, options.checksum);
+    log(`Uploading to GCS bucket ${this.bucketName}: ${objectName} (${formatBytes(stat.size)})`);
+
+    try {
+      if (stat.size <= this.resumableThresholdMb * MB) {
+        await pipeline(
+          fs.createReadStream(filePath),
+          file.createWriteStream({ resumable: false, validation: 'crc32c', metadata })
+        );
+      } else {
+        await this.uploadResumable(filePath, file, stat, metadata, options.checksum);
+      }
+
+      log(`Upload successful: ${fileName} → gs://${this.bucketName}/${objectName}`);
+
+      return {
+        name: fileName,
+        size: stat.size
+      };
+
+    } catch (error) {
+      throw new Error(`GCS upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 재개 가능한 업로드로 파일 전송
+   *
+   * @param {string} filePath - 업로드할 로컬 파일 경로
+   * @param {File} file - GCS File 인스턴스
+   * @param {fs.Stats} stat - 로컬 파일 정보
+   * @param {Object} metadata - getObjectMetadata() 결과
+   * @param {string} checksum - SHA-256 (hex)
+   * @returns {Promise<void>}
+   */
+  async uploadResumable(filePath, file, stat, metadata, checksum) {
+    const statePath = this.getUploadStatePath(file.name);
+    const expected = { size: stat.size, mtimeMs: stat.mtimeMs, checksum: checksum || null };
+    const uri = this.loadResumableUri(statePath, expected);
+
+    if (uri) {
+      log('Resuming GCS resumable upload session');
+    }
+
+    log(`Resumable upload: ${Math.ceil(stat.size / (this.chunkSizeMb * MB))} chunk(s) of ${formatBytes(this.chunkSizeMb * MB)}`);
+
+    const writeStream = file.createWriteStream({
+      resumable: true,
+      uri: uri || undefined,
+      chunkSize: this.chunkSizeMb * MB,
+      validation: 'crc32c',
+      metadata
+    });
+
+    let lastReported = 0;
+
+    writeStream.on('uri', sessionUri => {
+      this.saveUploadState(statePath, { bucket: this.bucketName, name: file.name, uri: sessionUri, ...expected });
+    });
+
+    writeStream.on('progress', ({ bytesWritten }) => {
+      // 진행률 출력 (10% 단위)
+      const percent = Math.floor((bytesWritten / stat.size) * 10) * 10;
+      if (percent > lastReported) {
+        lastReported = percent;
+        log(`  ${path.basename(file.name)}: ${percent}% (${formatBytes(bytesWritten)})`);
+      }
+    });
+
+    try {
+      await pipeline(fs.createReadStream(filePath), writeStream);
+    } catch (error) {
+      // 만료되었거나 이미 끝난 세션은 다음 시도에서 새로 시작
+      if (uri && [404, 410].includes(error.code)) {
+        fs.rmSync(statePath, { force: true });
+      }
+      throw error;
+    }
+
+    fs.rmSync(statePath, { force: true });
+  }
+
+  /**
+   * 스트리밍 업로드 지원
+   *
+   * @returns {boolean} true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * 스트림을 재개 가능한 업로드로 전송 (스트리밍 모드)
+   *
+   * 파트 크기만큼 청크로 나눠 보내고, 업로드 후 객체 크기를 스트림과 비교합니다.
+   * SHA-256은 업로드가 끝나야 알 수 있으므로 메타데이터를 나중에 설정하며, 실패하면 객체를 삭제합니다.
+   * (스트림은 다시 읽을 수 없으므로 세션을 저장하지 않음)
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {number} options.partSizeMb - 청크 크기 (MB, 기본값: chunk_size_mb)
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadStream(stream, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('GCS client not initialized');
+    }
+
+    const objectName = `${this.prefix}${fileName}`;
+    const file = this.bucket.file(objectName);
+    const hasher = createHashingStream();
+    log(`Streaming to GCS bucket ${this.bucketName}: ${objectName}`);
+
+    try {
+      await pipeline(
+        stream,
+        hasher,
+        file.createWriteStream({
+          resumable: true,
+          chunkSize: (options.partSizeMb || this.chunkSizeMb) * MB,
+          validation: 'crc32c',
+          metadata: this.getObjectMetadata(fileName)
+        })
+      );
+
+      try {
+        const [metadata] = await file.getMetadata();
+        if (Number(metadata.size) !== hasher.bytes) {
+          throw new Error(`Size mismatch for ${objectName}: streamed ${hasher.bytes}, remote ${metadata.size}`);
+        }
+
+        await file.setMetadata({ metadata: { sha256: hasher.digest() } });
+
+      } catch (error) {
+        await file.delete({ ignoreNotFound: true }).catch(() => {});
+        throw error;
+      }
+
+      log(`Upload successful: ${fileName} → gs://${this.bucketName}/${objectName} (${formatBytes(hasher.bytes)})`);
+
+      return {
+        name: fileName,
+        size: hasher.bytes
+      };
+
+    } catch (error) {
+      throw new Error(`GCS streaming upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로드된 파일 무결성 검증
+   *
+   * 객체 크기와 CRC32C를 로컬 파일과 비교하고, 객체 메타데이터의 SHA-256을 로컬 체크섬과 비교합니다.
+   * (CRC32C는 GCS가 저장된 내용으로 계산하므로 전송 중 손상도 확인됨)
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 업로드된 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (hex)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 객체가 없거나 크기 또는 체크섬이 일치하지 않는 경우
+   */
+  async verifyUpload(filePath, remotePath, fileName, checksum) {
+    if (!this.initialized) {
+      throw new Error('GCS client not initialized');
+    }
+
+    const objectName = `${this.prefix}${fileName}`;
+    const localSize = fs.statSync(filePath).size;
+
+    let metadata;
+    try {
+      [metadata] = await this.bucket.file(objectName).getMetadata();
+    } catch (error) {
+      throw new Error(`GCS integrity check failed for ${objectName}: ${error.message}`);
+    }
+
+    if (Number(metadata.size) !== localSize) {
+      throw new Error(`Size mismatch for ${objectName}: local ${localSize}, remote ${metadata.size}`);
+    }
+
+    if (metadata.crc32c) {
+      const localCrc32c = (await CRC32C.fromFile(filePath)).toString();
+      if (localCrc32c !== metadata.crc32c) {
+        throw new Error(`CRC32C mismatch for ${objectName}: local ${localCrc32c}, remote ${metadata.crc32c}`);
+      }
+    }
+
+    const localChecksum = checksum || await computeFileChecksum(filePath);
+    const remoteChecksum = metadata.metadata && metadata.metadata.sha256;
+
+    if (remoteChecksum && remoteChecksum !== localChecksum) {
+      throw new Error(`Checksum mismatch for ${objectName}: local ${localChecksum}, remote ${remoteChecksum}`);
+    }
+
+    log(`Integrity verified in GCS: ${fileName} (${metadata.crc32c ? `crc32c: ${metadata.crc32c}` : `size: ${localSize}`})`);
+    return true;
+  }
+
+  /**
+   * GCS에서 파일 다운로드
+   *
+   * 전송 중 CRC32C를 검증하고, 받은 파일의 SHA-256을 객체 메타데이터(sha256)와 비교합니다.
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 다운로드할 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드된 파일 정보 {name, size, path}
+   */
+  async downloadFile(remotePath, fileName, localPath) {
+    if (!this.initialized) {
+      throw new Error('GCS client not initialized');
+    }
+
+    const objectName = `${this.prefix}${fileName}`;
+    const file = this.bucket.file(objectName);
+    log(`Downloading from GCS bucket ${this.bucketName}: ${objectName}`);
+
+    try {
+      const [metadata] = await file.getMetadata();
+
+      // 로컬 디렉토리가 없으면 생성
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+
+      const hasher = createHashingStream();
+      await pipeline(file.createReadStream({ validation: 'crc32c' }), hasher, fs.createWriteStream(localPath));
+
+      const expected = metadata.metadata && metadata.metadata.sha256;
+      const actual = hasher.digest();
+
+      if (expected && actual !== expected) {
+        throw new Error(`Checksum mismatch for ${fileName}: expected ${expected}, got ${actual}`);
+      }
+
+      log(`Download successful: ${fileName} (${formatBytes(hasher.bytes)})`);
+
+      return {
+        name: fileName,
+        size: hasher.bytes,
+        path: localPath
+      };
+
+    } catch (error) {
+      throw new Error(`GCS download failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 버킷의 파일 목록 조회
+   *
+   * 1000개씩 페이지를 나눠 조회합니다.
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @returns {Promise<Array>} 파일 목록 [{name, size, createdTime}]
+   */
+  async listFiles(remotePath) {
+    if (!this.initialized) {
+      throw new Error('GCS client not initialized');
+    }
+
+    try {
+      const files = [];
+      let query = { prefix: this.prefix, delimiter: '/', autoPaginate: false, maxResults: 1000 };
+
+      // 하위 경로('/' 포함)의 객체는 delimiter로 제외
+      while (query) {
+        const [objects, nextQuery] = await this.bucket.getFiles(query);
+
+        for (const object of objects) {
+          files.push({
+            name: object.name.slice(this.prefix.length), // 프리픽스 제거
+            size: Number(object.metadata.size),
+            createdTime: object.metadata.timeCreated,
+            id: object.name
+          });
+        }
+
+        query = nextQuery;
+      }
+
+      return files.sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+
+    } catch (error) {
+      throw new Error(`Failed to list GCS objects: ${error.message}`);
+    }
+  }
+
+  /**
+   * GCS에서 파일 삭제
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 삭제할 파일 이름
+   */
+  async deleteFile(remotePath, fileName) {
+    if (!this.initialized) {
+      throw new Error('GCS client not initialized');
+    }
+
+    try {
+      await this.bucket.file(`${this.prefix}${fileName}`).delete();
+      log(`Deleted file from GCS bucket ${this.bucketName}: ${fileName}`);
+
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  /**
+   * 연결 테스트
+   *
+   * 버킷의 객체 목록을 조회해 인증, 버킷 존재 여부, 목록 권한을 확인합니다.
+   *
+   * @returns {Promise<boolean>} 연결 성공 여부
+   */
+  async testConnection() {
+    if (!this.initialized) {
+      throw new Error('GCS client not initialized');
+    }
+
+    try {
+      await this.bucket.getFiles({ prefix: this.prefix, autoPaginate: false, maxResults: 1 });
+      log(`GCS connection OK (bucket: ${this.bucketName})`);
+      return true;
+
+    } catch (error) {
+      if (error.code === 404) {
+        throw new Error(`GCS bucket '${this.bucketName}' not found`);
+      }
+
+      if (error.code === 401 || error.code === 403) {
+        throw new Error(`Access denied to GCS bucket '${this.bucketName}' (the service account needs roles/storage.objectAdmin on the bucket)`);
+      }
+
+      throw new Error(`GCS connection test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로더 타입 반환
+   *
+   * @returns {string} 'gcs'
+   */
+  getType() {
+    return 'gcs';
+  }
+}
+
+module.exports = GcsUploader;
@@ -3,6 +3,7 @@ const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const { log, formatBytes } = require('../utils');
+const { rcat } = require('./rclone');
 const BaseUploader = require('./base');
 
 const execAsync = promisify(exec);
@@ -76,10 +77,12 @@ class GDriveUploader extends BaseUploader {
    * @param {string} filePath - 업로드할 로컬 파일 경로
    * @param {string} folderPath - Google Drive 대상 폴더 경로 (예: 'backups')
    * @param {string} fileName - Google Drive에 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - SHA-256 (hex), 파일 메타데이터(sha256)로 저장
    * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
    * @throws {Error} 파일이 없거나 업로드 실패 시
    */
-  async uploadFile(filePath, folderPath, fileName) {
+  async uploadFile(filePath, folderPath, fileName, options = {}) {
     if (!this.initialized) {
       throw new Error('Google Drive client not initialized');
     }
@@ -95,8 +98,13 @@ class GDriveUploader extends BaseUploader {
       // rclone copy: 로컬 파일 → Google Drive
       // --progress: 진행률 표시
       // --stats 1s: 1초마다 통계 업데이트
+      // --metadata-set: 체크섬을 파일 메타데이터로 저장 (rclone 1.59+)
       const remotePath = `${this.remoteName}:${folderPath}`;
-      const cmd = `rclone copy "${filePath}" "${remotePath}" --progress --stats 1s`;
+      let cmd = `rclone copy "${filePath}" "${remotePath}" --progress --stats 1s`;
+
+      if (options.checksum) {
+        cmd += ` --metadata --metadata-set "sha256=${options.checksum}"`;
+      }
 
       const { stdout, stderr } = await execAsync(cmd, {
         maxBuffer: 1024 * 1024 * 10 // 10MB buffer
@@ -123,6 +131,134 @@ class GDriveUploader extends BaseUploader {
     }
   }
 
+  /**
+   * 스트리밍 업로드 지원 (rclone rcat)
+   *
+   * @returns {boolean} true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * Google Drive에 스트림 업로드 (스트리밍 모드)
+   *
+   * rclone rcat으로 로컬 파일 없이 스트림을 그대로 업로드하고,
+   * 업로드된 파일의 크기와 MD5를 스트림과 비교합니다.
+   * 실패 시 Google Drive에 남은 불완전한 파일을 삭제합니다.
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} folderPath - Google Drive 폴더 경로 (예: 'backups')
+   * @param {string} fileName - 파일 이름
+   * @param {Object} options - 업로드 옵션 (사용하지 않음)
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   * @throws {Error} 업로드 또는 검증 실패 시
+   */
+  async uploadStream(stream, folderPath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Google Drive client not initialized');
+    }
+
+    log(`Streaming to Google Drive: ${fileName}`);
+
+    try {
+      const { size, md5 } = await rcat(stream, `${this.remoteName}:${folderPath}/${fileName}`);
+
+      log(`Upload successful: ${fileName} (${formatBytes(size)}, md5: ${md5})`);
+
+      return {
+        name: fileName,
+        size
+      };
+
+    } catch (error) {
+      throw new Error(`Google Drive streaming upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로드된 파일 무결성 검증
+   *
+   * rclone check 명령어로 로컬 파일과 Google Drive 파일의 해시를 비교
+   * - Google Drive가 제공하는 해시(MD5/SHA-1/SHA-256)를 사용
+   * - --one-way: 로컬 파일이 원격에 동일하게 존재하는지만 확인
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} folderPath - Google Drive 폴더 경로
+   * @param {string} fileName - 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (로그용)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 해시가 일치하지 않거나 파일이 없는 경우
+   */
+  async verifyUpload(filePath, folderPath, fileName, checksum) {
+    if (!this.initialized) {
+      throw new Error('Google Drive client not initialized');
+    }
+
+    try {
+      // rclone copy는 로컬 파일명 그대로 업로드하므로 같은 이름으로 비교
+      const localDir = path.dirname(path.resolve(filePath));
+      const remotePath = `${this.remoteName}:${folderPath}`;
+      const cmd = `rclone check "${localDir}" "${remotePath}" --one-way --include "/${path.basename(filePath)}"`;
+
+      await execAsync(cmd);
+      log(`Integrity verified on Google Drive: ${fileName}${checksum ? ` (sha256: ${checksum})` : ''}`);
+
+      return true;
+
+    } catch (error) {
+      throw new Error(`Google Drive integrity check failed for ${fileName}: ${error.stderr || error.message}`);
+    }
+  }
+
+  /**
+   * Google Drive에서 파일 다운로드
+   *
+   * rclone copyto 명령어를 사용하여 Google Drive 파일을 로컬 경로로 복사
+   *
+   * @param {string} folderPath - Google Drive 폴더 경로 (예: 'backups')
+   * @param {string} fileName - 다운로드할 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드된 파일 정보 {name, size, path}
+   * @throws {Error} 다운로드 실패 시
+   */
+  async downloadFile(folderPath, fileName, localPath) {
+    if (!this.initialized) {
+      throw new Error('Google Drive client not initialized');
+    }
+
+    log(`Downloading from Google Drive: ${fileName}`);
+
+    try {
+      // 로컬 디렉토리가 없으면 생성
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+
+      // rclone copyto: Google Drive 파일 → 특정 로컬 파일
+      const remotePath = `${this.remoteName}:${folderPath}/${fileName}`;
+      const cmd = `rclone copyto "${remotePath}" "${localPath}"`;
+
+      await execAsync(cmd, {
+        maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+      });
+
+      if (!fs.existsSync(localPath)) {
+        throw new Error(`File not found on Google Drive: ${folderPath}/${fileName}`);
+      }
+
+      const fileSize = fs.statSync(localPath).size;
+      log(`Download successful: ${fileName} (${formatBytes(fileSize)})`);
+
+      return {
+        name: fileName,
+        size: fileSize,
+        path: localPath
+      };
+
+    } catch (error) {
+      throw new Error(`Google Drive download failed: ${error.message}`);
+    }
+  }
+
   /**
    * Google Drive 폴더의 파일 목록 조회
    *
@@ -195,50 +331,6 @@ class GDriveUploader extends BaseUploader {
     }
   }
 
-  /**
-   * 보관 기간이 지난 오래된 백업 파일 정리
-   *
-   * - Google Drive 폴더의 파일 목록 조회
-   * - retention_days 기준으로 오래된 파일 삭제
-   * - 삭제된 파일 개수 출력
-   *
-   * @param {string} folderPath - Google Drive 폴더 경로 (예: 'backups')
-   * @param {number} retentionDays - 보관 일수 (예: 7일)
-   */
-  async cleanupOldBackups(folderPath, retentionDays) {
-    log(`Cleaning up backups older than ${retentionDays} days...`);
-
-    const files = await this.listFiles(folderPath);
-
-    if (files.length === 0) {
-      log('No files to clean up');
-      return;
-    }
-
-    // 기준 날짜 계산 (현재 - retention_days)
-    const cutoffDate = new Date();
-    cutoffDate.setDate(cutoffDate.getDate() - retentionDays);
-
-    let deletedCount = 0;
-
-    // 파일 생성일 확인하여 오래된 파일 삭제
-    for (const file of files) {
-      const fileDate = new Date(file.createdTime);
-
-      if (fileDate < cutoffDate) {
-        log(`Deleting old backup: ${file.name} (created: ${fileDate.toISOString()})`);
-        await this.deleteFile(folderPath, file.name);
-        deletedCount++;
-      }
-    }
-
-    if (deletedCount > 0) {
-      log(`Cleanup complete: ${deletedCount} old backup(s) deleted`);
-    } else {
-      log('No old backups to delete');
-    }
-  }
-
   /**
    * Google Drive 연결 테스트
    *
@@ -0,0 +1,427 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { log, formatBytes } = require('../utils');
+const { createHashingStream, computeFileChecksum, getChecksumPath, writeChecksumFile, readChecksumFile } = require('../checksum');
+const BaseUploader = require('./base');
+
+// 업로드 중인 임시 파일 접미사 (완료 후 원래 이름으로 변경)
+const PARTIAL_SUFFIX = '.partial';
+
+// 정리 시 이보다 오래된 임시 파일은 중단된 업로드로 보고 삭제 (밀리초)
+const STALE_PARTIAL_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * 로컬 디렉토리 업로더
+ *
+ * 로컬 디스크 또는 마운트된 볼륨(NFS, SMB 등의 NAS)의 디렉토리에 백업 복사
+ * 클라우드 업로더와 함께 사용하면 한 번의 실행으로 원격 + 현장 사본을 만들 수 있음
+ *
+ * - 업로드는 같은 디렉토리의 임시 파일(.<이름>.partial)에 쓴 뒤 이름을 바꿔 원자적으로 완료
+ *   (중간에 실패해도 불완전한 백업이 백업 이름으로 남지 않음)
+ * - 체크섬은 사이드카 파일(<이름>.sha256)로 함께 저장 (sha256sum -c로 직접 확인 가능)
+ */
+class LocalUploader extends BaseUploader {
+  constructor(config) {
+    super(config);
+    // 백업을 저장할 디렉토리 (상대 경로는 실행 디렉토리 기준)
+    this.directory = config.path ? path.resolve(config.path) : null;
+    // 연결 테스트 시 필요한 최소 여유 공간 (MB)
+    this.minFreeMb = config.min_free_mb || 0;
+    // 초기화 플래그
+    this.initialized = false;
+
+    if (!this.directory) {
+      throw new Error('Local uploader path is required');
+    }
+
+    if (!(typeof this.minFreeMb === 'number' && this.minFreeMb >= 0)) {
+      throw new Error('Local uploader min_free_mb must be a non-negative number');
+    }
+  }
+
+  /**
+   * 백업 디렉토리 확인 및 생성
+   *
+   * 마운트된 볼륨이 빠져 있을 때 로컬 디스크에 쓰지 않도록,
+   * 상위 디렉토리가 없으면 만들지 않고 에러를 던집니다.
+   *
+   * @throws {Error} 상위 디렉토리가 없거나 경로가 디렉토리가 아닌 경우
+   */
+  async initialize() {
+    const parent = path.dirname(this.directory);
+
+    if (!fs.existsSync(parent)) {
+      throw new Error(`Parent directory of ${this.directory} does not exist (is the volume mounted?)`);
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    if (!fs.statSync(this.directory).isDirectory()) {
+      throw new Error(`${this.directory} is not a directory`);
+    }
+
+    this.initialized = true;
+    log(`Local uploader initialized (path: ${this.directory})`);
+  }
+
+  /**
+   * 백업 파일 경로
+   *
+   * @param {string} fileName - 파일 이름
+   * @returns {string} 백업 디렉토리 안의 경로
+   */
+  resolvePath(fileName) {
+    return path.join(this.directory, fileName);
+  }
+
+  /**
+   * 업로드 중 사용할 임시 파일 경로 (같은 디렉토리라서 rename이 원자적)
+   *
+   * @param {string} fileName - 파일 이름
+   * @returns {string} <디렉토리>/.<이름>.partial
+   */
+  resolvePartialPath(fileName) {
+    return path.join(this.directory, `.${fileName}${PARTIAL_SUFFIX}`);
+  }
+
+  /**
+   * 임시 파일을 디스크에 기록한 뒤 최종 이름으로 변경
+   *
+   * @param {string} partialPath - 임시 파일 경로
+   * @param {string} fileName - 최종 파일 이름
+   * @param {string} checksum - SHA-256 (hex), 사이드카 파일로 저장
+   */
+  async commitPartial(partialPath, fileName, checksum) {
+    // NAS에서 rename 후 전원이 나가도 내용이 남도록 먼저 디스크에 기록
+    const handle = await fs.promises.open(partialPath, 'r+');
+    try {
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+
+    await fs.promises.rename(partialPath, this.resolvePath(fileName));
+
+    if (checksum) {
+      writeChecksumFile(this.resolvePath(fileName), checksum);
+    }
+  }
+
+  /**
+   * 백업 디렉토리에 파일 복사
+   *
+   * @param {string} filePath - 업로드할 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - SHA-256 (hex), 사이드카 파일(<이름>.sha256)로 저장
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadFile(filePath, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Local uploader not initialized');
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const fileSize = fs.statSync(filePath).size;
+    const partialPath = this.resolvePartialPath(fileName);
+    log(`Copying to ${this.directory}: ${fileName} (${formatBytes(fileSize)})`);
+
+    try {
+      await fs.promises.copyFile(filePath, partialPath);
+      await this.commitPartial(partialPath, fileName, options.checksum);
+
+      log(`Upload successful: ${fileName} → ${this.resolvePath(fileName)}`);
+
+      return {
+        name: fileName,
+        size: fileSize
+      };
+
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw new Error(`Local upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 스트리밍 업로드 지원
+   *
+   * @returns {boolean} true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * 스트림을 백업 디렉토리에 저장 (스트리밍 모드)
+   *
+   * 임시 파일에 쓰면서 SHA-256을 계산하고, 끝나면 이름을 바꾸고 사이드카 파일을 저장합니다.
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션 (사용하지 않음)
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadStream(stream, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('Local uploader not initialized');
+    }
+
+    const partialPath = this.resolvePartialPath(fileName);
+    const hasher = createHashingStream();
+    log(`Streaming to ${this.directory}: ${fileName}`);
+
+    try {
+      await pipeline(stream, hasher, fs.createWriteStream(partialPath));
+      await this.commitPartial(partialPath, fileName, hasher.digest());
+
+      log(`Upload successful: ${fileName} → ${this.resolvePath(fileName)} (${formatBytes(hasher.bytes)})`);
+
+      return {
+        name: fileName,
+        size: hasher.bytes
+      };
+
+    } catch (error) {
+      fs.rmSync(partialPath, { force: true });
+      throw new Error(`Local streaming upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 복사된 파일 무결성 검증
+   *
+   * 백업 디렉토리의 파일을 다시 읽어 SHA-256을 로컬 파일과 비교합니다.
+   * (NAS로의 쓰기가 조용히 손상되는 경우도 확인)
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 저장된 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (hex)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 파일이 없거나 체크섬이 일치하지 않는 경우
+   */
+  async verifyUpload(filePath, remotePath, fileName, checksum) {
+    if (!this.initialized) {
+      throw new Error('Local uploader not initialized');
+    }
+
+    const storedPath = this.resolvePath(fileName);
+
+    if (!fs.existsSync(storedPath)) {
+      throw new Error(`Local integrity check failed: ${storedPath} not found`);
+    }
+
+    const localChecksum = checksum || await computeFileChecksum(filePath);
+    const storedChecksum = await computeFileChecksum(storedPath);
+
+    if (storedChecksum !== localChecksum) {
+      throw new Error(`Checksum mismatch for ${storedPath}: local ${localChecksum}, stored ${storedChecksum}`);
+    }
+
+    log(`Integrity verified in ${this.directory}: ${fileName} (sha256: ${localChecksum})`);
+    return true;
+  }
+
+  /**
+   * 백업 디렉토리에서 파일 복사해 오기
+   *
+   * 사이드카 파일에 체크섬이 있으면 복사한 파일과 비교합니다.
+   *
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 가져올 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드된 파일 정보 {name, size, path}
+   */
+  async downloadFile(remotePath, fileName, localPath) {
+    if (!this.initialized) {
+      throw new Error('Local uploader not initialized');
+    }
+
+    log(`Copying from ${this.directory}: ${fileName}`);
+
+    try {
+      const storedPath = this.resolvePath(fileName);
+
+      if (!fs.existsSync(storedPath)) {
+        throw new Error(`File not found: ${storedPath}`);
+      }
+
+      // 로컬 디렉토리가 없으면 생성
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+      await fs.promises.copyFile(storedPath, localPath);
+
+      const expected = readChecksumFile(storedPath);
+      if (expected) {
+        const actual = await computeFileChecksum(localPath);
+
+        if (actual !== expected) {
+          throw new Error(`Checksum mismatch for ${fileName}: expected ${expected}, got ${actual}`);
+        }
+      }
+
+      const fileSize = fs.statSync(localPath).size;
+      log(`Download successful: ${fileName} (${formatBytes(fileSize)})`);
+
+      return {
+        name: fileName,
+        size: fileSize,
+        path: localPath
+      };
+
+    } catch (error) {
+      throw new Error(`Local download failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 백업 디렉토리의 파일 목록 조회
+   *
+   * 사이드카 체크섬 파일과 업로드 중인 임시 파일(숨김 파일)은 제외합니다.
+   *
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @returns {Promise<Array>} 파일 목록 [{name, size, createdTime}]
+   */
+  async listFiles(remotePath) {
+    if (!this.initialized) {
+      throw new Error('Local uploader not initialized');
+    }
+
+    try {
+      const entries = await fs.promises.readdir(this.directory, { withFileTypes: true });
+
+      return entries
+        .filter(entry => entry.isFile() && !entry.name.startsWith('.') && !entry.name.endsWith('.sha256'))
+        .map((entry) => {
+          const stat = fs.statSync(this.resolvePath(entry.name));
+
+          return {
+            name: entry.name,
+            size: stat.size,
+            createdTime: stat.mtime.toISOString(),
+            id: this.resolvePath(entry.name)
+          };
+        })
+        .sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+
+    } catch (error) {
+      throw new Error(`Failed to list local files: ${error.message}`);
+    }
+  }
+
+  /**
+   * 백업 디렉토리에서 파일 삭제 (사이드카 체크섬 파일 포함)
+   *
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 삭제할 파일 이름
+   */
+  async deleteFile(remotePath, fileName) {
+    if (!this.initialized) {
+      throw new Error('Local uploader not initialized');
+    }
+
+    try {
+      const storedPath = this.resolvePath(fileName);
+
+      await fs.promises.unlink(storedPath);
+      fs.rmSync(getChecksumPath(storedPath), { force: true });
+      log(`Deleted file from ${this.directory}: ${fileName}`);
+
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  /**
+   * 오래된 백업 파일 정리
+   *
+   * BaseUploader.cleanupOldBackups()로 보관 정책을 적용한 뒤,
+   * 중단된 업로드가 남긴 오래된 임시 파일도 삭제합니다.
+   *
+   * @param {string} remotePath - 원격 경로
+   * @param {Object} retention - 기본 보관 정책
+   * @param {Object} retentionByTarget - 대상별 보관 정책
+   * @param {string[]} skipTargets - 정리하지 않을 대상
+   * @returns {Promise<number>} 삭제된 백업 파일 수
+   */
+  async cleanupOldBackups(remotePath, retention, retentionByTarget = {}, skipTargets = []) {
+    const deletedCount = await super.cleanupOldBackups(remotePath, retention, retentionByTarget, skipTargets);
+
+    for (const name of fs.readdirSync(this.directory)) {
+      const partialPath = path.join(this.directory, name);
+
+      if (name.startsWith('.') && name.endsWith(PARTIAL_SUFFIX) &&
+        Date.now() - fs.statSync(partialPath).mtimeMs > STALE_PARTIAL_AGE) {
+        fs.rmSync(partialPath, { force: true });
+        log(`Removed stale partial upload: ${name}`);
+      }
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * 연결 테스트
+   *
+   * - 디렉토리에 쓸 수 있는지 확인 (테스트 파일 생성 후 삭제)
+   * - 여유 공간 확인 (min_free_mb보다 적으면 실패)
+   *
+   * @returns {Promise<boolean>} 연결 성공 여부
+   */
+  async testConnection() {
+    if (!this.initialized) {
+      throw new Error('Local uploader not initialized');
+    }
+
+    try {
+      const probePath = path.join(this.directory, `.write-test-${process.pid}`);
+      fs.writeFileSync(probePath, 'ok');
+      fs.rmSync(probePath, { force: true });
+
+      // fs.statfs는 Node.js 18.15+에서 지원
+      if (typeof fs.promises.statfs === 'function') {
+        const stats = await fs.promises.statfs(this.directory);
+        const freeBytes = stats.bavail * stats.bsize;
+
+        if (freeBytes < this.minFreeMb * 1024 * 1024) {
+          throw new Error(`only ${formatBytes(freeBytes)} free in ${this.directory}, min_free_mb is ${this.minFreeMb}`);
+        }
+
+        log(`Local directory OK (path: ${this.directory}, free: ${formatBytes(freeBytes)})`);
+      } else {
+        log(`Local directory OK (path: ${this.directory})`);
+      }
+
+      return true;
+
+    } catch (error) {
+      throw new Error(`Local directory test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 원격 저장소 경로 반환
+   *
+   * @returns {string} 백업 디렉토리 절대 경로
+   */
+  getRemotePath() {
+    return this.directory;
+  }
+
+  /**
+   * 업로더 타입 반환
+   *
+   * @returns {string} 'local'
+   */
+  getType() {
+    return 'local';
+  }
+}
+
+module.exports = LocalUploader;
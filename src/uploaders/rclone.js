@@ -0,0 +1,108 @@
+const { exec, spawn } = require('child_process');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const { log } = require('../utils');
+const { createHashingStream } = require('../checksum');
+
+const execAsync = promisify(exec);
+
+/**
+ * rclone 공통 함수
+ *
+ * rclone 기반 업로더(Google Drive, S3 rclone)의 스트리밍 업로드에서 사용
+ */
+
+/**
+ * 원격 파일 삭제 (실패해도 에러를 던지지 않음)
+ *
+ * 실패한 스트리밍 업로드가 남긴 불완전한 파일을 정리할 때 사용
+ *
+ * @param {string} remoteFile - rclone 원격 파일 경로 (예: 'gdrive:backups/db-mydb-20251010-020000.dump')
+ * @param {Object} env - rclone 실행 환경변수 (기본값: process.env)
+ */
+async function removeRemoteFile(remoteFile, env = process.env) {
+  try {
+    await execAsync(`rclone deletefile "${remoteFile}"`, { env });
+    log(`Removed partial upload: ${remoteFile}`, 'warn');
+  } catch (error) {
+    // 파일이 만들어지지 않았으면 삭제할 것도 없음
+    if (!/not found/i.test(error.stderr || error.message)) {
+      log(`Failed to remove partial upload ${remoteFile}: ${error.stderr || error.message}`, 'warn');
+    }
+  }
+}
+
+/**
+ * 스트림을 rclone rcat으로 원격 파일에 업로드
+ *
+ * 전체 크기를 미리 알 수 없는 스트림을 로컬 파일 없이 그대로 원격에 씁니다.
+ * 업로드 후 원격 파일의 크기(백엔드가 MD5를 제공하면 MD5도)를 스트림과 비교하고,
+ * 업로드나 검증에 실패하면 원격에 남은 불완전한 파일을 삭제한 뒤 에러를 던집니다.
+ *
+ * @param {Readable} stream - 업로드할 스트림
+ * @param {string} remoteFile - rclone 원격 파일 경로 (예: 's3:my-bucket/backups/folder-mydata-20251010-020000.tar.gz')
+ * @param {string[]} args - 추가 rclone 인자 (예: ['--s3-storage-class', 'STANDARD_IA'])
+ * @param {Object} env - rclone 실행 환경변수 (기본값: process.env)
+ * @returns {Promise<Object>} 업로드 결과 { size, md5 }
+ * @throws {Error} 업로드 또는 검증 실패 시
+ */
+async function rcat(stream, remoteFile, args = [], env = process.env) {
+  const hasher = createHashingStream('md5');
+
+  const child = spawn('rclone', ['rcat', remoteFile, ...args], {
+    env,
+    stdio: ['pipe', 'ignore', 'pipe']
+  });
+
+  let stderr = '';
+  child.stderr.on('data', (data) => {
+    stderr += data;
+  });
+
+  const exited = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(`rclone rcat exited with code ${code}: ${stderr.trim()}`));
+      }
+      resolve();
+    });
+  });
+
+  try {
+    await Promise.all([pipeline(stream, hasher, child.stdin), exited]);
+
+    // 업로드된 파일의 크기와 MD5 확인
+    const { stdout } = await execAsync(`rclone lsjson "${remoteFile}" --hash --hash-type MD5`, { env });
+    const [remote] = JSON.parse(stdout || '[]');
+    const md5 = hasher.digest();
+
+    if (!remote) {
+      throw new Error(`${remoteFile} not found after upload`);
+    }
+
+    if (remote.Size !== hasher.bytes) {
+      throw new Error(`Size mismatch for ${remoteFile}: streamed ${hasher.bytes}, remote ${remote.Size}`);
+    }
+
+    const remoteMd5 = remote.Hashes && remote.Hashes.md5;
+    if (remoteMd5 && remoteMd5 !== md5) {
+      throw new Error(`MD5 mismatch for ${remoteFile}: streamed ${md5}, remote ${remoteMd5}`);
+    }
+
+    return { size: hasher.bytes, md5 };
+
+  } catch (error) {
+    // rclone이 받은 데이터까지를 완성된 파일로 저장하지 않도록 먼저 종료한 뒤 정리
+    child.kill();
+    await exited.catch(() => {});
+    await removeRemoteFile(remoteFile, env);
+
+    throw error;
+  }
+}
+
+module.exports = {
+  rcat,
+  removeRemoteFile
+};
@@ -0,0 +1,261 @@
+const fs = require('fs');
+const os = require('os');
+const { parseBackupFilename } = require('../utils');
+const { version: TOOL_VERSION } = require('../../package.json');
+
+// 서버 측 암호화 방식 (s3: SSE-S3, kms: SSE-KMS, c: SSE-C)
+const SSE_TYPES = ['s3', 'kms', 'c'];
+
+// S3 객체당 최대 태그 수
+const MAX_TAGS = 10;
+
+/**
+ * S3 업로더 공통 함수
+ *
+ * S3 업로더(s3-rclone, s3-sdk)가 AWS 이외의 S3 호환 스토리지
+ * (MinIO, Backblaze B2, Wasabi, Cloudflare R2, Ceph 등)에 연결할 때 사용하는 설정 처리
+ *
+ * .config 필드:
+ * - endpoint: S3 호환 엔드포인트 URL (예: 'https://s3.us-west-004.backblazeb2.com')
+ * - force_path_style: 가상 호스트 방식(bucket.host) 대신 경로 방식(host/bucket) 사용
+ * - access_key_id_env / secret_access_key_env / session_token_env:
+ *   업로더별 인증 정보를 담은 환경변수 이름 (.env에 저장, 값은 .config에 넣지 않음)
+ * - profile: ~/.aws/credentials의 프로필 이름
+ * - ca_bundle: 사설 인증서를 검증할 CA 번들 (PEM) 경로
+ * - tls_verify: false이면 TLS 인증서를 검증하지 않음 (테스트 환경용)
+ * - sse: 서버 측 암호화 방식 ('s3', 'kms', 'c')
+ * - sse_kms_key_id: SSE-KMS 키 ID 또는 ARN (생략 시 AWS 관리형 키)
+ * - sse_customer_key_env: SSE-C 키(32바이트, base64)를 담은 환경변수 이름
+ * - tags: 객체 태그, 값의 {host}, {target}, {kind}, {type}은 업로드할 백업에 맞게 치환
+ */
+
+/**
+ * S3 연결 설정 검증 및 정규화
+ *
+ * @param {Object} config - 업로더 설정
+ * @returns {Object} { endpoint, forcePathStyle, profile, caBundle, tlsVerify }
+ * @throws {Error} 잘못된 설정인 경우
+ */
+function parseConnectionConfig(config) {
+  const connection = {
+    endpoint: config.endpoint || null,
+    forcePathStyle: config.force_path_style === true,
+    profile: config.profile || null,
+    caBundle: config.ca_bundle || null,
+    tlsVerify: config.tls_verify !== false
+  };
+
+  if (connection.endpoint) {
+    let url;
+    try {
+      url = new URL(connection.endpoint);
+    } catch (error) {
+      throw new Error(`S3 endpoint must be a URL (e.g. https://minio.example.com:9000): ${connection.endpoint}`);
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`S3 endpoint must use http or https: ${connection.endpoint}`);
+    }
+  }
+
+  if (Boolean(config.access_key_id_env) !== Boolean(config.secret_access_key_env)) {
+    throw new Error('S3 access_key_id_env and secret_access_key_env must be set together');
+  }
+
+  if (config.access_key_id_env && connection.profile) {
+    throw new Error('S3 access_key_id_env and profile cannot be used together');
+  }
+
+  return connection;
+}
+
+/**
+ * 업로더별 인증 정보 조회
+ *
+ * access_key_id_env / secret_access_key_env에 지정한 환경변수에서 읽습니다.
+ * 지정하지 않았으면 null을 반환하며, 이때는 기본 방식(AWS_* 환경변수, ~/.aws/credentials, IAM Role)을 사용합니다.
+ *
+ * @param {Object} config - 업로더 설정
+ * @returns {Object|null} { accessKeyId, secretAccessKey, sessionToken }
+ * @throws {Error} 지정한 환경변수(session_token_env 포함)가 비어 있는 경우
+ */
+function resolveCredentials(config) {
+  if (!config.access_key_id_env) {
+    return null;
+  }
+
+  const read = (field) => {
+    const name = config[field];
+
+    if (!name) {
+      return undefined;
+    }
+
+    if (!process.env[name]) {
+      throw new Error(`Environment variable ${name} (${field}) is not set`);
+    }
+
+    return process.env[name];
+  };
+
+  return {
+    accessKeyId: read('access_key_id_env'),
+    secretAccessKey: read('secret_access_key_env'),
+    sessionToken: read('session_token_env')
+  };
+}
+
+/**
+ * CA 번들 파일 읽기
+ *
+ * @param {string|null} caBundle - CA 번들 (PEM) 경로
+ * @returns {Buffer|null} CA 번들 내용, 지정하지 않았으면 null
+ * @throws {Error} 파일이 없는 경우
+ */
+function readCaBundle(caBundle) {
+  if (!caBundle) {
+    return null;
+  }
+
+  if (!fs.existsSync(caBundle)) {
+    throw new Error(`S3 ca_bundle not found: ${caBundle}`);
+  }
+
+  return fs.readFileSync(caBundle);
+}
+
+/**
+ * 서버 측 암호화와 객체 태그 설정 검증 및 정규화
+ *
+ * @param {Object} config - 업로더 설정
+ * @returns {Object} { sse, kmsKeyId, customerKeyEnv, tags }
+ * @throws {Error} 잘못된 설정인 경우
+ */
+function parseObjectConfig(config) {
+  const objectConfig = {
+    sse: config.sse || null,
+    kmsKeyId: config.sse_kms_key_id || null,
+    customerKeyEnv: config.sse_customer_key_env || null,
+    tags: config.tags || {}
+  };
+
+  if (objectConfig.sse && !SSE_TYPES.includes(objectConfig.sse)) {
+    throw new Error(`S3 sse must be one of ${SSE_TYPES.join(', ')}`);
+  }
+
+  if (objectConfig.kmsKeyId && objectConfig.sse !== 'kms') {
+    throw new Error('S3 sse_kms_key_id requires sse: "kms"');
+  }
+
+  if (objectConfig.sse === 'c' && !objectConfig.customerKeyEnv) {
+    throw new Error('S3 sse: "c" requires sse_customer_key_env');
+  }
+
+  if (typeof objectConfig.tags !== 'object' || Array.isArray(objectConfig.tags)) {
+    throw new Error('S3 tags must be an object of tag names and values');
+  }
+
+  if (Object.keys(objectConfig.tags).length > MAX_TAGS) {
+    throw new Error(`S3 tags allows at most ${MAX_TAGS} tags per object`);
+  }
+
+  for (const [key, value] of Object.entries(objectConfig.tags)) {
+    if (typeof value !== 'string') {
+      throw new Error(`S3 tag "${key}" must be a string`);
+    }
+  }
+
+  return objectConfig;
+}
+
+/**
+ * SSE-C 키 조회
+ *
+ * @param {string} customerKeyEnv - 키(base64)를 담은 환경변수 이름
+ * @returns {Buffer} 32바이트 키
+ * @throws {Error} 환경변수가 비어 있거나 키가 32바이트가 아닌 경우
+ */
+function resolveCustomerKey(customerKeyEnv) {
+  if (!process.env[customerKeyEnv]) {
+    throw new Error(`Environment variable ${customerKeyEnv} (sse_customer_key_env) is not set`);
+  }
+
+  const key = Buffer.from(process.env[customerKeyEnv], 'base64');
+
+  if (key.length !== 32) {
+    throw new Error(`${customerKeyEnv} must hold a base64-encoded 32-byte key (e.g. openssl rand -base64 32)`);
+  }
+
+  return key;
+}
+
+/**
+ * 백업 파일 정보 (태그 치환 및 메타데이터용)
+ *
+ * @param {string} fileName - 업로드할 파일 이름
+ * @returns {Object} { host, target, kind, type } (백업 파일 이름 형식이 아니면 target, kind, type은 빈 문자열)
+ */
+function describeObject(fileName) {
+  const parsed = parseBackupFilename(fileName);
+
+  return {
+    host: os.hostname(),
+    target: parsed ? parsed.target : '',
+    kind: parsed ? parsed.kind : '',
+    type: parsed ? parsed.type : ''
+  };
+}
+
+/**
+ * 객체 사용자 메타데이터 (x-amz-meta-*)
+ *
+ * @param {string} fileName - 업로드할 파일 이름
+ * @param {string} [checksum] - SHA-256 (hex)
+ * @returns {Object} { 'source-host', target, 'tool-version', sha256 } (값이 없는 항목은 제외)
+ */
+function buildObjectMetadata(fileName, checksum) {
+  const { host, target } = describeObject(fileName);
+  const metadata = { 'source-host': host, 'tool-version': TOOL_VERSION };
+
+  if (target) {
+    metadata.target = target;
+  }
+
+  if (checksum) {
+    metadata.sha256 = checksum;
+  }
+
+  return metadata;
+}
+
+/**
+ * 객체 태그 (x-amz-tagging 헤더 형식)
+ *
+ * @param {Object} tags - parseObjectConfig()의 tags
+ * @param {string} fileName - 업로드할 파일 이름
+ * @returns {string|null} 'key=value&...' (치환 후 값이 빈 태그는 제외), 태그가 없으면 null
+ */
+function buildObjectTagging(tags, fileName) {
+  const info = describeObject(fileName);
+  const pairs = [];
+
+  for (const [key, template] of Object.entries(tags)) {
+    const value = template.replace(/\{(host|target|kind|type)\}/g, (match, name) => info[name]);
+
+    if (value) {
+      pairs.push(`${encodeURIComponent(key)}=${encodeURIComponent(value)}`);
+    }
+  }
+
+  return pairs.length > 0 ? pairs.join('&') : null;
+}
+
+module.exports = {
+  parseConnectionConfig,
+  resolveCredentials,
+  readCaBundle,
+  parseObjectConfig,
+  resolveCustomerKey,
+  buildObjectMetadata,
+  buildObjectTagging
+};
@@ -1,7 +1,18 @@
 const fs = require('fs');
+const path = require('path');
 const { exec } = require('child_process');
 const { promisify } = require('util');
 const { log, formatBytes } = require('../utils');
+const { rcat } = require('./rclone');
+const {
+  parseConnectionConfig,
+  resolveCredentials,
+  readCaBundle,
+  parseObjectConfig,
+  resolveCustomerKey,
+  buildObjectMetadata,
+  buildObjectTagging
+} = require('./s3-common');
 const BaseUploader = require('./base');
 
 const execAsync = promisify(exec);
@@ -11,15 +22,18 @@ const execAsync = promisify(exec);
  *
  * rclone을 사용하여 AWS S3에 백업 업로드
  * Google Drive와 동일한 인터페이스로 S3 사용 가능
+ * endpoint를 지정하면 S3 호환 스토리지(MinIO, Backblaze B2, Wasabi, Cloudflare R2, Ceph 등)에 업로드
+ * 서버 측 암호화(SSE-S3, SSE-KMS, SSE-C), 객체 태그, 사용자 메타데이터 지원 (s3-common.js 참고)
  *
  * 사전 요구사항:
  * - rclone 설치: brew install rclone (macOS) 또는 curl https://rclone.org/install.sh | sudo bash
  * - rclone config: rclone config로 's3' 리모트 설정 필요
  *   또는 환경변수 사용 (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
+ *   또는 .config에 연결 설정 지정 (endpoint, access_key_id_env 등, buildEnv() 참고)
  */
 class S3RcloneUploader extends BaseUploader {
   constructor(config) {
-    super();
+    super(config);
     // rclone 리모트 이름 (기본값: 's3')
     this.remoteName = config.remote_name || 's3';
     // S3 버킷 이름
@@ -30,31 +44,151 @@ class S3RcloneUploader extends BaseUploader {
     this.region = config.region || 'us-east-1';
     // Storage Class (STANDARD, STANDARD_IA, GLACIER 등)
     this.storageClass = config.storage_class || 'STANDARD';
+    // rclone S3 provider (AWS, Minio, Cloudflare, Wasabi, Ceph 등, 기본값: endpoint가 있으면 'Other')
+    this.provider = config.provider || (config.endpoint ? 'Other' : 'AWS');
+    // 엔드포인트, 경로 방식 주소, 프로필, TLS 설정 (s3-common.js 참고)
+    this.connection = parseConnectionConfig(config);
+    // 서버 측 암호화, 객체 태그 설정 (s3-common.js 참고)
+    this.objectConfig = parseObjectConfig(config);
+    // .config의 연결 설정으로 리모트를 정의하는지 여부
+    this.remoteFromConfig = Boolean(
+      config.provider || this.connection.endpoint || config.access_key_id_env || this.connection.profile
+    );
+    // rclone 실행 환경변수 (initialize()에서 buildEnv()로 설정)
+    this.env = process.env;
     // 초기화 플래그
     this.initialized = false;
 
     if (!this.bucket) {
       throw new Error('S3 bucket is required');
     }
+
+    if (config.object_lock) {
+      throw new Error('object_lock is only supported by the s3-sdk uploader');
+    }
+  }
+
+  /**
+   * rclone 실행 환경변수 구성
+   *
+   * .config에 연결 설정이 있으면 rclone의 환경변수 설정(RCLONE_CONFIG_<리모트>_<옵션>)으로
+   * 리모트를 정의합니다. rclone.conf에 같은 이름의 리모트가 있으면 이 값들이 우선합니다.
+   * CA 번들과 인증서 검증 여부는 전역 옵션(RCLONE_CA_CERT, RCLONE_NO_CHECK_CERTIFICATE)으로,
+   * 서버 측 암호화는 S3 백엔드 옵션(RCLONE_S3_*)으로 전달하여 업로드, 다운로드, 검증에 모두 적용합니다.
+   * (SSE-C 키를 커맨드라인에 노출하지 않음)
+   *
+   * @returns {Object} rclone 실행 환경변수
+   * @throws {Error} 인증 정보나 SSE-C 키 환경변수가 비어 있거나 CA 번들이 없는 경우
+   */
+  buildEnv() {
+    const env = { ...process.env };
+
+    if (this.remoteFromConfig) {
+      const prefix = `RCLONE_CONFIG_${this.remoteName.toUpperCase()}_`;
+      const credentials = resolveCredentials(this.config);
+
+      env[`${prefix}TYPE`] = 's3';
+      env[`${prefix}PROVIDER`] = this.provider;
+      env[`${prefix}REGION`] = this.region;
+      env[`${prefix}FORCE_PATH_STYLE`] = String(this.connection.forcePathStyle);
+
+      if (this.connection.endpoint) {
+        env[`${prefix}ENDPOINT`] = this.connection.endpoint;
+      }
+
+      if (credentials) {
+        env[`${prefix}ENV_AUTH`] = 'false';
+        env[`${prefix}ACCESS_KEY_ID`] = credentials.accessKeyId;
+        env[`${prefix}SECRET_ACCESS_KEY`] = credentials.secretAccessKey;
+
+        if (credentials.sessionToken) {
+          env[`${prefix}SESSION_TOKEN`] = credentials.sessionToken;
+        }
+      } else {
+        // AWS_* 환경변수, ~/.aws/credentials(profile), IAM Role 사용
+        env[`${prefix}ENV_AUTH`] = 'true';
+
+        if (this.connection.profile) {
+          env[`${prefix}PROFILE`] = this.connection.profile;
+        }
+      }
+    }
+
+    if (this.connection.caBundle) {
+      readCaBundle(this.connection.caBundle);  // 파일 존재 확인
+      env.RCLONE_CA_CERT = this.connection.caBundle;
+    }
+
+    if (!this.connection.tlsVerify) {
+      env.RCLONE_NO_CHECK_CERTIFICATE = 'true';
+    }
+
+    if (this.objectConfig.sse === 's3') {
+      env.RCLONE_S3_SERVER_SIDE_ENCRYPTION = 'AES256';
+    } else if (this.objectConfig.sse === 'kms') {
+      env.RCLONE_S3_SERVER_SIDE_ENCRYPTION = 'aws:kms';
+
+      if (this.objectConfig.kmsKeyId) {
+        env.RCLONE_S3_SSE_KMS_KEY_ID = this.objectConfig.kmsKeyId;
+      }
+    } else if (this.objectConfig.sse === 'c') {
+      env.RCLONE_S3_SSE_CUSTOMER_ALGORITHM = 'AES256';
+      env.RCLONE_S3_SSE_CUSTOMER_KEY_BASE64 = resolveCustomerKey(this.objectConfig.customerKeyEnv).toString('base64');
+    }
+
+    return env;
+  }
+
+  /**
+   * 업로드 시 추가할 rclone 인자
+   *
+   * - --metadata-set: 사용자 메타데이터 (원본 호스트, 대상, 체크섬, 도구 버전, rclone 1.59+)
+   * - --header-upload: 객체 태그 (X-Amz-Tagging)
+   *
+   * @param {string} fileName - 업로드할 파일 이름
+   * @param {string} [checksum] - SHA-256 (hex)
+   * @returns {string[]} rclone 인자 (예: ['--metadata', '--metadata-set', 'sha256=...'])
+   */
+  getUploadArgs(fileName, checksum) {
+    const args = ['--metadata'];
+
+    for (const [key, value] of Object.entries(buildObjectMetadata(fileName, checksum))) {
+      args.push('--metadata-set', `${key}=${value}`);
+    }
+
+    const tagging = buildObjectTagging(this.objectConfig.tags, fileName);
+    if (tagging) {
+      args.push('--header-upload', `X-Amz-Tagging: ${tagging}`);
+    }
+
+    return args;
   }
 
   /**
    * rclone S3 클라이언트 초기화 및 검증
    *
    * - rclone 설치 확인
-   * - 리모트 설정 확인 또는 환경변수로 동적 생성
+   * - .config의 연결 설정으로 리모트 정의, 또는 리모트 설정 확인 또는 환경변수로 동적 생성
    */
   async initialize() {
     try {
       // rclone 버전 확인 (설치 여부 체크)
       await execAsync('rclone version');
 
+      this.env = this.buildEnv();
+
+      if (!this.connection.tlsVerify) {
+        log('S3 TLS certificate verification is disabled (tls_verify: false)', 'warn');
+      }
+
       // 리모트 목록 확인
-      const { stdout } = await execAsync('rclone listremotes');
+      const { stdout } = await execAsync('rclone listremotes', { env: this.env });
       const remotes = stdout.split('\n').map(r => r.replace(':', '').trim()).filter(Boolean);
 
-      // 리모트가 없으면 환경변수 확인
-      if (!remotes.includes(this.remoteName)) {
+      if (this.remoteFromConfig) {
+        log(`Using S3 remote '${this.remoteName}' defined in .config (provider: ${this.provider}${this.connection.endpoint ? `, endpoint: ${this.connection.endpoint}` : ''})`);
+      } else if (!remotes.includes(this.remoteName)) {
+        // 리모트가 없으면 환경변수 확인
         // AWS 환경변수 확인
         if (!process.env.AWS_ACCESS_KEY_ID || !process.env.AWS_SECRET_ACCESS_KEY) {
           throw new Error(
@@ -94,9 +228,11 @@ class S3RcloneUploader extends BaseUploader {
    * @param {string} filePath - 업로드할 로컬 파일 경로
    * @param {string} remotePath - S3 키 프리픽스 (무시됨, config.prefix 사용)
    * @param {string} fileName - S3에 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - SHA-256 (hex), 객체 메타데이터(x-amz-meta-sha256)로 저장
    * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
    */
-  async uploadFile(filePath, remotePath, fileName) {
+  async uploadFile(filePath, remotePath, fileName, options = {}) {
     if (!this.initialized) {
       throw new Error('S3 client not initialized');
     }
@@ -123,23 +259,13 @@ class S3RcloneUploader extends BaseUploader {
         `--s3-storage-class ${this.storageClass}`,
         '--progress',
         '--stats 1s'
-      ].join(' ');
+      ];
 
-      const env = {
-        ...process.env
-      };
-
-      // 환경변수로 AWS credentials 사용
-      if (process.env.AWS_ACCESS_KEY_ID && process.env.AWS_SECRET_ACCESS_KEY) {
-        env.AWS_ACCESS_KEY_ID = process.env.AWS_ACCESS_KEY_ID;
-        env.AWS_SECRET_ACCESS_KEY = process.env.AWS_SECRET_ACCESS_KEY;
-        if (process.env.AWS_SESSION_TOKEN) {
-          env.AWS_SESSION_TOKEN = process.env.AWS_SESSION_TOKEN;
-        }
-      }
+      // 사용자 메타데이터(체크섬 포함)와 객체 태그
+      cmd.push(...this.getUploadArgs(fileName, options.checksum).map(arg => (arg.startsWith('--') ? arg : `"${arg}"`)));
 
-      const { stdout, stderr } = await execAsync(cmd, {
-        env,
+      const { stdout, stderr } = await execAsync(cmd.join(' '), {
+        env: this.env,
         maxBuffer: 1024 * 1024 * 10 // 10MB buffer
       });
 
@@ -163,6 +289,143 @@ class S3RcloneUploader extends BaseUploader {
     }
   }
 
+  /**
+   * 스트리밍 업로드 지원 (rclone rcat)
+   *
+   * @returns {boolean} true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * S3에 스트림 업로드 (스트리밍 모드)
+   *
+   * rclone rcat으로 로컬 파일 없이 스트림을 멀티파트 업로드하고,
+   * 업로드된 객체의 크기를 스트림과 비교합니다.
+   * 실패 시 rclone이 멀티파트 업로드를 중단하고, 남은 객체가 있으면 삭제합니다.
+   *
+   * S3 멀티파트 업로드는 최대 10,000개 파트이므로
+   * 파트 크기(options.partSizeMb)가 업로드할 수 있는 최대 크기를 정합니다 (예: 64MB → 약 640GB).
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - S3에 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {number} options.partSizeMb - 멀티파트 업로드의 파트 크기 (MB, 기본값: 64)
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   * @throws {Error} 업로드 또는 검증 실패 시
+   */
+  async uploadStream(stream, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('S3 client not initialized');
+    }
+
+    const s3Path = `${this.remoteName}:${this.bucket}/${this.prefix}${fileName}`;
+    log(`Streaming to S3: ${fileName}`);
+
+    try {
+      // --s3-chunk-size: 멀티파트 업로드의 파트 크기 (기본값 5MB로는 약 48GB까지만 업로드 가능)
+      const { size, md5 } = await rcat(stream, s3Path, [
+        '--s3-storage-class', this.storageClass,
+        '--s3-chunk-size', `${options.partSizeMb || 64}M`,
+        ...this.getUploadArgs(fileName)
+      ], this.env);
+
+      log(`Upload successful: ${fileName} → s3://${this.bucket}/${this.prefix}${fileName} (${formatBytes(size)}, md5: ${md5})`);
+
+      return {
+        name: fileName,
+        size
+      };
+
+    } catch (error) {
+      throw new Error(`S3 streaming upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로드된 파일 무결성 검증
+   *
+   * rclone check 명령어로 로컬 파일과 S3 객체의 해시를 비교
+   * - S3에서는 MD5(ETag 또는 rclone이 저장한 메타데이터)를 사용
+   * - --one-way: 로컬 파일이 원격에 동일하게 존재하는지만 확인
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - S3에 저장된 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (로그용)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 해시가 일치하지 않거나 객체가 없는 경우
+   */
+  async verifyUpload(filePath, remotePath, fileName, checksum) {
+    if (!this.initialized) {
+      throw new Error('S3 client not initialized');
+    }
+
+    try {
+      // copyto로 fileName에 업로드했으므로 같은 이름의 로컬 파일과 비교
+      const localDir = path.dirname(path.resolve(filePath));
+      const s3Dir = `${this.remoteName}:${this.bucket}/${this.prefix}`;
+      const cmd = `rclone check "${localDir}" "${s3Dir}" --one-way --include "/${fileName}"`;
+
+      await execAsync(cmd, { env: this.env });
+      log(`Integrity verified on S3: ${fileName}${checksum ? ` (sha256: ${checksum})` : ''}`);
+
+      return true;
+
+    } catch (error) {
+      throw new Error(`S3 integrity check failed for ${fileName}: ${error.stderr || error.message}`);
+    }
+  }
+
+  /**
+   * S3에서 파일 다운로드
+   *
+   * rclone copyto 명령어를 사용하여 S3 객체를 로컬 경로로 복사
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 다운로드할 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드된 파일 정보 {name, size, path}
+   */
+  async downloadFile(remotePath, fileName, localPath) {
+    if (!this.initialized) {
+      throw new Error('S3 client not initialized');
+    }
+
+    log(`Downloading from S3: ${fileName}`);
+
+    try {
+      // 로컬 디렉토리가 없으면 생성
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+
+      const s3Path = `${this.remoteName}:${this.bucket}/${this.prefix}${fileName}`;
+      const cmd = `rclone copyto "${s3Path}" "${localPath}"`;
+
+      await execAsync(cmd, {
+        env: this.env,
+        maxBuffer: 1024 * 1024 * 10 // 10MB buffer
+      });
+
+      if (!fs.existsSync(localPath)) {
+        throw new Error(`Object not found: s3://${this.bucket}/${this.prefix}${fileName}`);
+      }
+
+      const fileSize = fs.statSync(localPath).size;
+      log(`Download successful: ${fileName} (${formatBytes(fileSize)})`);
+
+      return {
+        name: fileName,
+        size: fileSize,
+        path: localPath
+      };
+
+    } catch (error) {
+      throw new Error(`S3 download failed: ${error.message}`);
+    }
+  }
+
   /**
    * S3 버킷/프리픽스의 파일 목록 조회
    *
@@ -180,7 +443,7 @@ class S3RcloneUploader extends BaseUploader {
       const s3Path = `${this.remoteName}:${this.bucket}/${this.prefix}`;
       const cmd = `rclone lsjson "${s3Path}"`;
 
-      const { stdout } = await execAsync(cmd);
+      const { stdout } = await execAsync(cmd, { env: this.env });
 
       if (!stdout.trim()) {
         return [];
@@ -225,7 +488,7 @@ class S3RcloneUploader extends BaseUploader {
       const s3Path = `${this.remoteName}:${this.bucket}/${this.prefix}${fileName}`;
       const cmd = `rclone delete "${s3Path}"`;
 
-      await execAsync(cmd);
+      await execAsync(cmd, { env: this.env });
       log(`Deleted file from S3: ${fileName}`);
 
     } catch (error) {
@@ -247,7 +510,7 @@ class S3RcloneUploader extends BaseUploader {
 
     try {
       const cmd = `rclone lsd ${this.remoteName}:${this.bucket}`;
-      await execAsync(cmd);
+      await execAsync(cmd, { env: this.env });
 
       log(`S3 connection OK (bucket: ${this.bucket}, region: ${this.region})`);
       return true;
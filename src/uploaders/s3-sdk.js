@@ -1,22 +1,91 @@
+const crypto = require('crypto');
 const fs = require('fs');
-const { S3Client, PutObjectCommand, ListObjectsV2Command, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { log, formatBytes } = require('../utils');
+const https = require('https');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+  ListPartsCommand,
+  ListMultipartUploadsCommand,
+  GetObjectLockConfigurationCommand
+} = require('@aws-sdk/client-s3');
+const { retry, createLimiter, parseBackupFilename, getContentType, log, formatBytes } = require('../utils');
+const { computeFileChecksum } = require('../checksum');
+const {
+  parseConnectionConfig,
+  resolveCredentials,
+  readCaBundle,
+  parseObjectConfig,
+  resolveCustomerKey,
+  buildObjectMetadata,
+  buildObjectTagging
+} = require('./s3-common');
 const BaseUploader = require('./base');
 
+// S3 멀티파트 업로드의 최대 파트 수
+const MAX_PARTS = 10000;
+
+// S3 멀티파트 업로드의 최소 파트 크기 (MB)
+const MIN_PART_SIZE_MB = 5;
+
+const MB = 1024 * 1024;
+
+// S3 Object Lock 보관 모드
+const OBJECT_LOCK_MODES = ['governance', 'compliance'];
+
+/**
+ * S3 멀티파트 객체의 복합 체크섬 계산
+ *
+ * 멀티파트 업로드의 ChecksumSHA256은 각 파트 SHA-256(바이너리)을 이어 붙인 값의
+ * SHA-256(base64)에 '-<파트 수>'를 붙인 값입니다.
+ *
+ * @param {string} filePath - 로컬 파일 경로
+ * @param {number} partSize - 업로드에 사용한 파트 크기 (바이트)
+ * @returns {Promise<string>} 복합 체크섬 (예: 'q2Fh...=-12')
+ */
+async function computeCompositeChecksum(filePath, partSize) {
+  const fileSize = fs.statSync(filePath).size;
+  const partCount = Math.ceil(fileSize / partSize);
+  const digests = [];
+
+  for (let i = 0; i < partCount; i++) {
+    const hash = crypto.createHash('sha256');
+    const end = Math.min((i + 1) * partSize, fileSize) - 1;
+
+    await pipeline(fs.createReadStream(filePath, { start: i * partSize, end }), hash);
+    digests.push(hash.digest());
+  }
+
+  return `${crypto.createHash('sha256').update(Buffer.concat(digests)).digest('base64')}-${partCount}`;
+}
+
 /**
  * AWS S3 업로더 (AWS SDK 기반)
  *
  * @aws-sdk/client-s3를 사용하여 AWS S3에 백업 업로드
  * Node.js 네이티브 방식으로 S3 사용 (rclone 불필요)
+ * endpoint를 지정하면 S3 호환 스토리지(MinIO, Backblaze B2, Wasabi, Cloudflare R2, Ceph 등)에 업로드
+ * 서버 측 암호화(SSE-S3, SSE-KMS, SSE-C), 객체 태그, 사용자 메타데이터 지원 (s3-common.js 참고)
+ * Object Lock (object_lock) 설정 시 대상의 보관 기간 동안 삭제할 수 없도록 업로드
  *
  * 인증 방식 (우선순위):
- * 1. 환경변수 (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
- * 2. AWS CLI credentials (~/.aws/credentials)
- * 3. IAM Role (EC2/ECS에서 실행 시)
+ * 1. 업로더별 환경변수 (access_key_id_env, secret_access_key_env) 또는 프로필 (profile)
+ * 2. 환경변수 (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
+ * 3. AWS CLI credentials (~/.aws/credentials)
+ * 4. IAM Role (EC2/ECS에서 실행 시)
  */
 class S3SdkUploader extends BaseUploader {
   constructor(config) {
-    super();
+    super(config);
     // S3 버킷 이름
     this.bucket = config.bucket;
     // S3 객체 키 프리픽스 (예: 'backups/')
@@ -25,36 +94,112 @@ class S3SdkUploader extends BaseUploader {
     this.region = config.region || 'us-east-1';
     // Storage Class (STANDARD, STANDARD_IA, GLACIER 등)
     this.storageClass = config.storage_class || 'STANDARD';
+    // 멀티파트 업로드 파트 크기 (MB), 이보다 큰 파일은 멀티파트로 업로드
+    this.partSizeMb = config.part_size_mb || 64;
+    // 동시에 업로드할 파트 수
+    this.partConcurrency = config.part_concurrency || 4;
+    // 정리 시 이보다 오래된 미완료 멀티파트 업로드는 중단 (시간)
+    this.staleUploadHours = config.stale_upload_hours || 24;
+    // 엔드포인트, 경로 방식 주소, 프로필, TLS 설정 (s3-common.js 참고)
+    this.connection = parseConnectionConfig(config);
+    // 서버 측 암호화, 객체 태그 설정 (s3-common.js 참고)
+    this.objectConfig = parseObjectConfig(config);
+    // SSE-C 키 (initialize()에서 환경변수로부터 읽음)
+    this.customerKey = null;
+    // Object Lock 설정 { mode: 'GOVERNANCE' | 'COMPLIANCE' | null, legalHold }, 사용하지 않으면 null
+    this.objectLock = null;
     // S3 Client 인스턴스
     this.s3Client = null;
+    // 이 실행에서 완료되지 않은 멀티파트 업로드의 재개 정보 (S3 객체 키 → { uploadId, parts, ... })
+    this.pendingUploads = new Map();
     // 초기화 플래그
     this.initialized = false;
 
     if (!this.bucket) {
       throw new Error('S3 bucket is required');
     }
+
+    if (!(Number.isInteger(this.partSizeMb) && this.partSizeMb >= MIN_PART_SIZE_MB)) {
+      throw new Error(`S3 part_size_mb must be an integer of at least ${MIN_PART_SIZE_MB}`);
+    }
+
+    if (!(Number.isInteger(this.partConcurrency) && this.partConcurrency > 0)) {
+      throw new Error('S3 part_concurrency must be a positive integer');
+    }
+
+    if (!(typeof this.staleUploadHours === 'number' && this.staleUploadHours > 0)) {
+      throw new Error('S3 stale_upload_hours must be a positive number');
+    }
+
+    if (config.object_lock) {
+      const { mode, legal_hold: legalHold = false } = config.object_lock;
+
+      if (mode && !OBJECT_LOCK_MODES.includes(String(mode).toLowerCase())) {
+        throw new Error(`S3 object_lock.mode must be one of ${OBJECT_LOCK_MODES.join(', ')}`);
+      }
+
+      if (!mode && !legalHold) {
+        throw new Error('S3 object_lock needs a mode or legal_hold: true');
+      }
+
+      this.objectLock = { mode: mode ? String(mode).toUpperCase() : null, legalHold: legalHold === true };
+    }
   }
 
   /**
    * AWS S3 SDK 클라이언트 초기화
    *
    * - S3Client 인스턴스 생성
-   * - 리전 설정
-   * - 자동 credential 탐지 (환경변수 → AWS CLI → IAM Role)
+   * - 리전, 엔드포인트, 경로 방식 주소 설정
+   * - 업로더별 인증 정보 또는 자동 credential 탐지 (환경변수 → AWS CLI → IAM Role)
+   * - CA 번들 / 인증서 검증 설정
    */
   async initialize() {
     try {
-      // S3 Client 생성
-      this.s3Client = new S3Client({
+      const clientConfig = {
         region: this.region,
-        // credentials는 자동으로 다음 순서로 탐지:
-        // 1. 환경변수 (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
-        // 2. ~/.aws/credentials
-        // 3. IAM Role (EC2/ECS)
-      });
+        forcePathStyle: this.connection.forcePathStyle
+      };
+
+      if (this.connection.endpoint) {
+        clientConfig.endpoint = this.connection.endpoint;
+      }
+
+      // credentials를 지정하지 않으면 자동으로 다음 순서로 탐지:
+      // 1. 환경변수 (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY)
+      // 2. ~/.aws/credentials
+      // 3. IAM Role (EC2/ECS)
+      const credentials = resolveCredentials(this.config);
+      if (credentials) {
+        clientConfig.credentials = credentials;
+      } else if (this.connection.profile) {
+        clientConfig.profile = this.connection.profile;
+      }
+
+      const ca = readCaBundle(this.connection.caBundle);
+      if (ca || !this.connection.tlsVerify) {
+        clientConfig.requestHandler = {
+          httpsAgent: new https.Agent({
+            keepAlive: true,
+            ca: ca || undefined,
+            rejectUnauthorized: this.connection.tlsVerify
+          })
+        };
+      }
+
+      if (!this.connection.tlsVerify) {
+        log('S3 TLS certificate verification is disabled (tls_verify: false)', 'warn');
+      }
+
+      if (this.objectConfig.sse === 'c') {
+        this.customerKey = resolveCustomerKey(this.objectConfig.customerKeyEnv);
+      }
+
+      // S3 Client 생성
+      this.s3Client = new S3Client(clientConfig);
 
       this.initialized = true;
-      log(`S3 SDK client initialized (bucket: ${this.bucket}, region: ${this.region})`);
+      log(`S3 SDK client initialized (bucket: ${this.bucket}, ${this.describeLocation()})`);
 
     } catch (error) {
       throw new Error(`S3 SDK initialization failed: ${error.message}`);
@@ -64,16 +209,24 @@ class S3SdkUploader extends BaseUploader {
   /**
    * S3에 파일 업로드
    *
-   * PutObjectCommand를 사용하여 파일 업로드
+   * 파트 크기(part_size_mb) 이하의 파일은 PutObjectCommand로 한 번에 업로드
    * - 스트리밍 업로드 지원
    * - Storage Class 지정
+   * - 체크섬 지정 시 S3가 수신한 데이터의 SHA-256을 서버에서 검증 (불일치 시 BadDigest)
+   *
+   * 더 큰 파일은 멀티파트 업로드 (uploadMultipart() 참고)
+   * - 5GB 이상의 파일도 업로드 가능
+   * - 파트를 동시에 업로드하고 진행률 출력
+   * - 실패 후 다시 호출하면(retry) 완료된 파트는 건너뛰고 이어서 업로드
    *
    * @param {string} filePath - 업로드할 로컬 파일 경로
    * @param {string} remotePath - 무시됨 (config.prefix 사용)
    * @param {string} fileName - S3에 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - SHA-256 (hex), ChecksumSHA256 및 메타데이터(x-amz-meta-sha256)로 저장
    * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
    */
-  async uploadFile(filePath, remotePath, fileName) {
+  async uploadFile(filePath, remotePath, fileName, options = {}) {
     if (!this.initialized) {
       throw new Error('S3 client not initialized');
     }
@@ -89,17 +242,37 @@ class S3SdkUploader extends BaseUploader {
       // S3 객체 키 구성
       const key = `${this.prefix}${fileName}`;
 
+      // 파트 크기보다 큰 파일은 멀티파트 업로드
+      if (fileSize > this.getPartSize(fileSize)) {
+        await this.uploadMultipart(filePath, key, options);
+        log(`Upload successful: ${fileName} → s3://${this.bucket}/${key}`);
+
+        return {
+          name: fileName,
+          size: fileSize
+        };
+      }
+
       // 파일 스트림 생성
       const fileStream = fs.createReadStream(filePath);
 
-      // PutObject 커맨드 생성
-      const command = new PutObjectCommand({
+      // PutObject 파라미터 구성 (Storage Class, 메타데이터, 태그, 서버 측 암호화)
+      const params = {
         Bucket: this.bucket,
         Key: key,
         Body: fileStream,
-        StorageClass: this.storageClass,
-        ContentType: 'application/gzip' // tar.gz 파일
-      });
+        ContentLength: fileSize,
+        ...this.getObjectParams(fileName, options.checksum)
+      };
+
+      // S3 체크섬(base64)으로 SHA-256 전송 (메타데이터에는 hex로 저장)
+      if (options.checksum) {
+        params.ChecksumAlgorithm = 'SHA256';
+        params.ChecksumSHA256 = Buffer.from(options.checksum, 'hex').toString('base64');
+      }
+
+      // PutObject 커맨드 생성
+      const command = new PutObjectCommand(params);
 
       // 업로드 실행
       await this.s3Client.send(command);
@@ -116,10 +289,590 @@ class S3SdkUploader extends BaseUploader {
     }
   }
 
+  /**
+   * 객체 생성 파라미터 (PutObject, CreateMultipartUpload)
+   *
+   * Storage Class, Content-Type, 사용자 메타데이터(원본 호스트, 대상, 체크섬, 도구 버전),
+   * 객체 태그, Object Lock, 서버 측 암호화 설정
+   *
+   * @param {string} fileName - 업로드할 파일 이름
+   * @param {string} [checksum] - SHA-256 (hex), 메타데이터(x-amz-meta-sha256)로 저장
+   * @returns {Object} AWS SDK 커맨드 파라미터
+   */
+  getObjectParams(fileName, checksum) {
+    const params = {
+      StorageClass: this.storageClass,
+      ContentType: getContentType(fileName),
+      Metadata: buildObjectMetadata(fileName, checksum),
+      ...this.getCustomerKeyParams()
+    };
+
+    const tagging = buildObjectTagging(this.objectConfig.tags, fileName);
+    if (tagging) {
+      params.Tagging = tagging;
+    }
+
+    if (this.objectLock) {
+      Object.assign(params, this.getObjectLockParams(fileName));
+    }
+
+    if (this.objectConfig.sse === 's3') {
+      params.ServerSideEncryption = 'AES256';
+    } else if (this.objectConfig.sse === 'kms') {
+      params.ServerSideEncryption = 'aws:kms';
+
+      if (this.objectConfig.kmsKeyId) {
+        params.SSEKMSKeyId = this.objectConfig.kmsKeyId;
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * Object Lock 파라미터
+   *
+   * 보관 기한은 업로드 시각 + 대상의 보관 기간(days)입니다.
+   * GFS 정책으로 그보다 오래 보관되는 백업도 잠금은 보관 기간까지만 유지되며,
+   * 보관 기간이 없으면 보관 기한을 지정하지 않습니다.
+   * (저장소 청크는 보관 기한을 정할 수 없으므로 mode와 함께 쓸 수 없음, supportsRepository() 참고)
+   *
+   * @param {string} fileName - 업로드할 파일 이름
+   * @returns {Object} { ObjectLockMode, ObjectLockRetainUntilDate, ObjectLockLegalHoldStatus }
+   */
+  getObjectLockParams(fileName) {
+    const params = {};
+    const days = this.getRetentionDays(fileName);
+
+    if (this.objectLock.mode && days) {
+      params.ObjectLockMode = this.objectLock.mode;
+      params.ObjectLockRetainUntilDate = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    if (this.objectLock.legalHold) {
+      params.ObjectLockLegalHoldStatus = 'ON';
+    }
+
+    return params;
+  }
+
+  /**
+   * 백업 파일의 보관 기간 (setRetentionPolicy()로 받은 대상별 보관 정책 기준)
+   *
+   * @param {string} fileName - 백업 파일 이름
+   * @returns {number|null} 보관 일수, 알 수 없으면 null
+   */
+  getRetentionDays(fileName) {
+    const parsed = parseBackupFilename(fileName);
+
+    if (!parsed || !this.retention) {
+      return null;
+    }
+
+    const policy = this.retention.byTarget[`${parsed.kind}-${parsed.target}`] || this.retention.policy;
+    const days = typeof policy === 'number' ? policy : policy && policy.days;
+
+    return days > 0 ? days : null;
+  }
+
+  /**
+   * SSE-C 파라미터
+   *
+   * SSE-C 객체는 파트 업로드, 업로드 완료, 조회(HeadObject), 다운로드 시에도 같은 키가 필요합니다.
+   *
+   * @returns {Object} { SSECustomerAlgorithm, SSECustomerKey }, SSE-C를 사용하지 않으면 빈 객체
+   */
+  getCustomerKeyParams() {
+    if (!this.customerKey) {
+      return {};
+    }
+
+    return {
+      SSECustomerAlgorithm: 'AES256',
+      SSECustomerKey: this.customerKey
+    };
+  }
+
+  /**
+   * 멀티파트 업로드에 사용할 파트 크기 계산
+   *
+   * 기본값은 part_size_mb이며, 파트가 10,000개를 넘는 큰 파일은 파트 크기를 늘립니다.
+   *
+   * @param {number} fileSize - 파일 크기 (바이트)
+   * @returns {number} 파트 크기 (바이트)
+   */
+  getPartSize(fileSize) {
+    return Math.max(this.partSizeMb * MB, Math.ceil(fileSize / MAX_PARTS / MB) * MB);
+  }
+
+  /**
+   * 이어서 업로드할 수 있는 멀티파트 업로드 찾기
+   *
+   * 이 실행에서 실패한 업로드의 재개 정보가 같은 로컬 파일(크기, 수정 시각, 체크섬)과 파트 크기에 대한 것이면,
+   * S3에 실제로 남아 있는 파트(ListParts)와 ETag가 일치하는 파트만 완료된 것으로 봅니다.
+   *
+   * @param {string} key - S3 객체 키
+   * @param {Object} expected - { size, mtimeMs, partSize, checksum }
+   * @returns {Promise<Object|null>} 재개 정보, 없거나 이어서 업로드할 수 없으면 null
+   */
+  async loadResumableUpload(key, expected) {
+    const state = this.pendingUploads.get(key);
+
+    if (!state) {
+      return null;
+    }
+
+    const matches = ['size', 'mtimeMs', 'partSize', 'checksum'].every(field => state[field] === expected[field]);
+
+    if (!matches) {
+      // 파일이 바뀌었으면 이전 업로드는 쓸 수 없음
+      this.pendingUploads.delete(key);
+      await this.abortMultipartUpload(state.key, state.uploadId);
+      return null;
+    }
+
+    const uploaded = new Map();
+    let partNumberMarker;
+
+    try {
+      do {
+        const response = await this.s3Client.send(new ListPartsCommand({
+          Bucket: this.bucket,
+          Key: state.key,
+          UploadId: state.uploadId,
+          PartNumberMarker: partNumberMarker
+        }));
+
+        for (const part of response.Parts || []) {
+          uploaded.set(part.PartNumber, part.ETag);
+        }
+
+        partNumberMarker = response.IsTruncated ? response.NextPartNumberMarker : undefined;
+      } while (partNumberMarker);
+    } catch (error) {
+      // 업로드가 이미 완료되었거나 중단됨 (예: 정리 시 오래된 업로드로 중단)
+      if (error.name === 'NoSuchUpload') {
+        this.pendingUploads.delete(key);
+        return null;
+      }
+      throw error;
+    }
+
+    for (const partNumber of Object.keys(state.parts)) {
+      if (uploaded.get(Number(partNumber)) !== state.parts[partNumber].ETag) {
+        delete state.parts[partNumber];
+      }
+    }
+
+    return state;
+  }
+
+  /**
+   * 멀티파트 업로드 중단 (실패해도 에러를 던지지 않음)
+   *
+   * @param {string} key - S3 객체 키
+   * @param {string} uploadId - 멀티파트 업로드 ID
+   * @returns {Promise<boolean>} 중단했으면 true
+   */
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await this.s3Client.send(new AbortMultipartUploadCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId }));
+      return true;
+    } catch (error) {
+      if (error.name !== 'NoSuchUpload') {
+        log(`Failed to abort multipart upload of s3://${this.bucket}/${key}: ${error.message}`, 'warn');
+      }
+      return false;
+    }
+  }
+
+  /**
+   * 파일을 멀티파트로 업로드 (이어서 업로드 지원)
+   *
+   * - 파트 크기(getPartSize())만큼씩 읽어 part_concurrency개까지 동시에 업로드
+   * - 각 파트는 SHA-256 체크섬과 함께 전송되어 S3가 수신 시 검증 (파트 단위로 재시도)
+   * - 완료된 파트는 메모리(pendingUploads)에 기록되므로, 업로드가 중간에 실패해도
+   *   같은 실행에서 다시 호출하면(retry) 남은 파트만 업로드
+   * - 업로드 완료 후 재개 정보 삭제 (끝내 완료되지 않은 업로드는 정리 시 abortStaleUploads()가 중단)
+   *
+   * 백업 파일 이름에 실행 시각이 들어가고 실패한 실행의 로컬 아카이브도 삭제되므로,
+   * 재개 정보를 디스크에 남겨도 다음 실행에서 이어서 업로드할 수 없습니다.
+   *
+   * @param {string} filePath - 업로드할 로컬 파일 경로
+   * @param {string} key - S3 객체 키
+   * @param {Object} options - uploadFile()의 옵션
+   * @returns {Promise<void>}
+   */
+  async uploadMultipart(filePath, key, options = {}) {
+    const stat = fs.statSync(filePath);
+    const partSize = this.getPartSize(stat.size);
+    const partCount = Math.ceil(stat.size / partSize);
+    const expected = { size: stat.size, mtimeMs: stat.mtimeMs, partSize, checksum: options.checksum || null };
+
+    let state = await this.loadResumableUpload(key, expected);
+
+    if (state) {
+      log(`Resuming multipart upload: ${Object.keys(state.parts).length}/${partCount} part(s) already uploaded`);
+    } else {
+      const created = await this.s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ChecksumAlgorithm: 'SHA256',
+        ...this.getObjectParams(path.basename(key), options.checksum)
+      }));
+      state = { key, uploadId: created.UploadId, ...expected, parts: {} };
+      this.pendingUploads.set(key, state);
+    }
+
+    log(`Multipart upload: ${partCount} part(s) of ${formatBytes(partSize)}, ${this.partConcurrency} at a time`);
+
+    const limit = createLimiter(this.partConcurrency);
+    const file = await fs.promises.open(filePath, 'r');
+    let lastReported = 0;
+
+    try {
+      const remaining = [];
+      for (let partNumber = 1; partNumber <= partCount; partNumber++) {
+        if (!state.parts[partNumber]) {
+          remaining.push(partNumber);
+        }
+      }
+
+      await Promise.all(remaining.map(partNumber => limit(async () => {
+        const start = (partNumber - 1) * partSize;
+        const body = Buffer.alloc(Math.min(partSize, stat.size - start));
+        await file.read(body, 0, body.length, start);
+
+        const response = await retry(async () => this.s3Client.send(new UploadPartCommand({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId: state.uploadId,
+          PartNumber: partNumber,
+          Body: body,
+          ChecksumAlgorithm: 'SHA256',
+          ...this.getCustomerKeyParams()
+        })));
+
+        // 완료된 파트 기록 (다음 시도에서 건너뜀)
+        state.parts[partNumber] = { ETag: response.ETag, ChecksumSHA256: response.ChecksumSHA256 };
+
+        // 진행률 출력 (10% 단위)
+        const done = Object.keys(state.parts).length;
+        const percent = Math.floor((done / partCount) * 10) * 10;
+        if (percent > lastReported) {
+          lastReported = percent;
+          log(`  ${path.basename(key)}: ${percent}% (${done}/${partCount} parts)`);
+        }
+      })));
+    } finally {
+      await file.close();
+    }
+
+    const parts = Object.entries(state.parts)
+      .map(([partNumber, part]) => ({ PartNumber: Number(partNumber), ...part }))
+      .sort((a, b) => a.PartNumber - b.PartNumber);
+
+    await this.s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: this.bucket,
+      Key: key,
+      UploadId: state.uploadId,
+      MultipartUpload: { Parts: parts },
+      ...this.getCustomerKeyParams()
+    }));
+
+    this.pendingUploads.delete(key);
+  }
+
+  /**
+   * 스트리밍 업로드 지원 (멀티파트 업로드)
+   *
+   * @returns {boolean} true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * 저장소 모드 지원 여부
+   *
+   * 청크는 이후 스냅샷이 계속 참조하므로 업로드 시점에 보관 기한을 정할 수 없습니다.
+   * 청크의 잠금이 스냅샷보다 먼저 풀리면 잠긴 스냅샷도 복원할 수 없게 되므로,
+   * object_lock.mode를 사용하면 저장소 모드를 지원하지 않습니다. (legal_hold만 사용하면 지원)
+   *
+   * @returns {boolean} object_lock.mode를 사용하지 않으면 true
+   */
+  supportsRepository() {
+    return !(this.objectLock && this.objectLock.mode);
+  }
+
+  /**
+   * S3에 스트림 업로드 (스트리밍 모드)
+   *
+   * 스트림을 파트 크기만큼 메모리에 모아 멀티파트 업로드로 전송합니다.
+   * - 각 파트는 SHA-256 체크섬과 함께 전송되어 S3가 수신 시 검증 (파트 단위로 재시도)
+   * - 완료 후 객체 크기를 스트림과 비교
+   * - 실패 시 멀티파트 업로드를 중단(AbortMultipartUpload)하여 업로드된 파트를 삭제하고,
+   *   완료 후 검증에 실패하면 객체를 삭제
+   *
+   * 파트는 최대 10,000개이므로 파트 크기가 업로드할 수 있는 최대 크기를 정합니다 (예: 64MB → 약 640GB).
+   * 업로드 중에는 파트 하나 크기만큼의 메모리를 사용합니다.
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - S3에 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {number} options.partSizeMb - 파트 크기 (MB, 기본값: 64, S3 최소 5MB)
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   * @throws {Error} 업로드 또는 검증 실패 시
+   */
+  async uploadStream(stream, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('S3 client not initialized');
+    }
+
+    const key = `${this.prefix}${fileName}`;
+    const partSize = (options.partSizeMb || 64) * 1024 * 1024;
+    log(`Streaming to S3: ${fileName} (multipart, ${formatBytes(partSize)} parts)`);
+
+    let uploadId = null;
+    let completed = false;
+
+    try {
+      const created = await this.s3Client.send(new CreateMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ChecksumAlgorithm: 'SHA256',
+        ...this.getObjectParams(fileName)
+      }));
+      uploadId = created.UploadId;
+
+      const parts = [];
+      let size = 0;
+      let buffers = [];
+      let buffered = 0;
+
+      // 파트 하나 업로드 (재시도 로직 포함)
+      const uploadPart = async (body) => {
+        const partNumber = parts.length + 1;
+
+        if (partNumber > MAX_PARTS) {
+          throw new Error(`Upload exceeds ${MAX_PARTS} parts of ${formatBytes(partSize)}, increase streaming.part_size_mb`);
+        }
+
+        const response = await retry(async () => this.s3Client.send(new UploadPartCommand({
+          Bucket: this.bucket,
+          Key: key,
+          UploadId: uploadId,
+          PartNumber: partNumber,
+          Body: body,
+          ChecksumAlgorithm: 'SHA256',
+          ...this.getCustomerKeyParams()
+        })));
+
+        parts.push({ PartNumber: partNumber, ETag: response.ETag, ChecksumSHA256: response.ChecksumSHA256 });
+      };
+
+      for await (const chunk of stream) {
+        buffers.push(chunk);
+        buffered += chunk.length;
+        size += chunk.length;
+
+        while (buffered >= partSize) {
+          const data = Buffer.concat(buffers);
+          await uploadPart(data.subarray(0, partSize));
+          buffers = [data.subarray(partSize)];
+          buffered = data.length - partSize;
+        }
+      }
+
+      // 마지막 파트 (빈 스트림이어도 파트가 하나는 있어야 함)
+      if (buffered > 0 || parts.length === 0) {
+        await uploadPart(Buffer.concat(buffers));
+      }
+
+      await this.s3Client.send(new CompleteMultipartUploadCommand({
+        Bucket: this.bucket,
+        Key: key,
+        UploadId: uploadId,
+        MultipartUpload: { Parts: parts },
+        ...this.getCustomerKeyParams()
+      }));
+      completed = true;
+
+      // 크기 비교 (각 파트의 SHA-256은 S3가 이미 검증함)
+      const head = await this.s3Client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ...this.getCustomerKeyParams()
+      }));
+
+      if (head.ContentLength !== size) {
+        throw new Error(`Size mismatch for s3://${this.bucket}/${key}: streamed ${size}, remote ${head.ContentLength}`);
+      }
+
+      log(`Upload successful: ${fileName} → s3://${this.bucket}/${key} (${formatBytes(size)}, ${parts.length} part(s))`);
+
+      return {
+        name: fileName,
+        size
+      };
+
+    } catch (error) {
+      // 불완전한 업로드 정리 (완료 전: 멀티파트 업로드 중단, 완료 후: 객체 삭제)
+      try {
+        if (completed) {
+          await this.s3Client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+        } else if (uploadId) {
+          await this.s3Client.send(new AbortMultipartUploadCommand({ Bucket: this.bucket, Key: key, UploadId: uploadId }));
+        }
+      } catch (cleanupError) {
+        log(`Failed to clean up partial upload s3://${this.bucket}/${key}: ${cleanupError.message}`, 'warn');
+      }
+
+      throw new Error(`S3 streaming upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로드된 파일 무결성 검증
+   *
+   * HeadObjectCommand로 원격 객체 정보를 조회하여 로컬 파일과 비교
+   * 1. ChecksumSHA256이 있으면 로컬 SHA-256과 비교
+   *    (멀티파트 업로드의 복합 체크섬 '...-N'은 같은 파트 크기로 계산한 로컬 복합 체크섬과 비교)
+   * 2. 없으면 (S3 호환 스토리지 등) 단일 파트 ETag(MD5)와 로컬 MD5 비교
+   * 3. 둘 다 불가능하면 크기만 비교하고 경고 출력
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - S3에 저장된 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (hex)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 크기 또는 체크섬이 일치하지 않는 경우
+   */
+  async verifyUpload(filePath, remotePath, fileName, checksum) {
+    if (!this.initialized) {
+      throw new Error('S3 client not initialized');
+    }
+
+    const key = `${this.prefix}${fileName}`;
+
+    const command = new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      ChecksumMode: 'ENABLED',
+      ...this.getCustomerKeyParams()
+    });
+
+    let head;
+    try {
+      head = await this.s3Client.send(command);
+    } catch (error) {
+      throw new Error(`S3 integrity check failed for ${fileName}: ${error.message}`);
+    }
+
+    // 크기 비교
+    const localSize = fs.statSync(filePath).size;
+    if (head.ContentLength !== localSize) {
+      throw new Error(`Size mismatch for s3://${this.bucket}/${key}: local ${localSize}, remote ${head.ContentLength}`);
+    }
+
+    const localChecksum = checksum || await computeFileChecksum(filePath);
+
+    // 1. S3 SHA-256 체크섬 비교 (멀티파트 복합 체크섬 '...-N'은 제외)
+    if (head.ChecksumSHA256 && !head.ChecksumSHA256.includes('-')) {
+      const remoteChecksum = Buffer.from(head.ChecksumSHA256, 'base64').toString('hex');
+
+      if (remoteChecksum !== localChecksum) {
+        throw new Error(`Checksum mismatch for s3://${this.bucket}/${key}: local ${localChecksum}, remote ${remoteChecksum}`);
+      }
+
+      log(`Integrity verified on S3: ${fileName} (sha256: ${localChecksum})`);
+      return true;
+    }
+
+    if (head.ChecksumSHA256) {
+      const localComposite = await computeCompositeChecksum(filePath, this.getPartSize(localSize));
+
+      if (head.ChecksumSHA256 !== localComposite) {
+        throw new Error(`Checksum mismatch for s3://${this.bucket}/${key}: local ${localComposite}, remote ${head.ChecksumSHA256}`);
+      }
+
+      log(`Integrity verified on S3: ${fileName} (multipart sha256: ${head.ChecksumSHA256})`);
+      return true;
+    }
+
+    // 2. ETag 비교 (단일 파트 업로드의 ETag는 MD5, 단 SSE-KMS/SSE-C 객체의 ETag는 MD5가 아님)
+    const etag = (head.ETag || '').replace(/"/g, '');
+    if (etag && !etag.includes('-') && !['kms', 'c'].includes(this.objectConfig.sse)) {
+      const localMd5 = await computeFileChecksum(filePath, 'md5');
+
+      if (etag !== localMd5) {
+        throw new Error(`ETag mismatch for s3://${this.bucket}/${key}: local md5 ${localMd5}, remote ${etag}`);
+      }
+
+      log(`Integrity verified on S3: ${fileName} (md5: ${localMd5})`);
+      return true;
+    }
+
+    // 3. 비교할 해시가 없는 경우 크기만 확인
+    log(`No comparable checksum for s3://${this.bucket}/${key}, verified size only`, 'warn');
+    return true;
+  }
+
+  /**
+   * S3에서 파일 다운로드
+   *
+   * GetObjectCommand를 사용하여 객체를 로컬 파일로 스트리밍 저장
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 다운로드할 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드된 파일 정보 {name, size, path}
+   */
+  async downloadFile(remotePath, fileName, localPath) {
+    if (!this.initialized) {
+      throw new Error('S3 client not initialized');
+    }
+
+    log(`Downloading from S3: ${fileName}`);
+
+    try {
+      const key = `${this.prefix}${fileName}`;
+
+      // 로컬 디렉토리가 없으면 생성
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+
+      const command = new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key,
+        ...this.getCustomerKeyParams()
+      });
+
+      const response = await this.s3Client.send(command);
+
+      // 응답 Body(Readable 스트림)를 로컬 파일로 저장
+      await pipeline(response.Body, fs.createWriteStream(localPath));
+
+      const fileSize = fs.statSync(localPath).size;
+      log(`Download successful: s3://${this.bucket}/${key} (${formatBytes(fileSize)})`);
+
+      return {
+        name: fileName,
+        size: fileSize,
+        path: localPath
+      };
+
+    } catch (error) {
+      throw new Error(`S3 download failed: ${error.message}`);
+    }
+  }
+
   /**
    * S3 버킷/프리픽스의 파일 목록 조회
    *
    * ListObjectsV2Command를 사용하여 객체 목록 가져옴
+   * - 프리픽스 바로 아래의 객체만 조회 (하위 "폴더"의 객체는 제외)
+   * - 1000개가 넘으면 ContinuationToken으로 다음 페이지 조회
    *
    * @param {string} remotePath - 무시됨 (config.prefix 사용)
    * @returns {Promise<Array>} 파일 목록 [{name, size, createdTime}]
@@ -130,19 +883,25 @@ class S3SdkUploader extends BaseUploader {
     }
 
     try {
-      const command = new ListObjectsV2Command({
-        Bucket: this.bucket,
-        Prefix: this.prefix
-      });
+      const contents = [];
+      let continuationToken;
 
-      const response = await this.s3Client.send(command);
+      do {
+        const command = new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: this.prefix,
+          Delimiter: '/',                       // 하위 경로의 객체는 CommonPrefixes로 분리됨
+          ContinuationToken: continuationToken
+        });
 
-      if (!response.Contents || response.Contents.length === 0) {
-        return [];
-      }
+        const response = await this.s3Client.send(command);
+
+        contents.push(...(response.Contents || []));
+        continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+      } while (continuationToken);
 
       // 파일 목록 변환 및 정렬
-      return response.Contents
+      return contents
         .map(obj => ({
           name: obj.Key.replace(this.prefix, ''), // 프리픽스 제거
           size: obj.Size,
@@ -156,10 +915,50 @@ class S3SdkUploader extends BaseUploader {
     }
   }
 
+  /**
+   * 백업이 Object Lock으로 잠겨 있는지 확인
+   *
+   * HeadObject의 보관 모드/기한과 법적 보존(legal hold) 상태를 확인합니다.
+   * (버킷 기본 보관 설정으로 잠긴 객체도 포함)
+   * object_lock을 설정하지 않았으면 확인하지 않습니다. 이때 deleteFile()은 버전을 지정하지 않으므로
+   * 잠긴 객체도 삭제 마커만 추가되어 실패하지 않습니다.
+   *
+   * @param {string} remotePath - 무시됨 (config.prefix 사용)
+   * @param {string} fileName - 파일 이름
+   * @returns {Promise<string|null>} 잠겨 있으면 이유, 아니면 null
+   */
+  async getLockReason(remotePath, fileName) {
+    if (!this.initialized) {
+      throw new Error('S3 client not initialized');
+    }
+
+    if (!this.objectLock) {
+      return null;
+    }
+
+    const head = await this.s3Client.send(new HeadObjectCommand({
+      Bucket: this.bucket,
+      Key: `${this.prefix}${fileName}`,
+      ...this.getCustomerKeyParams()
+    }));
+
+    if (head.ObjectLockLegalHoldStatus === 'ON') {
+      return 'legal hold';
+    }
+
+    if (head.ObjectLockRetainUntilDate && new Date(head.ObjectLockRetainUntilDate) > new Date()) {
+      return `${head.ObjectLockMode} until ${new Date(head.ObjectLockRetainUntilDate).toISOString()}`;
+    }
+
+    return null;
+  }
+
   /**
    * S3에서 파일 삭제
    *
    * DeleteObjectCommand를 사용하여 파일 삭제
+   * Object Lock 사용 시 버킷에 버전 관리가 켜져 있으므로, 삭제 마커만 남기지 않도록
+   * 현재 버전을 지정하여 삭제 (잠금이 풀린 버전만 삭제 가능)
    *
    * @param {string} remotePath - 무시됨 (config.prefix 사용)
    * @param {string} fileName - 삭제할 파일 이름
@@ -172,10 +971,17 @@ class S3SdkUploader extends BaseUploader {
     try {
       const key = `${this.prefix}${fileName}`;
 
-      const command = new DeleteObjectCommand({
+      const params = {
         Bucket: this.bucket,
         Key: key
-      });
+      };
+
+      if (this.objectLock) {
+        const head = await this.s3Client.send(new HeadObjectCommand({ ...params, ...this.getCustomerKeyParams() }));
+        params.VersionId = head.VersionId;
+      }
+
+      const command = new DeleteObjectCommand(params);
 
       await this.s3Client.send(command);
       log(`Deleted file from S3: ${fileName}`);
@@ -185,10 +991,86 @@ class S3SdkUploader extends BaseUploader {
     }
   }
 
+  /**
+   * 오래된 백업 파일 정리
+   *
+   * BaseUploader.cleanupOldBackups()로 보관 정책을 적용한 뒤,
+   * 프리픽스 아래에 남은 오래된 미완료 멀티파트 업로드도 중단합니다.
+   *
+   * @param {string} remotePath - 원격 경로
+   * @param {Object} retention - 기본 보관 정책
+   * @param {Object} retentionByTarget - 대상별 보관 정책
+   * @param {string[]} skipTargets - 정리하지 않을 대상
+   * @returns {Promise<number>} 삭제된 백업 파일 수
+   */
+  async cleanupOldBackups(remotePath, retention, retentionByTarget = {}, skipTargets = []) {
+    const deletedCount = await super.cleanupOldBackups(remotePath, retention, retentionByTarget, skipTargets);
+
+    await this.abortStaleUploads();
+
+    return deletedCount;
+  }
+
+  /**
+   * 오래된 미완료 멀티파트 업로드 중단
+   *
+   * 중단된 백업이 남긴 멀티파트 업로드는 완료되거나 중단될 때까지 파트 저장 비용이 청구되므로,
+   * stale_upload_hours보다 오래 전에 시작된 업로드를 중단하고 재개 정보도 삭제합니다.
+   * (그보다 최근의 업로드는 동시에 실행 중인 다른 백업의 업로드일 수 있으므로 남겨 둠)
+   *
+   * @returns {Promise<number>} 중단한 업로드 수
+   */
+  async abortStaleUploads() {
+    if (!this.initialized) {
+      throw new Error('S3 client not initialized');
+    }
+
+    const cutoff = Date.now() - this.staleUploadHours * 60 * 60 * 1000;
+    let keyMarker;
+    let uploadIdMarker;
+    let abortedCount = 0;
+
+    do {
+      const response = await this.s3Client.send(new ListMultipartUploadsCommand({
+        Bucket: this.bucket,
+        Prefix: this.prefix,
+        Delimiter: '/',
+        KeyMarker: keyMarker,
+        UploadIdMarker: uploadIdMarker
+      }));
+
+      for (const upload of response.Uploads || []) {
+        if (new Date(upload.Initiated).getTime() >= cutoff) {
+          continue;
+        }
+
+        if (await this.abortMultipartUpload(upload.Key, upload.UploadId)) {
+          log(`Aborted stale multipart upload: ${upload.Key} (started ${new Date(upload.Initiated).toISOString()})`);
+          abortedCount++;
+        }
+
+        const state = this.pendingUploads.get(upload.Key);
+        if (state && state.uploadId === upload.UploadId) {
+          this.pendingUploads.delete(upload.Key);
+        }
+      }
+
+      keyMarker = response.IsTruncated ? response.NextKeyMarker : undefined;
+      uploadIdMarker = response.IsTruncated ? response.NextUploadIdMarker : undefined;
+    } while (keyMarker);
+
+    if (abortedCount > 0) {
+      log(`Aborted ${abortedCount} stale multipart upload(s) older than ${this.staleUploadHours}h`);
+    }
+
+    return abortedCount;
+  }
+
   /**
    * S3 연결 테스트
    *
    * 버킷에 ListObjects 권한이 있는지 확인
+   * Object Lock 사용 시 버킷에 Object Lock이 켜져 있는지도 확인
    *
    * @returns {Promise<boolean>} 연결 성공 여부
    */
@@ -205,7 +1087,25 @@ class S3SdkUploader extends BaseUploader {
 
       await this.s3Client.send(command);
 
-      log(`S3 connection OK (bucket: ${this.bucket}, region: ${this.region})`);
+      if (this.objectLock) {
+        const { ObjectLockConfiguration: lockConfig } = await this.s3Client.send(new GetObjectLockConfigurationCommand({
+          Bucket: this.bucket
+        })).catch((error) => {
+          // Object Lock이 켜져 있지 않은 버킷
+          if (error.name === 'ObjectLockConfigurationNotFoundError') {
+            return {};
+          }
+          throw error;
+        });
+
+        if (!lockConfig || lockConfig.ObjectLockEnabled !== 'Enabled') {
+          throw new Error(`Object Lock is not enabled on bucket ${this.bucket} (it can only be turned on for versioned buckets)`);
+        }
+
+        log(`S3 Object Lock: ${this.objectLock.mode || 'no retention'}${this.objectLock.legalHold ? ', legal hold' : ''}`);
+      }
+
+      log(`S3 connection OK (bucket: ${this.bucket}, ${this.describeLocation()})`);
       return true;
 
     } catch (error) {
@@ -213,6 +1113,19 @@ class S3SdkUploader extends BaseUploader {
     }
   }
 
+  /**
+   * 연결 위치 설명 (로그용)
+   *
+   * @returns {string} 예: 'region: us-east-1' 또는 'endpoint: http://localhost:9000, path-style'
+   */
+  describeLocation() {
+    if (!this.connection.endpoint) {
+      return `region: ${this.region}`;
+    }
+
+    return `endpoint: ${this.connection.endpoint}${this.connection.forcePathStyle ? ', path-style' : ''}`;
+  }
+
   /**
    * 업로더 타입 반환
    *
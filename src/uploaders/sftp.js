@@ -0,0 +1,731 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const { Client } = require('ssh2');
+const { log, formatBytes } = require('../utils');
+const { createHashingStream, computeFileChecksum, getChecksumPath } = require('../checksum');
+const BaseUploader = require('./base');
+
+// 업로드 중인 임시 파일 접미사 (완료 후 원래 이름으로 변경)
+const PARTIAL_SUFFIX = '.partial';
+
+// 정리 시 이보다 오래된 임시 파일은 중단된 업로드로 보고 삭제 (밀리초)
+const STALE_PARTIAL_AGE = 24 * 60 * 60 * 1000;
+
+// SFTP 상태 코드: 파일 없음
+const NO_SUCH_FILE = 2;
+
+/**
+ * SFTP 업로더
+ *
+ * rclone 설정 없이 SSH 서버의 디렉토리에 백업 업로드 (ssh2 라이브러리 사용)
+ *
+ * - 인증: 개인 키(private_key_path) 또는 비밀번호(password_env)
+ * - 호스트 키 확인: host_key_fingerprint를 지정하면 서버 키의 SHA256 지문과 비교
+ * - 업로드는 임시 파일(.<이름>.partial)에 쓴 뒤 이름을 바꿔 완료 (중단돼도 불완전한 백업이 남지 않음)
+ * - 체크섬은 사이드카 파일(<이름>.sha256)로 함께 저장하고, 다운로드 시 비교
+ *
+ * 연결은 작업마다 열고 닫으며, 동시에 실행 중인 작업(병렬 업로드, 정리)은 하나의 연결을 공유합니다.
+ */
+class SftpUploader extends BaseUploader {
+  constructor(config) {
+    super(config);
+    // 백업을 저장할 원격 디렉토리
+    this.directory = config.path ? path.posix.normalize(config.path) : null;
+    // 연결 테스트 시 필요한 최소 여유 공간 (MB)
+    this.minFreeMb = config.min_free_mb || 0;
+    // 현재 열린 연결 (Promise<{ conn, sftp, users }>)
+    this.session = null;
+    // 확인하지 않은 호스트 키 지문을 이미 출력했는지 여부
+    this.hostKeyReported = false;
+    // 서버에서 sha256sum을 실행할 수 없으면 false (이후 크기만 검증)
+    this.remoteHashing = true;
+    // 초기화 플래그
+    this.initialized = false;
+
+    if (!config.host) {
+      throw new Error('SFTP host is required');
+    }
+
+    if (!config.username) {
+      throw new Error('SFTP username is required');
+    }
+
+    if (!this.directory) {
+      throw new Error('SFTP path is required');
+    }
+
+    if (!config.private_key_path && !config.password_env) {
+      throw new Error('SFTP requires private_key_path or password_env');
+    }
+
+    if (config.host_key_fingerprint && !config.host_key_fingerprint.startsWith('SHA256:')) {
+      throw new Error('SFTP host_key_fingerprint must be a SHA256 fingerprint (e.g. SHA256:abc..., see ssh-keygen -lf)');
+    }
+
+    if (!(typeof this.minFreeMb === 'number' && this.minFreeMb >= 0)) {
+      throw new Error('SFTP min_free_mb must be a non-negative number');
+    }
+  }
+
+  /**
+   * 인증 정보 확인 및 원격 디렉토리 생성
+   *
+   * @throws {Error} 키 파일이나 환경변수가 없거나 접속에 실패한 경우
+   */
+  async initialize() {
+    this.connectOptions = {
+      host: this.config.host,
+      port: this.config.port || 22,
+      username: this.config.username,
+      readyTimeout: 30000,
+      keepaliveInterval: 15000,
+      hostVerifier: key => this.verifyHostKey(key)
+    };
+
+    if (this.config.private_key_path) {
+      if (!fs.existsSync(this.config.private_key_path)) {
+        throw new Error(`SFTP private key not found: ${this.config.private_key_path}`);
+      }
+
+      this.connectOptions.privateKey = fs.readFileSync(this.config.private_key_path);
+      this.connectOptions.passphrase = this.readEnv('private_key_passphrase_env');
+    }
+
+    this.connectOptions.password = this.readEnv('password_env');
+
+    await this.withSftp(sftp => this.ensureDirectory(sftp));
+
+    this.initialized = true;
+    log(`SFTP uploader initialized (${this.describeLocation()})`);
+  }
+
+  /**
+   * 설정에 지정한 환경변수 읽기
+   *
+   * @param {string} field - 환경변수 이름을 담은 설정 필드 (예: 'password_env')
+   * @returns {string|undefined} 환경변수 값, 필드를 지정하지 않았으면 undefined
+   * @throws {Error} 지정한 환경변수가 비어 있는 경우
+   */
+  readEnv(field) {
+    const name = this.config[field];
+
+    if (!name) {
+      return undefined;
+    }
+
+    if (!process.env[name]) {
+      throw new Error(`Environment variable ${name} (${field}) is not set`);
+    }
+
+    return process.env[name];
+  }
+
+  /**
+   * 서버 호스트 키 확인
+   *
+   * host_key_fingerprint를 지정하지 않았으면 모든 키를 허용하고,
+   * 설정에 넣을 수 있도록 서버 키의 지문을 경고로 출력합니다.
+   *
+   * @param {Buffer} key - 서버 호스트 키
+   * @returns {boolean} 허용하면 true
+   */
+  verifyHostKey(key) {
+    const fingerprint = `SHA256:${crypto.createHash('sha256').update(key).digest('base64').replace(/=+$/, '')}`;
+    const expected = this.config.host_key_fingerprint;
+
+    if (!expected) {
+      if (!this.hostKeyReported) {
+        log(`SFTP host key of ${this.config.host} is not checked (set host_key_fingerprint to ${fingerprint})`, 'warn');
+        this.hostKeyReported = true;
+      }
+      return true;
+    }
+
+    if (fingerprint !== expected) {
+      log(`SFTP host key mismatch for ${this.config.host}: expected ${expected}, got ${fingerprint}`, 'error');
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * SSH 접속 후 SFTP 세션 열기
+   *
+   * @returns {Promise<Object>} { conn, sftp }
+   * @throws {Error} 접속, 인증 또는 호스트 키 확인에 실패한 경우
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      const conn = new Client();
+
+      conn.on('ready', () => {
+        conn.sftp((error, sftp) => {
+          if (error) {
+            conn.end();
+            return reject(error);
+          }
+          resolve({ conn, sftp });
+        });
+      });
+
+      conn.on('error', (error) => {
+        reject(new Error(`SFTP connection to ${this.config.host} failed: ${error.message}`));
+      });
+
+      conn.connect(this.connectOptions);
+    });
+  }
+
+  /**
+   * SFTP 세션에서 작업 실행
+   *
+   * 이미 열린 연결이 있으면 함께 사용하고, 마지막 작업이 끝나면 연결을 닫습니다.
+   *
+   * @param {Function} fn - (sftp, conn) => Promise
+   * @returns {Promise<*>} fn의 반환값
+   */
+  async withSftp(fn) {
+    if (!this.session) {
+      this.session = this.connect().then(
+        ({ conn, sftp }) => {
+          // 연결이 끊기면 다음 작업에서 다시 연결
+          conn.on('close', () => {
+            if (this.session === session) {
+              this.session = null;
+            }
+          });
+          return { conn, sftp, users: 0 };
+        },
+        (error) => {
+          this.session = null;
+          throw error;
+        }
+      );
+    }
+
+    const session = this.session;
+    const opened = await session;
+    opened.users++;
+
+    try {
+      return await fn(opened.sftp, opened.conn);
+    } finally {
+      opened.users--;
+
+      if (opened.users === 0 && this.session === session) {
+        this.session = null;
+        opened.conn.end();
+      }
+    }
+  }
+
+  /**
+   * 원격 디렉토리 생성 (mkdir -p)
+   *
+   * @param {SFTPWrapper} sftp - SFTP 세션
+   */
+  async ensureDirectory(sftp) {
+    const parts = this.directory.split('/');
+
+    for (let i = 1; i <= parts.length; i++) {
+      const dir = parts.slice(0, i).join('/');
+
+      // 절대 경로의 루트('')와 상대 경로의 '.'는 이미 있음
+      if (!dir || dir === '.') {
+        continue;
+      }
+
+      const stats = await call(sftp, 'stat', dir).catch((error) => {
+        if (error.code === NO_SUCH_FILE) {
+          return null;
+        }
+        throw error;
+      });
+
+      if (!stats) {
+        await call(sftp, 'mkdir', dir);
+      } else if (!stats.isDirectory()) {
+        throw new Error(`${dir} is not a directory on ${this.config.host}`);
+      }
+    }
+  }
+
+  /**
+   * 원격 파일 경로
+   *
+   * @param {string} fileName - 파일 이름
+   * @returns {string} 원격 디렉토리 안의 경로
+   */
+  resolvePath(fileName) {
+    return path.posix.join(this.directory, fileName);
+  }
+
+  /**
+   * 업로드 중 사용할 임시 파일 경로
+   *
+   * @param {string} fileName - 파일 이름
+   * @returns {string} <디렉토리>/.<이름>.partial
+   */
+  resolvePartialPath(fileName) {
+    return path.posix.join(this.directory, `.${fileName}${PARTIAL_SUFFIX}`);
+  }
+
+  /**
+   * 임시 파일을 최종 이름으로 변경하고 사이드카 체크섬 파일 저장
+   *
+   * OpenSSH의 posix-rename 확장이 있으면 기존 파일을 원자적으로 덮어쓰고,
+   * 없으면 기존 파일을 삭제한 뒤 이름을 바꿉니다. (SFTP rename은 대상이 있으면 실패)
+   *
+   * @param {SFTPWrapper} sftp - SFTP 세션
+   * @param {string} partialPath - 임시 파일 경로
+   * @param {string} fileName - 최종 파일 이름
+   * @param {string} checksum - SHA-256 (hex)
+   */
+  async commitPartial(sftp, partialPath, fileName, checksum) {
+    const remoteFile = this.resolvePath(fileName);
+
+    try {
+      await call(sftp, 'ext_openssh_rename', partialPath, remoteFile);
+    } catch (error) {
+      if (!/does not support/i.test(error.message)) {
+        throw error;
+      }
+
+      await removeIfExists(sftp, remoteFile);
+      await call(sftp, 'rename', partialPath, remoteFile);
+    }
+
+    if (checksum) {
+      await call(sftp, 'writeFile', getChecksumPath(remoteFile), `${checksum}  ${fileName}\n`);
+    }
+  }
+
+  /**
+   * SSH 서버에 파일 업로드
+   *
+   * @param {string} filePath - 업로드할 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - SHA-256 (hex), 사이드카 파일(<이름>.sha256)로 저장
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadFile(filePath, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('SFTP uploader not initialized');
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const fileSize = fs.statSync(filePath).size;
+    const partialPath = this.resolvePartialPath(fileName);
+    log(`Uploading to ${this.describeLocation()}: ${fileName} (${formatBytes(fileSize)})`);
+
+    return this.withSftp(async (sftp) => {
+      try {
+        await call(sftp, 'fastPut', filePath, partialPath, {});
+        await this.commitPartial(sftp, partialPath, fileName, options.checksum);
+
+        log(`Upload successful: ${fileName} → ${this.resolvePath(fileName)}`);
+
+        return {
+          name: fileName,
+          size: fileSize
+        };
+
+      } catch (error) {
+        await removeIfExists(sftp, partialPath).catch(() => {});
+        throw new Error(`SFTP upload failed: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * 스트리밍 업로드 지원
+   *
+   * @returns {boolean} true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * 스트림을 SSH 서버에 저장 (스트리밍 모드)
+   *
+   * 임시 파일에 쓰면서 SHA-256을 계산하고, 끝나면 크기를 확인한 뒤 이름을 바꾸고 사이드카 파일을 저장합니다.
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션 (사용하지 않음)
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadStream(stream, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('SFTP uploader not initialized');
+    }
+
+    const partialPath = this.resolvePartialPath(fileName);
+    const hasher = createHashingStream();
+    log(`Streaming to ${this.describeLocation()}: ${fileName}`);
+
+    return this.withSftp(async (sftp) => {
+      try {
+        await pipeline(stream, hasher, sftp.createWriteStream(partialPath));
+
+        const stats = await call(sftp, 'stat', partialPath);
+        if (stats.size !== hasher.bytes) {
+          throw new Error(`Size mismatch for ${fileName}: streamed ${hasher.bytes}, remote ${stats.size}`);
+        }
+
+        await this.commitPartial(sftp, partialPath, fileName, hasher.digest());
+
+        log(`Upload successful: ${fileName} → ${this.resolvePath(fileName)} (${formatBytes(hasher.bytes)})`);
+
+        return {
+          name: fileName,
+          size: hasher.bytes
+        };
+
+      } catch (error) {
+        await removeIfExists(sftp, partialPath).catch(() => {});
+        throw new Error(`SFTP streaming upload failed: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * 서버에서 sha256sum으로 원격 파일의 SHA-256 계산
+   *
+   * SFTP 전용 계정(명령 실행 불가) 등 실행할 수 없으면 null을 반환하고,
+   * 이후에는 다시 시도하지 않습니다.
+   *
+   * @param {Client} conn - SSH 연결
+   * @param {string} remoteFile - 원격 파일 경로
+   * @returns {Promise<string|null>} SHA-256 (hex) 또는 null
+   */
+  async computeRemoteChecksum(conn, remoteFile) {
+    if (!this.remoteHashing) {
+      return null;
+    }
+
+    const quoted = `'${remoteFile.replace(/'/g, `'\\''`)}'`;
+
+    const output = await new Promise((resolve) => {
+      conn.exec(`sha256sum -- ${quoted}`, (error, channel) => {
+        if (error) {
+          return resolve(null);
+        }
+
+        let stdout = '';
+        channel.on('data', (data) => {
+          stdout += data;
+        });
+        channel.stderr.resume();
+        channel.on('close', code => resolve(code === 0 ? stdout : null));
+      });
+    });
+
+    const checksum = output && output.trim().split(/\s+/)[0];
+
+    if (!checksum || !/^[0-9a-f]{64}$/.test(checksum)) {
+      log(`sha256sum is not available on ${this.config.host}, verifying uploads by size only`, 'warn');
+      this.remoteHashing = false;
+      return null;
+    }
+
+    return checksum;
+  }
+
+  /**
+   * 업로드된 파일 무결성 검증
+   *
+   * 원격 파일 크기를 로컬 파일과 비교하고,
+   * 서버에서 sha256sum을 실행할 수 있으면 SHA-256도 비교합니다.
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 업로드된 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (hex)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 파일이 없거나 크기 또는 체크섬이 일치하지 않는 경우
+   */
+  async verifyUpload(filePath, remotePath, fileName, checksum) {
+    if (!this.initialized) {
+      throw new Error('SFTP uploader not initialized');
+    }
+
+    const remoteFile = this.resolvePath(fileName);
+    const localSize = fs.statSync(filePath).size;
+
+    return this.withSftp(async (sftp, conn) => {
+      const stats = await call(sftp, 'stat', remoteFile).catch((error) => {
+        throw new Error(`SFTP integrity check failed for ${remoteFile}: ${error.message}`);
+      });
+
+      if (stats.size !== localSize) {
+        throw new Error(`Size mismatch for ${remoteFile}: local ${localSize}, remote ${stats.size}`);
+      }
+
+      const localChecksum = checksum || await computeFileChecksum(filePath);
+      const remoteChecksum = await this.computeRemoteChecksum(conn, remoteFile);
+
+      if (remoteChecksum && remoteChecksum !== localChecksum) {
+        throw new Error(`Checksum mismatch for ${remoteFile}: local ${localChecksum}, remote ${remoteChecksum}`);
+      }
+
+      log(`Integrity verified on ${this.config.host}: ${fileName} (${remoteChecksum ? `sha256: ${localChecksum}` : `size: ${localSize}`})`);
+      return true;
+    });
+  }
+
+  /**
+   * SSH 서버에서 파일 다운로드
+   *
+   * 사이드카 파일에 체크섬이 있으면 다운로드한 파일과 비교합니다.
+   *
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 다운로드할 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드된 파일 정보 {name, size, path}
+   */
+  async downloadFile(remotePath, fileName, localPath) {
+    if (!this.initialized) {
+      throw new Error('SFTP uploader not initialized');
+    }
+
+    log(`Downloading from ${this.describeLocation()}: ${fileName}`);
+
+    return this.withSftp(async (sftp) => {
+      try {
+        const remoteFile = this.resolvePath(fileName);
+
+        // 로컬 디렉토리가 없으면 생성
+        fs.mkdirSync(path.dirname(localPath), { recursive: true });
+        await call(sftp, 'fastGet', remoteFile, localPath, {});
+
+        const sidecar = await call(sftp, 'readFile', getChecksumPath(remoteFile)).catch((error) => {
+          if (error.code === NO_SUCH_FILE) {
+            return null;
+          }
+          throw error;
+        });
+
+        if (sidecar) {
+          const expected = sidecar.toString('utf-8').trim().split(/\s+/)[0];
+          const actual = await computeFileChecksum(localPath);
+
+          if (actual !== expected) {
+            throw new Error(`Checksum mismatch for ${fileName}: expected ${expected}, got ${actual}`);
+          }
+        }
+
+        const fileSize = fs.statSync(localPath).size;
+        log(`Download successful: ${fileName} (${formatBytes(fileSize)})`);
+
+        return {
+          name: fileName,
+          size: fileSize,
+          path: localPath
+        };
+
+      } catch (error) {
+        throw new Error(`SFTP download failed: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * 원격 디렉토리의 파일 목록 조회
+   *
+   * 사이드카 체크섬 파일과 업로드 중인 임시 파일(숨김 파일)은 제외합니다.
+   *
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @returns {Promise<Array>} 파일 목록 [{name, size, createdTime}]
+   */
+  async listFiles(remotePath) {
+    if (!this.initialized) {
+      throw new Error('SFTP uploader not initialized');
+    }
+
+    try {
+      const entries = await this.withSftp(sftp => call(sftp, 'readdir', this.directory));
+
+      return entries
+        .filter(entry => entry.attrs.isFile() && !entry.filename.startsWith('.') && !entry.filename.endsWith('.sha256'))
+        .map(entry => ({
+          name: entry.filename,
+          size: entry.attrs.size,
+          createdTime: new Date(entry.attrs.mtime * 1000).toISOString(),
+          id: this.resolvePath(entry.filename)
+        }))
+        .sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+
+    } catch (error) {
+      throw new Error(`Failed to list SFTP files: ${error.message}`);
+    }
+  }
+
+  /**
+   * 원격 디렉토리에서 파일 삭제 (사이드카 체크섬 파일 포함)
+   *
+   * @param {string} remotePath - 무시됨 (config.path 사용)
+   * @param {string} fileName - 삭제할 파일 이름
+   */
+  async deleteFile(remotePath, fileName) {
+    if (!this.initialized) {
+      throw new Error('SFTP uploader not initialized');
+    }
+
+    try {
+      const remoteFile = this.resolvePath(fileName);
+
+      await this.withSftp(async (sftp) => {
+        await call(sftp, 'unlink', remoteFile);
+        await removeIfExists(sftp, getChecksumPath(remoteFile));
+      });
+
+      log(`Deleted file from ${this.describeLocation()}: ${fileName}`);
+
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  /**
+   * 오래된 백업 파일 정리
+   *
+   * 목록 조회와 삭제가 하나의 연결을 사용하도록 세션 안에서
+   * BaseUploader.cleanupOldBackups()를 실행한 뒤, 중단된 업로드가 남긴 오래된 임시 파일도 삭제합니다.
+   *
+   * @param {string} remotePath - 원격 경로
+   * @param {Object} retention - 기본 보관 정책
+   * @param {Object} retentionByTarget - 대상별 보관 정책
+   * @param {string[]} skipTargets - 정리하지 않을 대상
+   * @returns {Promise<number>} 삭제된 백업 파일 수
+   */
+  async cleanupOldBackups(remotePath, retention, retentionByTarget = {}, skipTargets = []) {
+    return this.withSftp(async (sftp) => {
+      const deletedCount = await super.cleanupOldBackups(remotePath, retention, retentionByTarget, skipTargets);
+
+      for (const entry of await call(sftp, 'readdir', this.directory)) {
+        if (entry.filename.startsWith('.') && entry.filename.endsWith(PARTIAL_SUFFIX) &&
+          Date.now() - entry.attrs.mtime * 1000 > STALE_PARTIAL_AGE) {
+          await removeIfExists(sftp, this.resolvePath(entry.filename));
+          log(`Removed stale partial upload: ${entry.filename}`);
+        }
+      }
+
+      return deletedCount;
+    });
+  }
+
+  /**
+   * 연결 테스트
+   *
+   * - 접속 및 인증 (호스트 키 확인 포함)
+   * - 디렉토리에 쓸 수 있는지 확인 (테스트 파일 생성 후 삭제)
+   * - 여유 공간 확인 (서버가 OpenSSH statvfs 확장을 지원하는 경우, min_free_mb보다 적으면 실패)
+   *
+   * @returns {Promise<boolean>} 연결 성공 여부
+   */
+  async testConnection() {
+    if (!this.initialized) {
+      throw new Error('SFTP uploader not initialized');
+    }
+
+    try {
+      await this.withSftp(async (sftp) => {
+        const probePath = this.resolvePath(`.write-test-${process.pid}`);
+        await call(sftp, 'writeFile', probePath, 'ok');
+        await call(sftp, 'unlink', probePath);
+
+        const stats = await call(sftp, 'ext_openssh_statvfs', this.directory).catch(() => null);
+
+        if (stats) {
+          const freeBytes = stats.bavail * stats.frsize;
+
+          if (freeBytes < this.minFreeMb * 1024 * 1024) {
+            throw new Error(`only ${formatBytes(freeBytes)} free in ${this.directory}, min_free_mb is ${this.minFreeMb}`);
+          }
+
+          log(`SFTP connection OK (${this.describeLocation()}, free: ${formatBytes(freeBytes)})`);
+        } else {
+          log(`SFTP connection OK (${this.describeLocation()})`);
+        }
+      });
+
+      return true;
+
+    } catch (error) {
+      throw new Error(`SFTP connection test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 로그용 저장 위치 설명
+   *
+   * @returns {string} 예: 'backup@nas.example.com:22:/srv/backups'
+   */
+  describeLocation() {
+    return `${this.config.username}@${this.config.host}:${this.config.port || 22}:${this.directory}`;
+  }
+
+  /**
+   * 원격 저장소 경로 반환
+   *
+   * @returns {string} 원격 디렉토리 경로
+   */
+  getRemotePath() {
+    return this.directory;
+  }
+
+  /**
+   * 업로더 타입 반환
+   *
+   * @returns {string} 'sftp'
+   */
+  getType() {
+    return 'sftp';
+  }
+}
+
+/**
+ * 콜백 방식의 SFTP 메서드를 Promise로 호출
+ *
+ * @param {SFTPWrapper} sftp - SFTP 세션
+ * @param {string} method - 메서드 이름 (예: 'stat', 'fastPut')
+ * @param {...*} args - 콜백을 제외한 인자
+ * @returns {Promise<*>} 콜백의 결과
+ */
+function call(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    try {
+      sftp[method](...args, (error, result) => (error ? reject(error) : resolve(result)));
+    } catch (error) {
+      // 서버가 지원하지 않는 확장은 동기적으로 에러를 던짐
+      reject(error);
+    }
+  });
+}
+
+/**
+ * 원격 파일 삭제 (없으면 무시)
+ *
+ * @param {SFTPWrapper} sftp - SFTP 세션
+ * @param {string} remoteFile - 원격 파일 경로
+ */
+async function removeIfExists(sftp, remoteFile) {
+  await call(sftp, 'unlink', remoteFile).catch((error) => {
+    if (error.code !== NO_SUCH_FILE) {
+      throw error;
+    }
+  });
+}
+
+module.exports = SftpUploader;
@@ -0,0 +1,650 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { XMLParser } = require('fast-xml-parser');
+const { retry, log, formatBytes } = require('../utils');
+const { createHashingStream, computeFileChecksum } = require('../checksum');
+const BaseUploader = require('./base');
+
+const MB = 1024 * 1024;
+
+// Nextcloud 청크 업로드 v2의 최소 청크 크기 (마지막 청크 제외, MB)
+const MIN_CHUNK_SIZE_MB = 5;
+
+// Nextcloud/ownCloud 파일 URL (예: https://cloud.example.com/remote.php/dav/files/alice)
+const NEXTCLOUD_FILES_PATTERN = /^(.*\/remote\.php\/dav)\/files\/([^/]+)$/;
+
+// listFiles()와 검증에서 조회하는 속성 (oc:checksums는 Nextcloud/ownCloud만 제공)
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:oc="http://owncloud.org/ns">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getcontentlength/>
+    <d:getlastmodified/>
+    <d:quota-available-bytes/>
+    <oc:checksums/>
+  </d:prop>
+</d:propfind>`;
+
+const xmlParser = new XMLParser({
+  removeNSPrefix: true,
+  isArray: name => name === 'response' || name === 'propstat'
+});
+
+/**
+ * WebDAV 업로더
+ *
+ * rclone 없이 HTTP(S)로 WebDAV 서버(Nextcloud, ownCloud 등)에 백업 업로드
+ *
+ * - 업로드: PUT (Nextcloud/ownCloud에서는 큰 파일을 청크 업로드로 나눠 전송)
+ * - 목록 조회: PROPFIND (크기, 수정 시각)
+ * - 폴더 생성: MKCOL
+ * - 삭제: DELETE
+ *
+ * Nextcloud/ownCloud는 OC-Checksum 헤더로 받은 SHA-256을 저장하므로 검증과 다운로드 시 비교하고,
+ * 체크섬을 제공하지 않는 서버에서는 크기만 비교합니다.
+ */
+class WebdavUploader extends BaseUploader {
+  constructor(config) {
+    super(config);
+    // WebDAV 기본 URL (끝의 '/' 제외)
+    this.baseUrl = config.url ? config.url.replace(/\/+$/, '') : null;
+    // 청크 업로드의 청크 크기 (0이면 청크 업로드 사용 안 함)
+    this.chunkSizeMb = config.chunk_size_mb ?? 10;
+    // Nextcloud/ownCloud 청크 업로드 URL (initialize()에서 결정)
+    this.uploadsUrl = null;
+    // 초기화 플래그
+    this.initialized = false;
+
+    if (!this.baseUrl) {
+      throw new Error('WebDAV url is required');
+    }
+
+    let url;
+    try {
+      url = new URL(this.baseUrl);
+    } catch (error) {
+      throw new Error(`WebDAV url must be a URL (e.g. https://cloud.example.com/remote.php/dav/files/alice): ${this.baseUrl}`);
+    }
+
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error(`WebDAV url must use http or https: ${this.baseUrl}`);
+    }
+
+    if (Boolean(config.username) !== Boolean(config.password_env)) {
+      throw new Error('WebDAV username and password_env must be set together');
+    }
+
+    if (!(Number.isInteger(this.chunkSizeMb) && (this.chunkSizeMb === 0 || this.chunkSizeMb >= MIN_CHUNK_SIZE_MB))) {
+      throw new Error(`WebDAV chunk_size_mb must be 0 (disabled) or an integer of at least ${MIN_CHUNK_SIZE_MB}`);
+    }
+  }
+
+  /**
+   * 인증 정보와 TLS 설정 확인 및 폴더 생성
+   *
+   * @throws {Error} 환경변수나 CA 번들이 없거나 서버 접속에 실패한 경우
+   */
+  async initialize() {
+    if (this.config.password_env) {
+      const password = process.env[this.config.password_env];
+
+      if (!password) {
+        throw new Error(`Environment variable ${this.config.password_env} (password_env) is not set`);
+      }
+
+      this.authorization = `Basic ${Buffer.from(`${this.config.username}:${password}`).toString('base64')}`;
+    }
+
+    if (this.config.ca_bundle && !fs.existsSync(this.config.ca_bundle)) {
+      throw new Error(`WebDAV ca_bundle not found: ${this.config.ca_bundle}`);
+    }
+
+    const options = { keepAlive: true };
+    if (this.config.ca_bundle) {
+      options.ca = fs.readFileSync(this.config.ca_bundle);
+    }
+    if (this.config.tls_verify === false) {
+      options.rejectUnauthorized = false;
+    }
+    this.agent = this.baseUrl.startsWith('https:') ? new https.Agent(options) : new http.Agent(options);
+
+    // Nextcloud/ownCloud 파일 URL이면 청크 업로드 사용
+    const nextcloud = new URL(this.baseUrl).pathname.match(NEXTCLOUD_FILES_PATTERN);
+    if (nextcloud && this.chunkSizeMb > 0) {
+      this.uploadsUrl = `${new URL(this.baseUrl).origin}${nextcloud[1]}/uploads/${nextcloud[2]}`;
+    }
+
+    await this.ensureFolder(this.getRemotePath());
+
+    this.initialized = true;
+    log(`WebDAV uploader initialized (url: ${this.baseUrl}, chunked upload: ${this.uploadsUrl ? `${this.chunkSizeMb} MB` : 'off'})`);
+  }
+
+  /**
+   * WebDAV 요청 전송
+   *
+   * @param {string} method - HTTP 메서드 (예: 'PUT', 'PROPFIND')
+   * @param {string} url - 요청 URL
+   * @param {Object} options - 요청 옵션
+   * @param {Object} options.headers - 추가 헤더
+   * @param {Buffer|string|Readable} options.body - 요청 본문
+   * @param {number[]} options.allow - 성공으로 처리할 2xx 이외의 상태 코드 (예: MKCOL의 405)
+   * @param {boolean} options.stream - true이면 응답 본문을 읽지 않고 응답 스트림을 반환
+   * @returns {Promise<Object>} { status, headers, body } 또는 응답 스트림
+   * @throws {Error} 요청이 실패했거나 상태 코드가 성공이 아닌 경우
+   */
+  request(method, url, options = {}) {
+    const headers = { ...options.headers };
+    if (this.authorization) {
+      headers.Authorization = this.authorization;
+    }
+
+    const transport = url.startsWith('https:') ? https : http;
+
+    return new Promise((resolve, reject) => {
+      const req = transport.request(url, { method, headers, agent: this.agent }, (res) => {
+        const ok = (res.statusCode >= 200 && res.statusCode < 300) || (options.allow || []).includes(res.statusCode);
+
+        if (ok && options.stream) {
+          return resolve(res);
+        }
+
+        const chunks = [];
+        res.on('data', chunk => chunks.push(chunk));
+        res.on('error', reject);
+        res.on('end', () => {
+          const body = Buffer.concat(chunks).toString('utf-8');
+
+          if (!ok) {
+            // Sabre/Nextcloud는 에러 이유를 <s:message>로 반환
+            const message = body.match(/<(?:\w+:)?message>([^<]*)</);
+            return reject(new Error(
+              `WebDAV ${method} ${decodeURI(new URL(url).pathname)} failed: ${res.statusCode} ${res.statusMessage}` +
+              (message && message[1] ? ` (${message[1]})` : '')
+            ));
+          }
+
+          resolve({ status: res.statusCode, headers: res.headers, body });
+        });
+      });
+
+      req.on('error', reject);
+
+      if (options.body instanceof Readable) {
+        pipeline(options.body, req).catch((error) => {
+          req.destroy(error);
+          reject(error);
+        });
+      } else {
+        req.end(options.body);
+      }
+    });
+  }
+
+  /**
+   * 폴더 URL
+   *
+   * @param {string} remotePath - 폴더 경로 (예: 'backups/server1')
+   * @returns {string} 각 경로 구성 요소를 인코딩한 URL
+   */
+  resolveFolderUrl(remotePath) {
+    const segments = (remotePath || '').split('/').filter(Boolean).map(encodeURIComponent);
+    return [this.baseUrl, ...segments].join('/');
+  }
+
+  /**
+   * 파일 URL
+   *
+   * @param {string} remotePath - 폴더 경로
+   * @param {string} fileName - 파일 이름
+   * @returns {string} 파일 URL
+   */
+  resolveFileUrl(remotePath, fileName) {
+    return `${this.resolveFolderUrl(remotePath)}/${encodeURIComponent(fileName)}`;
+  }
+
+  /**
+   * 폴더 생성 (상위 폴더부터 MKCOL, 이미 있으면 무시)
+   *
+   * @param {string} remotePath - 폴더 경로
+   */
+  async ensureFolder(remotePath) {
+    const segments = (remotePath || '').split('/').filter(Boolean);
+
+    for (let i = 1; i <= segments.length; i++) {
+      // 이미 있는 폴더에는 405 Method Not Allowed
+      await this.request('MKCOL', this.resolveFolderUrl(segments.slice(0, i).join('/')), { allow: [405] });
+    }
+  }
+
+  /**
+   * PROPFIND 요청 후 응답 파싱
+   *
+   * @param {string} url - 조회할 URL
+   * @param {number} depth - 0: 자신만, 1: 폴더의 바로 아래 항목 포함
+   * @returns {Promise<Array>} [{ href, isCollection, size, modified, quotaAvailable, sha256 }]
+   */
+  async propfind(url, depth) {
+    const { body } = await this.request('PROPFIND', url, {
+      headers: { Depth: String(depth), 'Content-Type': 'application/xml; charset=utf-8' },
+      body: PROPFIND_BODY
+    });
+
+    const multistatus = xmlParser.parse(body).multistatus || {};
+
+    return (multistatus.response || []).map((response) => {
+      // 200 OK인 속성만 사용 (서버가 모르는 속성은 404 propstat으로 반환)
+      const propstat = (response.propstat || []).find(p => / 200 /.test(p.status)) || {};
+      const prop = propstat.prop || {};
+      const checksums = String(prop.checksums?.checksum ?? '');
+      const sha256 = checksums.match(/SHA256:([0-9a-f]{64})/i);
+
+      return {
+        href: String(response.href),
+        isCollection: prop.resourcetype !== undefined && typeof prop.resourcetype === 'object' &&
+          'collection' in prop.resourcetype,
+        size: Number(prop.getcontentlength || 0),
+        modified: prop.getlastmodified ? new Date(prop.getlastmodified) : null,
+        quotaAvailable: prop['quota-available-bytes'] !== undefined ? Number(prop['quota-available-bytes']) : null,
+        sha256: sha256 ? sha256[1].toLowerCase() : null
+      };
+    });
+  }
+
+  /**
+   * 원격 파일 정보 조회
+   *
+   * @param {string} fileUrl - 파일 URL
+   * @returns {Promise<Object>} { size, modified, sha256 } (sha256은 서버가 제공하지 않으면 null)
+   */
+  async statFile(fileUrl) {
+    const [entry] = await this.propfind(fileUrl, 0);
+
+    if (!entry) {
+      throw new Error(`${decodeURI(new URL(fileUrl).pathname)} not found`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * WebDAV 서버에 파일 업로드
+   *
+   * 청크 업로드를 사용할 수 있고 파일이 청크 크기보다 크면 청크 업로드,
+   * 아니면 PUT 한 번으로 전송합니다.
+   *
+   * @param {string} filePath - 업로드할 로컬 파일 경로
+   * @param {string} remotePath - 폴더 경로 (예: 'backups')
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션
+   * @param {string} options.checksum - SHA-256 (hex), OC-Checksum 헤더로 전송
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadFile(filePath, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('WebDAV uploader not initialized');
+    }
+
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`File not found: ${filePath}`);
+    }
+
+    const fileSize = fs.statSync(filePath).size;
+    const fileUrl = this.resolveFileUrl(remotePath, fileName);
+    log(`Uploading to WebDAV: ${fileName} (${formatBytes(fileSize)})`);
+
+    try {
+      if (this.uploadsUrl && fileSize > this.chunkSizeMb * MB) {
+        await this.uploadChunked(readChunks(fs.createReadStream(filePath), this.chunkSizeMb * MB), fileUrl, {
+          totalSize: fileSize,
+          checksum: () => options.checksum
+        });
+      } else {
+        const headers = { 'Content-Length': fileSize };
+        if (options.checksum) {
+          headers['OC-Checksum'] = `SHA256:${options.checksum}`;
+        }
+
+        await this.request('PUT', fileUrl, { headers, body: fs.createReadStream(filePath) });
+      }
+
+      log(`Upload successful: ${fileName} → ${decodeURI(new URL(fileUrl).pathname)}`);
+
+      return {
+        name: fileName,
+        size: fileSize
+      };
+
+    } catch (error) {
+      throw new Error(`WebDAV upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Nextcloud/ownCloud 청크 업로드
+   *
+   * 업로드 폴더를 만들고(MKCOL) 청크를 순서대로 PUT한 뒤, .file을 대상 경로로 MOVE하면
+   * 서버가 청크를 하나의 파일로 합칩니다. 실패하면 업로드 폴더를 삭제합니다.
+   * (남은 업로드 폴더는 Nextcloud가 24시간 후 정리)
+   *
+   * @param {AsyncIterable<Buffer>} chunks - 업로드할 청크
+   * @param {string} fileUrl - 대상 파일 URL
+   * @param {Object} options - 업로드 옵션
+   * @param {number} [options.totalSize] - 전체 크기 (알면 10% 단위로 진행률 출력)
+   * @param {Function} options.checksum - 모든 청크를 보낸 뒤 SHA-256 (hex)을 반환하는 함수
+   */
+  async uploadChunked(chunks, fileUrl, options = {}) {
+    const uploadUrl = `${this.uploadsUrl}/backup-${crypto.randomUUID()}`;
+    const fileName = decodeURIComponent(fileUrl.split('/').pop());
+    let index = 0;
+    let sent = 0;
+    let lastReported = 0;
+
+    await this.request('MKCOL', uploadUrl, { headers: { Destination: fileUrl } });
+
+    try {
+      for await (const chunk of chunks) {
+        index++;
+        const chunkUrl = `${uploadUrl}/${String(index).padStart(5, '0')}`;
+
+        await retry(async () => this.request('PUT', chunkUrl, {
+          headers: { Destination: fileUrl, 'Content-Length': chunk.length },
+          body: chunk
+        }));
+
+        sent += chunk.length;
+
+        // 진행률 출력 (10% 단위)
+        if (options.totalSize) {
+          const percent = Math.floor((sent / options.totalSize) * 10) * 10;
+          if (percent > lastReported) {
+            lastReported = percent;
+            log(`  ${fileName}: ${percent}% (${index} chunk(s))`);
+          }
+        }
+      }
+
+      const headers = { Destination: fileUrl, Overwrite: 'T', 'OC-Total-Length': sent };
+      const checksum = options.checksum && options.checksum();
+      if (checksum) {
+        headers['OC-Checksum'] = `SHA256:${checksum}`;
+      }
+
+      await this.request('MOVE', `${uploadUrl}/.file`, { headers });
+
+    } catch (error) {
+      await this.request('DELETE', uploadUrl).catch(() => {});
+      throw error;
+    }
+  }
+
+  /**
+   * 스트리밍 업로드 지원
+   *
+   * @returns {boolean} true
+   */
+  supportsStreaming() {
+    return true;
+  }
+
+  /**
+   * 스트림을 WebDAV 서버에 업로드 (스트리밍 모드)
+   *
+   * 청크 업로드를 사용할 수 있으면 청크 크기만큼 모아 전송하고,
+   * 아니면 PUT 한 번으로 전송(Transfer-Encoding: chunked)합니다.
+   * 업로드 후 원격 파일 크기를 스트림과 비교하고, 실패하면 원격 파일을 삭제합니다.
+   *
+   * @param {Readable} stream - 업로드할 스트림
+   * @param {string} remotePath - 폴더 경로
+   * @param {string} fileName - 저장할 파일 이름
+   * @param {Object} options - 업로드 옵션 (사용하지 않음)
+   * @returns {Promise<Object>} 업로드된 파일 정보 {name, size}
+   */
+  async uploadStream(stream, remotePath, fileName, options = {}) {
+    if (!this.initialized) {
+      throw new Error('WebDAV uploader not initialized');
+    }
+
+    const fileUrl = this.resolveFileUrl(remotePath, fileName);
+    const hasher = createHashingStream();
+    log(`Streaming to WebDAV: ${fileName}`);
+
+    try {
+      const piped = pipeline(stream, hasher);
+
+      if (this.uploadsUrl) {
+        await Promise.all([piped, this.uploadChunked(readChunks(hasher, this.chunkSizeMb * MB), fileUrl, {
+          checksum: () => hasher.digest()
+        })]);
+      } else {
+        await Promise.all([piped, this.request('PUT', fileUrl, { body: hasher })]);
+      }
+
+      const stats = await this.statFile(fileUrl);
+      if (stats.size !== hasher.bytes) {
+        throw new Error(`Size mismatch for ${fileName}: streamed ${hasher.bytes}, remote ${stats.size}`);
+      }
+
+      log(`Upload successful: ${fileName} → ${decodeURI(new URL(fileUrl).pathname)} (${formatBytes(hasher.bytes)})`);
+
+      return {
+        name: fileName,
+        size: hasher.bytes
+      };
+
+    } catch (error) {
+      await this.request('DELETE', fileUrl, { allow: [404] }).catch(() => {});
+      throw new Error(`WebDAV streaming upload failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로드된 파일 무결성 검증
+   *
+   * 원격 파일 크기를 로컬 파일과 비교하고,
+   * 서버가 SHA-256 체크섬(oc:checksums)을 제공하면 체크섬도 비교합니다.
+   *
+   * @param {string} filePath - 로컬 파일 경로
+   * @param {string} remotePath - 폴더 경로
+   * @param {string} fileName - 업로드된 파일 이름
+   * @param {string} checksum - 로컬 파일의 SHA-256 (hex)
+   * @returns {Promise<boolean>} 일치하면 true
+   * @throws {Error} 파일이 없거나 크기 또는 체크섬이 일치하지 않는 경우
+   */
+  async verifyUpload(filePath, remotePath, fileName, checksum) {
+    if (!this.initialized) {
+      throw new Error('WebDAV uploader not initialized');
+    }
+
+    const localSize = fs.statSync(filePath).size;
+    const stats = await this.statFile(this.resolveFileUrl(remotePath, fileName));
+
+    if (stats.size !== localSize) {
+      throw new Error(`Size mismatch for ${fileName}: local ${localSize}, remote ${stats.size}`);
+    }
+
+    const localChecksum = checksum || await computeFileChecksum(filePath);
+
+    if (stats.sha256 && stats.sha256 !== localChecksum) {
+      throw new Error(`Checksum mismatch for ${fileName}: local ${localChecksum}, remote ${stats.sha256}`);
+    }
+
+    log(`Integrity verified on WebDAV: ${fileName} (${stats.sha256 ? `sha256: ${localChecksum}` : `size: ${localSize}`})`);
+    return true;
+  }
+
+  /**
+   * WebDAV 서버에서 파일 다운로드
+   *
+   * 받은 파일의 크기와 (서버가 제공하면) SHA-256을 원격 파일 정보와 비교합니다.
+   *
+   * @param {string} remotePath - 폴더 경로
+   * @param {string} fileName - 다운로드할 파일 이름
+   * @param {string} localPath - 저장할 로컬 파일 경로
+   * @returns {Promise<Object>} 다운로드된 파일 정보 {name, size, path}
+   */
+  async downloadFile(remotePath, fileName, localPath) {
+    if (!this.initialized) {
+      throw new Error('WebDAV uploader not initialized');
+    }
+
+    log(`Downloading from WebDAV: ${fileName}`);
+
+    try {
+      const fileUrl = this.resolveFileUrl(remotePath, fileName);
+      const stats = await this.statFile(fileUrl);
+      const hasher = createHashingStream();
+
+      // 로컬 디렉토리가 없으면 생성
+      fs.mkdirSync(path.dirname(localPath), { recursive: true });
+
+      const response = await this.request('GET', fileUrl, { stream: true });
+      await pipeline(response, hasher, fs.createWriteStream(localPath));
+
+      if (hasher.bytes !== stats.size) {
+        throw new Error(`Size mismatch for ${fileName}: expected ${stats.size}, got ${hasher.bytes}`);
+      }
+
+      const actual = hasher.digest();
+      if (stats.sha256 && actual !== stats.sha256) {
+        throw new Error(`Checksum mismatch for ${fileName}: expected ${stats.sha256}, got ${actual}`);
+      }
+
+      log(`Download successful: ${fileName} (${formatBytes(hasher.bytes)})`);
+
+      return {
+        name: fileName,
+        size: hasher.bytes,
+        path: localPath
+      };
+
+    } catch (error) {
+      throw new Error(`WebDAV download failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 폴더의 파일 목록 조회
+   *
+   * @param {string} remotePath - 폴더 경로
+   * @returns {Promise<Array>} 파일 목록 [{name, size, createdTime}]
+   */
+  async listFiles(remotePath) {
+    if (!this.initialized) {
+      throw new Error('WebDAV uploader not initialized');
+    }
+
+    try {
+      const entries = await this.propfind(this.resolveFolderUrl(remotePath), 1);
+
+      return entries
+        .filter(entry => !entry.isCollection)
+        .map(entry => ({
+          name: decodeURIComponent(entry.href.replace(/\/+$/, '').split('/').pop()),
+          size: entry.size,
+          createdTime: (entry.modified || new Date(0)).toISOString(),
+          id: entry.href
+        }))
+        .sort((a, b) => new Date(b.createdTime) - new Date(a.createdTime));
+
+    } catch (error) {
+      throw new Error(`Failed to list WebDAV files: ${error.message}`);
+    }
+  }
+
+  /**
+   * WebDAV 서버에서 파일 삭제
+   *
+   * @param {string} remotePath - 폴더 경로
+   * @param {string} fileName - 삭제할 파일 이름
+   */
+  async deleteFile(remotePath, fileName) {
+    if (!this.initialized) {
+      throw new Error('WebDAV uploader not initialized');
+    }
+
+    try {
+      await this.request('DELETE', this.resolveFileUrl(remotePath, fileName));
+      log(`Deleted file from WebDAV: ${fileName}`);
+
+    } catch (error) {
+      throw new Error(`Failed to delete file: ${error.message}`);
+    }
+  }
+
+  /**
+   * 연결 테스트
+   *
+   * 폴더를 PROPFIND로 조회해 인증과 경로를 확인하고,
+   * 서버가 제공하면 사용 가능한 용량을 출력합니다.
+   *
+   * @returns {Promise<boolean>} 연결 성공 여부
+   */
+  async testConnection() {
+    if (!this.initialized) {
+      throw new Error('WebDAV uploader not initialized');
+    }
+
+    try {
+      const [folder] = await this.propfind(this.resolveFolderUrl(this.getRemotePath()), 0);
+
+      // Nextcloud는 용량 제한이 없으면 음수(-3)를 반환
+      if (folder && folder.quotaAvailable !== null && folder.quotaAvailable >= 0) {
+        log(`WebDAV connection OK (url: ${this.baseUrl}, free: ${formatBytes(folder.quotaAvailable)})`);
+      } else {
+        log(`WebDAV connection OK (url: ${this.baseUrl})`);
+      }
+
+      return true;
+
+    } catch (error) {
+      throw new Error(`WebDAV connection test failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * 업로더 타입 반환
+   *
+   * @returns {string} 'webdav'
+   */
+  getType() {
+    return 'webdav';
+  }
+}
+
+/**
+ * 스트림을 일정한 크기의 청크로 나누기
+ *
+ * @param {AsyncIterable<Buffer>} stream - 읽을 스트림
+ * @param {number} size - 청크 크기 (바이트)
+ * @returns {AsyncGenerator<Buffer>} size 바이트씩 (마지막 청크는 더 작을 수 있음, 빈 스트림이면 빈 청크 하나)
+ */
+async function* readChunks(stream, size) {
+  let buffered = [];
+  let length = 0;
+  let yielded = false;
+
+  for await (const data of stream) {
+    buffered.push(data);
+    length += data.length;
+
+    while (length >= size) {
+      const all = Buffer.concat(buffered);
+      yield all.subarray(0, size);
+      yielded = true;
+      buffered = [all.subarray(size)];
+      length -= size;
+    }
+  }
+
+  if (length > 0 || !yielded) {
+    yield Buffer.concat(buffered);
+  }
+}
+
+module.exports = WebdavUploader;
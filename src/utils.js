@@ -83,6 +83,70 @@ async function retry(fn, maxRetries = 3, initialDelay = 1000) {
   throw new Error(`Failed after ${maxRetries + 1} attempts: ${lastError.message}`);
 }
 
+/**
+ * 동시 실행 수를 제한하는 함수를 만드는 함수
+ *
+ * 반환된 함수에 전달한 비동기 작업은 최대 concurrency개까지만 동시에 실행되고,
+ * 나머지는 앞선 작업이 끝날 때까지 전달된 순서대로 대기합니다.
+ *
+ * 사용 예:
+ * const limit = createLimiter(2);
+ * await Promise.all(files.map(file => limit(() => uploadFile(file))));  // 한 번에 2개씩 업로드
+ *
+ * @param {number} concurrency - 최대 동시 실행 수 (1 이상)
+ * @returns {Function} (task) => Promise - task()의 결과로 resolve/reject되는 Promise 반환
+ */
+function createLimiter(concurrency) {
+  // 실행 중인 작업 수와 대기 중인 작업 목록
+  let active = 0;
+  const waiting = [];
+
+  // 자리가 나면 대기 중인 다음 작업 시작
+  const next = () => {
+    if (active >= concurrency || waiting.length === 0) {
+      return;
+    }
+
+    active++;
+    const { task, resolve, reject } = waiting.shift();
+
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    waiting.push({ task, resolve, reject });
+    next();
+  });
+}
+
+/**
+ * 파일명용 타임스탬프 문자열 생성 함수
+ *
+ * 백업 파일명에 들어가는 UTC 기준 타임스탬프를 만듭니다.
+ * parseBackupFilename()은 이 형식을 다시 Date로 복원합니다.
+ *
+ * 사용 예:
+ * formatTimestamp(new Date('2025-10-10T14:30:25.123Z'));
+ * // 결과: 20251010-143025
+ *
+ * @param {Date} date - 변환할 시간
+ * @returns {string} YYYYMMDD-HHmmss 형식의 타임스탬프
+ */
+function formatTimestamp(date) {
+  // ISO 8601 형식으로 변환 후 타임스탬프 생성
+  // 예: 2025-10-10T14:30:25.123Z → 20251010-143025
+  return date.toISOString()
+    .replace(/[-:]/g, '')       // 하이픈과 콜론 제거
+    .replace(/\..+/, '')        // 밀리초 부분 제거 (.123Z)
+    .replace('T', '-');         // T를 하이픈으로 변경 (날짜와 시간 구분)
+}
+
 /**
  * 타임스탬프 기반 파일명 생성 함수
  *
@@ -104,21 +168,167 @@ async function retry(fn, maxRetries = 3, initialDelay = 1000) {
  * @returns {string} 타임스탬프가 포함된 파일명
  */
 function generateTimestampFilename(prefix = 'backup', extension = 'tar.gz') {
-  // 현재 시간 객체 생성
-  const now = new Date();
-
-  // ISO 8601 형식으로 변환 후 타임스탬프 생성
-  // 예: 2025-10-10T14:30:25.123Z → 20251010-143025
-  const timestamp = now.toISOString()
-    .replace(/[-:]/g, '')       // 하이픈과 콜론 제거
-    .replace(/\..+/, '')        // 밀리초 부분 제거 (.123Z)
-    .replace('T', '-');         // T를 하이픈으로 변경 (날짜와 시간 구분)
+  // 현재 시간 기준 타임스탬프 생성 (예: 20251010-143025)
+  const timestamp = formatTimestamp(new Date());
 
   // 최종 파일명 조합
   // 예: backup-20251010-143025.tar.gz
   return `${prefix}-${timestamp}.${extension}`;
 }
 
+/**
+ * 백업 파일명 파싱 함수
+ *
+ * generateTimestampFilename()으로 생성된 백업 파일명을 분해합니다.
+ * 원격 저장소의 파일 중 이 도구가 만든 백업을 식별하고,
+ * 파일명의 타임스탬프로 백업 시점을 알아내는 데 사용합니다.
+ *
+ * 파일명 형식: {kind}-{target}-YYYYMMDD-HHmmss.{extension}
+ * 예: folder-mydata-20251010-143025.tar.gz
+ *
+ * 증분 백업은 확장자 앞에 기준 전체 백업의 타임스탬프가 붙습니다.
+ * 예: folder-mydata-20251012-020000.incr-20251010-020000.tar.gz
+ *
+ * 사용 예:
+ * parseBackupFilename('db-mydb-20251010-143025.tar.gz');
+ * // 결과: { kind: 'db', target: 'mydb', timestamp: Date(2025-10-10T14:30:25Z),
+ * //         extension: 'tar.gz', type: 'full', base: null }
+ *
+ * parseBackupFilename('notes.txt');
+ * // 결과: null
+ *
+ * parseBackupFilename('db-export-20251010-143025.sql');  // 이 도구가 만들지 않는 확장자
+ * // 결과: null
+ *
+ * @param {string} fileName - 백업 파일명
+ * @returns {Object|null} 파싱 결과 (형식이 맞지 않으면 null)
+ *   - kind: 백업 종류 ('folder', 'db' 또는 저장소 모드 스냅샷 'snapshot')
+ *   - target: 백업 대상 이름
+ *   - timestamp: 백업 시점 (UTC Date 객체)
+ *   - extension: 파일 확장자
+ *   - type: 'full' 또는 'incremental'
+ *   - base: 증분 백업이 의존하는 전체 백업의 시점 (전체 백업이면 null)
+ */
+function parseBackupFilename(fileName) {
+  // 그룹 1: kind, 그룹 2: target (하이픈 포함 가능, 첫 타임스탬프 앞까지)
+  // 그룹 3~8: 년, 월, 일, 시, 분, 초
+  // 그룹 9: 확장자
+  const regex = /^(folder|db|snapshot)-(.+?)-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.(.+)$/;
+
+  const match = fileName.match(regex);
+
+  if (!match) {
+    return null;
+  }
+
+  // 이 도구가 만드는 확장자만 인정
+  // 아카이브: tar.gz, tar.gz.enc, incr-YYYYMMDD-HHmmss.tar.gz(.enc) / 스냅샷: json
+  // 스트리밍 모드의 데이터베이스 백업: dump, dump.enc (pg_dump -Fc 출력 그대로)
+  const isKnownExtension = match[1] === 'snapshot'
+    ? match[9] === 'json'
+    : /^(incr-\d{8}-\d{6}\.)?tar\.gz(\.enc)?$/.test(match[9]) || (match[1] === 'db' && /^dump(\.enc)?$/.test(match[9]));
+
+  if (!isKnownExtension) {
+    return null;
+  }
+
+  // generateTimestampFilename()은 UTC 기준으로 타임스탬프를 생성하므로 UTC로 복원
+  const toDate = (y, mo, d, h, mi, sec) => new Date(Date.UTC(
+    parseInt(y, 10),
+    parseInt(mo, 10) - 1,
+    parseInt(d, 10),
+    parseInt(h, 10),
+    parseInt(mi, 10),
+    parseInt(sec, 10)
+  ));
+
+  const timestamp = toDate(...match.slice(3, 9));
+
+  // 증분 백업 여부 확인 (확장자가 incr-YYYYMMDD-HHmmss. 로 시작)
+  const incrMatch = match[9].match(/^incr-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\./);
+
+  return {
+    kind: match[1],                                   // 백업 종류
+    target: match[2],                                 // 백업 대상 이름
+    timestamp,                                        // 백업 시점
+    extension: match[9],                              // 확장자
+    type: incrMatch ? 'incremental' : 'full',         // 전체/증분 구분
+    base: incrMatch ? toDate(...incrMatch.slice(1, 7)) : null  // 기준 전체 백업 시점
+  };
+}
+
+/**
+ * 파일 확장자에 맞는 Content-Type
+ *
+ * @param {string} fileName - 업로드할 파일 이름
+ * @returns {string} 'application/gzip', 'application/json' 또는 'application/octet-stream' (암호화 파일, pg_dump 출력 등)
+ */
+function getContentType(fileName) {
+  if (fileName.endsWith('.gz')) {
+    return 'application/gzip';
+  }
+
+  if (fileName.endsWith('.json')) {
+    return 'application/json';
+  }
+
+  return 'application/octet-stream';
+}
+
+/**
+ * 커맨드라인 인자 파싱 함수
+ *
+ * process.argv.slice(2) 형태의 인자 배열을 객체로 변환합니다.
+ * 별도 의존성 없이 CLI 스크립트(restore, list 등)에서 사용합니다.
+ *
+ * 지원 형식:
+ * - --key value  → { key: 'value' }
+ * - --key=value  → { key: 'value' }
+ * - --flag       → { flag: true } (다음 인자가 없거나 --로 시작하는 경우)
+ * - 그 외        → _ 배열에 순서대로 추가 (위치 인자)
+ *
+ * 사용 예:
+ * parseArgs(['folder', 'mydata', '--dest', '/tmp/out', '--force']);
+ * // 결과: { _: ['folder', 'mydata'], dest: '/tmp/out', force: true }
+ *
+ * @param {string[]} argv - 인자 배열
+ * @param {string[]} booleanFlags - 값을 받지 않는 플래그 이름 목록 (기본값: [])
+ * @returns {Object} 파싱된 인자 객체 (위치 인자는 _ 배열)
+ */
+function parseArgs(argv, booleanFlags = []) {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // 위치 인자
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+      continue;
+    }
+
+    // --key=value 형식
+    const eqIndex = arg.indexOf('=');
+    if (eqIndex !== -1) {
+      args[arg.slice(2, eqIndex)] = arg.slice(eqIndex + 1);
+      continue;
+    }
+
+    const key = arg.slice(2);
+    const next = argv[i + 1];
+
+    // 값을 받지 않는 플래그이거나 다음 인자가 없으면 true
+    if (booleanFlags.includes(key) || next === undefined || next.startsWith('--')) {
+      args[key] = true;
+    } else {
+      args[key] = next;
+      i++;
+    }
+  }
+
+  return args;
+}
+
 /**
  * PostgreSQL 연결 문자열 파싱 함수
  *
@@ -203,6 +413,42 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+/**
+ * 경과 시간을 사람이 읽기 쉬운 형식으로 변환하는 함수
+ *
+ * 백업 목록에서 각 백업이 얼마나 오래되었는지 표시하는 데 사용됩니다.
+ * 가장 큰 두 단위까지만 표시합니다.
+ *
+ * 변환 예:
+ * - 30000 → "0m"
+ * - 5400000 → "1h 30m"
+ * - 183600000 → "2d 3h"
+ *
+ * @param {number} ms - 경과 시간 (밀리초 단위)
+ * @returns {string} 사람이 읽기 쉬운 형식의 경과 시간 문자열
+ */
+function formatAge(ms) {
+  // 분 단위로 변환 (음수는 0으로 처리)
+  const totalMinutes = Math.max(0, Math.floor(ms / 60000));
+
+  const days = Math.floor(totalMinutes / (60 * 24));
+  const hours = Math.floor((totalMinutes % (60 * 24)) / 60);
+  const minutes = totalMinutes % 60;
+
+  if (days > 0) {
+    return `${days}d ${hours}h`;
+  }
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+
+  return `${minutes}m`;
+}
+
+// true이면 info 로그도 stderr로 출력 (redirectLogsToStderr() 참고)
+let logToStderr = false;
+
 /**
  * 타임스탬프와 로그 레벨이 포함된 로그 출력 함수
  *
@@ -241,12 +487,30 @@ function log(message, level = 'info') {
   } else if (level === 'warn') {
     // 경고 로그 (노란색으로 출력)
     console.warn(`${prefix} ${message}`);
+  } else if (logToStderr) {
+    // 표준 출력을 결과 전용으로 쓰는 경우 (예: list --json)
+    console.error(`${prefix} ${message}`);
   } else {
     // 일반 정보 로그
     console.log(`${prefix} ${message}`);
   }
 }
 
+/**
+ * 모든 로그를 표준 에러(stderr)로 출력하도록 전환하는 함수
+ *
+ * JSON처럼 기계가 읽는 결과를 표준 출력(stdout)으로 내보내는 CLI에서
+ * 로그가 결과에 섞이지 않도록 사용합니다.
+ *
+ * 사용 예:
+ * redirectLogsToStderr();
+ * log('Loading...');                  // stderr로 출력
+ * console.log(JSON.stringify(result)); // stdout에는 결과만 출력
+ */
+function redirectLogsToStderr() {
+  logToStderr = true;
+}
+
 // ==========================================
 // 모듈 내보내기
 // ==========================================
@@ -262,8 +526,15 @@ function log(message, level = 'info') {
 module.exports = {
   sleep,                      // 대기 함수
   retry,                      // 재시도 함수
+  createLimiter,              // 동시 실행 수 제한
+  formatTimestamp,            // 파일명용 타임스탬프 생성
   generateTimestampFilename,  // 타임스탬프 파일명 생성
+  parseBackupFilename,        // 백업 파일명 파싱
+  getContentType,             // 업로드할 파일의 Content-Type
+  parseArgs,                  // 커맨드라인 인자 파싱
   parsePostgresUrl,           // PostgreSQL 연결 문자열 파싱
   formatBytes,                // 바이트 크기 포맷팅
-  log                         // 로그 출력 함수
+  formatAge,                  // 경과 시간 포맷팅
+  log,                        // 로그 출력 함수
+  redirectLogsToStderr        // 로그 출력 대상을 stderr로 전환
 };
@@ -0,0 +1,182 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { describe, it, before, after } = require('node:test');
+
+const SRC = path.join(__dirname, '..', 'src');
+
+/**
+ * Read a directory tree into { relative path: contents }
+ * @param {string} root - Directory to read
+ * @param {string[]} [skip] - Relative paths to leave out
+ * @returns {Object} File contents by relative path (directories end in '/', links map to '-> target')
+ */
+function readTree(root, skip = []) {
+  const tree = {};
+
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      const relative = path.relative(root, fullPath);
+
+      if (skip.includes(relative)) {
+        continue;
+      }
+
+      if (entry.isSymbolicLink()) {
+        tree[relative] = `-> ${fs.readlinkSync(fullPath)}`;
+      } else if (entry.isDirectory()) {
+        tree[`${relative}/`] = null;
+        walk(fullPath);
+      } else {
+        tree[relative] = fs.readFileSync(fullPath, 'utf-8');
+      }
+    }
+  };
+
+  walk(root);
+  return tree;
+}
+
+// backup → list → restore through the CLIs with the local uploader: no cloud account needed
+describe('backup, list and restore with the local uploader', () => {
+  let workDir;
+  let store;
+  let env;
+
+  const run = (script, ...args) => execFileSync(process.execPath, [path.join(SRC, script), ...args], {
+    cwd: workDir,
+    env,
+    encoding: 'utf-8',
+    stdio: 'pipe'
+  });
+
+  before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-e2e-'));
+    store = path.join(workDir, 'store');
+
+    fs.mkdirSync(path.join(workDir, 'docs', 'sub'), { recursive: true });
+    fs.writeFileSync(path.join(workDir, 'docs', 'a.txt'), 'alpha\n');
+    fs.writeFileSync(path.join(workDir, 'docs', 'sub', 'b.txt'), 'beta\n');
+    fs.symlinkSync('a.txt', path.join(workDir, 'docs', 'link.txt'));
+    fs.mkdirSync(path.join(workDir, 'docs', 'emptydir'));
+
+    // A filter switches archives from whole-directory to per-entry mode
+    fs.writeFileSync(path.join(workDir, 'docs', '.backupignore'), '*.log\n');
+    fs.writeFileSync(path.join(workDir, 'docs', 'debug.log'), 'not backed up\n');
+
+    fs.mkdirSync(path.join(workDir, 'repo', 'nested'), { recursive: true });
+    fs.writeFileSync(path.join(workDir, 'repo', 'big.txt'), 'repository data\n'.repeat(20000));
+    fs.writeFileSync(path.join(workDir, 'repo', 'nested', 'c.txt'), 'gamma\n');
+    fs.symlinkSync('nested', path.join(workDir, 'repo', 'link'));
+    fs.mkdirSync(path.join(workDir, 'repo', 'empty'));
+
+    fs.writeFileSync(path.join(workDir, '.backup'), `${path.join(workDir, 'docs')}\n${path.join(workDir, 'repo')}\n`);
+    fs.writeFileSync(path.join(workDir, '.config'), JSON.stringify({
+      retention_days: 7,
+      encryption: { enabled: true },
+      incremental: { enabled: true, full_backup_interval_days: 7 },
+      repository: { folders: ['repo'], chunk_size_mb: 1 },
+      uploaders: [{ type: 'local', path: store }]
+    }));
+
+    env = {
+      ...process.env,
+      BACKUP_FILE: path.join(workDir, '.backup'),
+      CONFIG_FILE: path.join(workDir, '.config'),
+      LOCAL_BACKUP_DIR: path.join(workDir, 'staging'),
+      STATE_DIR: path.join(workDir, 'state'),
+      BACKUP_ENCRYPTION_PASSPHRASE: 'e2e passphrase'
+    };
+  });
+
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const storedBackups = () => fs.readdirSync(store).filter(name => !name.endsWith('.sha256')).sort();
+
+  it('takes an encrypted full backup and a repository snapshot', () => {
+    run('backup.js');
+
+    const names = storedBackups();
+    const archive = names.find(name => /^folder-docs-\d{8}-\d{6}\.tar\.gz\.enc$/.test(name));
+
+    assert.ok(archive, `full archive in ${names.join(', ')}`);
+    assert.equal(fs.readFileSync(path.join(store, archive)).subarray(0, 4).toString(), 'BKEC');
+    assert.ok(names.some(name => /^snapshot-repo-\d{8}-\d{6}\.json$/.test(name)));
+    assert.ok(names.some(name => name.startsWith('chunk-')));
+    assert.deepEqual(fs.readdirSync(path.join(workDir, 'staging')), [], 'staging directory is emptied');
+  });
+
+  it('takes an incremental backup of the changed folder', async () => {
+    // File names have second resolution
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    fs.writeFileSync(path.join(workDir, 'docs', 'a.txt'), 'alpha, changed\n');
+    fs.rmSync(path.join(workDir, 'docs', 'sub', 'b.txt'));
+    fs.writeFileSync(path.join(workDir, 'docs', 'new.txt'), 'new\n');
+    fs.rmdirSync(path.join(workDir, 'docs', 'emptydir'));
+    fs.mkdirSync(path.join(workDir, 'docs', 'newdir'));
+    fs.symlinkSync('new.txt', path.join(workDir, 'docs', 'newlink.txt'));
+    fs.appendFileSync(path.join(workDir, 'repo', 'nested', 'c.txt'), 'more\n');
+
+    run('backup.js');
+
+    assert.ok(storedBackups().some(name => /^folder-docs-\d{8}-\d{6}\.incr-\d{8}-\d{6}\.tar\.gz\.enc$/.test(name)));
+    assert.equal(storedBackups().filter(name => name.startsWith('snapshot-repo-')).length, 2);
+  });
+
+  it('lists the backups', () => {
+    const output = run('list.js');
+
+    for (const name of storedBackups().filter(name => !name.startsWith('chunk-'))) {
+      assert.ok(output.includes(name), `${name} is listed`);
+    }
+  });
+
+  it('restores the latest folder backup by applying the incremental backup', () => {
+    const dest = path.join(workDir, 'restore-latest');
+    run('restore.js', 'folder', 'docs', '--dest', dest);
+
+    assert.deepEqual(readTree(path.join(dest, 'docs')), readTree(path.join(workDir, 'docs'), ['debug.log']));
+  });
+
+  it('restores an older full backup by name', () => {
+    const full = storedBackups().find(name => /^folder-docs-\d{8}-\d{6}\.tar\.gz\.enc$/.test(name));
+    const dest = path.join(workDir, 'restore-full');
+    run('restore.js', 'folder', 'docs', '--dest', dest, '--backup', full);
+
+    assert.deepEqual(readTree(path.join(dest, 'docs')), {
+      '.backupignore': '*.log\n',
+      'a.txt': 'alpha\n',
+      'emptydir/': null,
+      'link.txt': '-> a.txt',
+      'sub/': null,
+      'sub/b.txt': 'beta\n'
+    });
+  });
+
+  it('restores the latest repository snapshot', () => {
+    const dest = path.join(workDir, 'restore-snapshot');
+    run('restore.js', 'snapshot', 'repo', '--dest', dest);
+
+    assert.deepEqual(readTree(path.join(dest, 'repo')), readTree(path.join(workDir, 'repo')));
+  });
+
+  it('refuses to restore without the passphrase', () => {
+    const passphrase = env.BACKUP_ENCRYPTION_PASSPHRASE;
+    env.BACKUP_ENCRYPTION_PASSPHRASE = '';
+
+    try {
+      assert.throws(
+        () => run('restore.js', 'folder', 'docs', '--dest', path.join(workDir, 'restore-no-key')),
+        error => /none is configured/.test(error.stdout + error.stderr)
+      );
+    } finally {
+      env.BACKUP_ENCRYPTION_PASSPHRASE = passphrase;
+    }
+  });
+});
@@ -0,0 +1,82 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { describe, it } = require('node:test');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { createEncryptStream, createDecryptStream } = require('../src/encryption');
+
+/**
+ * Run a buffer through a transform stream
+ * @param {Buffer} data - Input
+ * @param {Transform} transformStream - Encrypt or decrypt stream
+ * @returns {Promise<Buffer>} Output
+ */
+async function transform(data, transformStream) {
+  const output = [];
+
+  await pipeline(Readable.from([data]), transformStream, async (source) => {
+    for await (const chunk of source) {
+      output.push(chunk);
+    }
+  });
+
+  return Buffer.concat(output);
+}
+
+const secretKeys = passphrase => ({ secret: Buffer.from(passphrase), publicKey: null, privateKey: null });
+
+describe('encryption', () => {
+  const keys = secretKeys('correct horse battery staple');
+  const plaintext = crypto.randomBytes(10 * 1024 + 17);
+
+  it('round-trips data across several chunks with a passphrase', async () => {
+    const encrypted = await transform(plaintext, createEncryptStream(keys, { chunkSize: 4096 }));
+
+    assert.ok(!encrypted.includes(plaintext.subarray(0, 64)));
+    assert.ok((await transform(encrypted, createDecryptStream(keys))).equals(plaintext));
+  });
+
+  it('round-trips empty input', async () => {
+    const encrypted = await transform(Buffer.alloc(0), createEncryptStream(keys));
+
+    assert.equal((await transform(encrypted, createDecryptStream(keys))).length, 0);
+  });
+
+  it('round-trips data with an RSA key pair', async () => {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const encrypted = await transform(plaintext, createEncryptStream({ secret: null, publicKey, privateKey: null }));
+
+    await assert.rejects(transform(encrypted, createDecryptStream(keys)), /public key/);
+    assert.ok((await transform(encrypted, createDecryptStream({ secret: null, publicKey: null, privateKey }))).equals(plaintext));
+  });
+
+  it('rejects tampered ciphertext', async () => {
+    const encrypted = await transform(plaintext, createEncryptStream(keys, { chunkSize: 4096 }));
+    const tampered = Buffer.from(encrypted);
+    tampered[tampered.length - 100] ^= 0x01;
+
+    await assert.rejects(transform(tampered, createDecryptStream(keys)), /Decryption failed/);
+  });
+
+  it('rejects a tampered header', async () => {
+    const encrypted = await transform(plaintext, createEncryptStream(keys, { chunkSize: 4096 }));
+    const tampered = Buffer.from(encrypted);
+    tampered[12] ^= 0x01; // inside the base nonce
+
+    await assert.rejects(transform(tampered, createDecryptStream(keys)), /Decryption failed/);
+  });
+
+  it('rejects a truncated file', async () => {
+    const encrypted = await transform(plaintext, createEncryptStream(keys, { chunkSize: 4096 }));
+    // Drop the final chunk: 5-byte chunk header + 10 * 1024 + 17 - 2 * 4096 bytes + 16-byte tag
+    const truncated = encrypted.subarray(0, encrypted.length - (5 + plaintext.length - 2 * 4096 + 16));
+
+    await assert.rejects(transform(truncated, createDecryptStream(keys)), /truncated/);
+  });
+
+  it('rejects the wrong passphrase', async () => {
+    const encrypted = await transform(plaintext, createEncryptStream(keys));
+
+    await assert.rejects(transform(encrypted, createDecryptStream(secretKeys('wrong'))), /wrong key or corrupted/);
+  });
+});
@@ -0,0 +1,70 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const { createFileFilter, walkFolder } = require('../src/filter');
+const { compressFolder, extractArchive } = require('../src/compress');
+
+describe('walkFolder', () => {
+  let workDir;
+  let source;
+
+  before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-filter-'));
+    source = path.join(workDir, 'data');
+
+    fs.mkdirSync(path.join(source, 'sub'), { recursive: true });
+    fs.mkdirSync(path.join(source, 'emptydir'));
+    fs.mkdirSync(path.join(source, 'cache'));
+    fs.writeFileSync(path.join(source, 'a.txt'), 'alpha\n');
+    fs.writeFileSync(path.join(source, 'debug.log'), 'log\n');
+    fs.writeFileSync(path.join(source, 'sub', 'b.txt'), 'beta\n');
+    fs.writeFileSync(path.join(source, 'cache', 'c.bin'), 'cache\n');
+    fs.symlinkSync('a.txt', path.join(source, 'link.txt'));
+    fs.symlinkSync('sub', path.join(source, 'sublink'));
+  });
+
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const paths = entries => entries.map(entry => entry.path).sort();
+
+  it('returns directories and symbolic links along with files', async () => {
+    const walked = await walkFolder(source, createFileFilter(source, { exclude: ['*.log', 'cache/'] }));
+
+    assert.deepEqual(paths(walked.files), ['a.txt', 'sub/b.txt']);
+    assert.deepEqual(paths(walked.directories), ['emptydir', 'sub']);
+    assert.deepEqual(walked.symlinks.map(link => `${link.path} -> ${link.target}`).sort(), ['link.txt -> a.txt', 'sublink -> sub']);
+    assert.deepEqual(walked.skipped, { files: 2, bytes: 10 });
+  });
+
+  it('keeps only directories that match or hold included entries', async () => {
+    const walked = await walkFolder(source, createFileFilter(source, { include: ['*.txt', 'emptydir/'] }));
+
+    assert.deepEqual(paths(walked.files), ['a.txt', 'sub/b.txt']);
+    assert.deepEqual(paths(walked.directories), ['emptydir', 'sub']);
+    assert.deepEqual(paths(walked.symlinks), ['link.txt']);
+  });
+
+  it('archives the selected directories and symbolic links', async () => {
+    const walked = await walkFolder(source, createFileFilter(source, { exclude: ['*.log', 'cache/'] }));
+    const archivePath = path.join(workDir, 'data.tar.gz');
+    const dest = path.join(workDir, 'restored');
+
+    await compressFolder(source, archivePath, {
+      files: [...walked.directories, ...walked.symlinks, ...walked.files].map(entry => entry.path)
+    });
+    await extractArchive(archivePath, dest);
+
+    const restored = path.join(dest, 'data');
+    assert.equal(fs.readlinkSync(path.join(restored, 'link.txt')), 'a.txt');
+    assert.equal(fs.readlinkSync(path.join(restored, 'sublink')), 'sub');
+    assert.ok(fs.statSync(path.join(restored, 'emptydir')).isDirectory());
+    assert.deepEqual(fs.readdirSync(path.join(restored, 'emptydir')), []);
+    assert.equal(fs.readFileSync(path.join(restored, 'sub', 'b.txt'), 'utf-8'), 'beta\n');
+    assert.ok(!fs.existsSync(path.join(restored, 'debug.log')));
+    assert.ok(!fs.existsSync(path.join(restored, 'cache')));
+  });
+});
@@ -0,0 +1,127 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { describe, it, before, after } = require('node:test');
+const UploaderFactory = require('../../src/uploaders/factory');
+const { computeFileChecksum } = require('../../src/checksum');
+
+/**
+ * Get the environment variables an integration test needs
+ * @param {string[]} names - Required variable names
+ * @returns {string|false} Skip reason if any is missing, otherwise false
+ */
+function missingEnv(names) {
+  const missing = names.filter(name => !process.env[name]);
+  return missing.length > 0 ? `set ${missing.join(', ')} to run` : false;
+}
+
+/**
+ * Exercise the uploader contract that backup, list and restore rely on
+ *
+ * Files are written under a prefix or path containing a fresh run id and are
+ * deleted afterwards, so the tests can run against a shared bucket or server.
+ *
+ * @param {string} title - Suite title
+ * @param {Object} options
+ * @param {string|false} options.skip - Skip reason, or false to run
+ * @param {Function} options.createConfig - (runId, workDir) => uploader config from .config
+ * @param {Function} options.setup - Optional async (config) => void run before the uploader is created
+ */
+function describeUploaderContract(title, { skip = false, createConfig, setup }) {
+  describe(title, { skip }, () => {
+    // Unique per run; configs use it in their prefix or path so runs never share files
+    const runId = `it-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+    const fileName = 'folder-contract-20250101-000000.tar.gz';
+    const streamName = 'folder-contract-stream-20250101-000000.tar.gz';
+    let workDir;
+    let localFile;
+    let uploader;
+    let remotePath;
+
+    before(async () => {
+      workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploader-contract-'));
+      localFile = path.join(workDir, fileName);
+
+      // Larger than the default multipart/block/chunk thresholds of the cloud uploaders
+      fs.writeFileSync(localFile, crypto.randomBytes(9 * 1024 * 1024 + 123));
+
+      const config = createConfig(runId, workDir);
+      if (setup) {
+        await setup(config);
+      }
+
+      uploader = UploaderFactory.create(config.type, config);
+      await uploader.initialize();
+      remotePath = uploader.getRemotePath();
+    });
+
+    after(async () => {
+      if (uploader) {
+        const files = await uploader.listFiles(remotePath).catch(() => []);
+        for (const file of files) {
+          await uploader.deleteFile(remotePath, file.name).catch(() => {});
+        }
+      }
+      if (workDir) {
+        fs.rmSync(workDir, { recursive: true, force: true });
+      }
+    });
+
+    it('connects', async () => {
+      assert.equal(await uploader.testConnection(), true);
+    });
+
+    it('uploads, verifies, lists and downloads a file', async () => {
+      const checksum = await computeFileChecksum(localFile);
+      const size = fs.statSync(localFile).size;
+
+      const uploaded = await uploader.uploadFile(localFile, remotePath, fileName, { checksum });
+      assert.equal(uploaded.size, size);
+      assert.equal(await uploader.verifyUpload(localFile, remotePath, fileName, checksum), true);
+
+      const listed = (await uploader.listFiles(remotePath)).find(file => file.name === fileName);
+      assert.ok(listed, `${fileName} is listed`);
+      assert.equal(Number(listed.size), size);
+      assert.ok(!Number.isNaN(new Date(listed.createdTime).getTime()));
+
+      const downloaded = path.join(workDir, 'download', fileName);
+      await uploader.downloadFile(remotePath, fileName, downloaded);
+      assert.equal(await computeFileChecksum(downloaded), checksum);
+    });
+
+    it('rejects a verification against different content', async () => {
+      const other = path.join(workDir, 'other.bin');
+      fs.writeFileSync(other, crypto.randomBytes(1024));
+
+      await assert.rejects(uploader.verifyUpload(other, remotePath, fileName, await computeFileChecksum(other)));
+    });
+
+    it('uploads a stream', async (t) => {
+      if (!uploader.supportsStreaming()) {
+        t.skip(`${uploader.getType()} does not support streaming`);
+        return;
+      }
+
+      const data = crypto.randomBytes(6 * 1024 * 1024 + 7);
+
+      const uploaded = await uploader.uploadStream(Readable.from([data]), remotePath, streamName, { partSizeMb: 5 });
+      assert.equal(uploaded.size, data.length);
+
+      const downloaded = path.join(workDir, 'download', streamName);
+      await uploader.downloadFile(remotePath, streamName, downloaded);
+      assert.ok(fs.readFileSync(downloaded).equals(data));
+    });
+
+    it('deletes a file', async () => {
+      await uploader.deleteFile(remotePath, fileName);
+
+      const names = (await uploader.listFiles(remotePath)).map(file => file.name);
+      assert.ok(!names.includes(fileName));
+    });
+  });
+}
+
+module.exports = { missingEnv, describeUploaderContract };
@@ -0,0 +1,21 @@
+const { BlobServiceClient } = require('@azure/storage-blob');
+const { missingEnv, describeUploaderContract } = require('../helpers/uploader-contract');
+
+// Against Azurite, e.g.
+//   azurite-blob --inMemoryPersistence &
+//   AZURE_TEST_CONNECTION_STRING=UseDevelopmentStorage=true npm test
+describeUploaderContract('azure-blob uploader', {
+  skip: missingEnv(['AZURE_TEST_CONNECTION_STRING']),
+  createConfig: runId => ({
+    type: 'azure-blob',
+    container: process.env.AZURE_TEST_CONTAINER || 'backup-test',
+    prefix: `${runId}/`,
+    connection_string_env: 'AZURE_TEST_CONNECTION_STRING',
+    block_size_mb: 4
+  }),
+  setup: async (config) => {
+    await BlobServiceClient.fromConnectionString(process.env.AZURE_TEST_CONNECTION_STRING)
+      .getContainerClient(config.container)
+      .createIfNotExists();
+  }
+});
@@ -0,0 +1,27 @@
+const { Storage } = require('@google-cloud/storage');
+const { missingEnv, describeUploaderContract } = require('../helpers/uploader-contract');
+
+// Against fake-gcs-server, e.g.
+//   fake-gcs-server -scheme http -port 4443 &
+//   GCS_TEST_API_ENDPOINT=http://127.0.0.1:4443 npm test
+describeUploaderContract('gcs uploader', {
+  skip: missingEnv(['GCS_TEST_API_ENDPOINT']),
+  createConfig: runId => ({
+    type: 'gcs',
+    bucket: process.env.GCS_TEST_BUCKET || 'backup-test',
+    prefix: `${runId}/`,
+    api_endpoint: process.env.GCS_TEST_API_ENDPOINT,
+    project_id: 'test',
+    resumable_threshold_mb: 1,
+    chunk_size_mb: 1
+  }),
+  setup: async (config) => {
+    const storage = new Storage({ apiEndpoint: config.api_endpoint, projectId: config.project_id });
+
+    await storage.createBucket(config.bucket).catch((error) => {
+      if (error.code !== 409) {
+        throw error;
+      }
+    });
+  }
+});
@@ -0,0 +1,37 @@
+const { S3Client, CreateBucketCommand } = require('@aws-sdk/client-s3');
+const { missingEnv, describeUploaderContract } = require('../helpers/uploader-contract');
+
+// Against MinIO or another S3 stand-in, e.g.
+//   S3_TEST_ENDPOINT=http://127.0.0.1:9000 S3_TEST_BUCKET=backup-test
+//   S3_TEST_ACCESS_KEY_ID=minioadmin S3_TEST_SECRET_ACCESS_KEY=minioadmin npm test
+describeUploaderContract('s3-sdk uploader (S3-compatible endpoint)', {
+  skip: missingEnv(['S3_TEST_ENDPOINT', 'S3_TEST_BUCKET', 'S3_TEST_ACCESS_KEY_ID', 'S3_TEST_SECRET_ACCESS_KEY']),
+  createConfig: runId => ({
+    type: 's3-sdk',
+    bucket: process.env.S3_TEST_BUCKET,
+    prefix: `${runId}/`,
+    region: process.env.S3_TEST_REGION || 'us-east-1',
+    endpoint: process.env.S3_TEST_ENDPOINT,
+    force_path_style: true,
+    access_key_id_env: 'S3_TEST_ACCESS_KEY_ID',
+    secret_access_key_env: 'S3_TEST_SECRET_ACCESS_KEY',
+    part_size_mb: 5
+  }),
+  setup: async (config) => {
+    const client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: true,
+      credentials: {
+        accessKeyId: process.env.S3_TEST_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_TEST_SECRET_ACCESS_KEY
+      }
+    });
+
+    await client.send(new CreateBucketCommand({ Bucket: config.bucket })).catch((error) => {
+      if (!['BucketAlreadyOwnedByYou', 'BucketAlreadyExists'].includes(error.name)) {
+        throw error;
+      }
+    });
+  }
+});
@@ -0,0 +1,20 @@
+const { missingEnv, describeUploaderContract } = require('../helpers/uploader-contract');
+
+// Against an OpenSSH server, e.g.
+//   SFTP_TEST_HOST=127.0.0.1 SFTP_TEST_PORT=2222 SFTP_TEST_USERNAME=backup
+//   SFTP_TEST_PASSWORD=secret (or SFTP_TEST_PRIVATE_KEY=~/.ssh/id_ed25519)
+//   SFTP_TEST_PATH=/home/backup/it npm test
+describeUploaderContract('sftp uploader', {
+  skip: missingEnv(['SFTP_TEST_HOST', 'SFTP_TEST_USERNAME', 'SFTP_TEST_PATH']) ||
+    (!process.env.SFTP_TEST_PASSWORD && !process.env.SFTP_TEST_PRIVATE_KEY && 'set SFTP_TEST_PASSWORD or SFTP_TEST_PRIVATE_KEY to run'),
+  createConfig: runId => ({
+    type: 'sftp',
+    host: process.env.SFTP_TEST_HOST,
+    port: Number(process.env.SFTP_TEST_PORT || 22),
+    username: process.env.SFTP_TEST_USERNAME,
+    path: `${process.env.SFTP_TEST_PATH.replace(/\/+$/, '')}/${runId}`,
+    ...(process.env.SFTP_TEST_PRIVATE_KEY
+      ? { private_key_path: process.env.SFTP_TEST_PRIVATE_KEY }
+      : { password_env: 'SFTP_TEST_PASSWORD' })
+  })
+});
@@ -0,0 +1,17 @@
+const { missingEnv, describeUploaderContract } = require('../helpers/uploader-contract');
+
+// Against Nextcloud (chunked uploads) or any other WebDAV server, e.g.
+//   WEBDAV_TEST_URL=http://127.0.0.1:8080/remote.php/dav/files/admin
+//   WEBDAV_TEST_USERNAME=admin WEBDAV_TEST_PASSWORD=admin npm test
+describeUploaderContract('webdav uploader', {
+  skip: missingEnv(['WEBDAV_TEST_URL']),
+  createConfig: runId => ({
+    type: 'webdav',
+    url: process.env.WEBDAV_TEST_URL,
+    folder_path: `backup-it/${runId}`,
+    chunk_size_mb: 5,
+    ...(process.env.WEBDAV_TEST_USERNAME
+      ? { username: process.env.WEBDAV_TEST_USERNAME, password_env: 'WEBDAV_TEST_PASSWORD' }
+      : {})
+  })
+});
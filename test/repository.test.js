@@ -0,0 +1,146 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const UploaderFactory = require('../src/uploaders/factory');
+const { loadEncryptionKeys } = require('../src/encryption');
+const { backupFolder, readSnapshot, restoreSnapshot, planGarbageCollection, garbageCollect } = require('../src/repository');
+
+const PASSPHRASE_ENV = 'REPOSITORY_TEST_PASSPHRASE';
+
+describe('repository chunk ids', () => {
+  let workDir;
+  let source;
+  const contents = { 'a.txt': 'alpha\n', 'b.txt': 'beta\n' };
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+  before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-repository-'));
+    source = path.join(workDir, 'data');
+    fs.mkdirSync(source);
+
+    for (const [name, content] of Object.entries(contents)) {
+      fs.writeFileSync(path.join(source, name), content);
+    }
+
+    const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    fs.writeFileSync(path.join(workDir, 'public.pem'), publicKey.export({ type: 'spki', format: 'pem' }));
+    fs.writeFileSync(path.join(workDir, 'private.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }));
+    process.env[PASSPHRASE_ENV] = 'repository passphrase';
+  });
+
+  after(() => {
+    delete process.env[PASSPHRASE_ENV];
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  /**
+   * Back up the source folder into a fresh local repository
+   * @param {string} name - Repository directory name
+   * @param {Object} encryptionConfig - `encryption` section of .config, or null
+   * @returns {Promise<Object>} { uploader, snapshot, chunkIds }
+   */
+  async function backup(name, encryptionConfig) {
+    const uploader = UploaderFactory.create('local', { path: path.join(workDir, name) });
+    await uploader.initialize();
+
+    const result = await backupFolder(source, 'data', [uploader], {
+      workDir: path.join(workDir, 'tmp'),
+      stateDir: path.join(workDir, 'state', name),
+      encryptionKeys: encryptionConfig ? loadEncryptionKeys(encryptionConfig) : null
+    });
+
+    const snapshot = await readSnapshot(uploader, result.name, path.join(workDir, 'tmp'));
+    const chunkIds = (await uploader.listFiles(uploader.getRemotePath()))
+      .filter(file => file.name.startsWith('chunk-'))
+      .map(file => file.name.slice('chunk-'.length));
+
+    return { uploader, snapshot, chunkIds };
+  }
+
+  /**
+   * Restore a snapshot and check the restored files
+   * @param {BaseUploader} uploader - Uploader holding the snapshot
+   * @param {Object} snapshot - Snapshot to restore
+   * @param {Object} encryptionConfig - `encryption` section of .config on the restoring host
+   */
+  async function assertRestores(uploader, snapshot, encryptionConfig) {
+    const dest = fs.mkdtempSync(path.join(workDir, 'restore-'));
+    const name = (await uploader.listFiles(uploader.getRemotePath())).find(file => file.name.startsWith('snapshot-')).name;
+
+    await restoreSnapshot(uploader, name, dest, { workDir: path.join(workDir, 'tmp'), encryptionConfig });
+
+    for (const [file, content] of Object.entries(contents)) {
+      assert.equal(fs.readFileSync(path.join(dest, snapshot.target, file), 'utf-8'), content);
+    }
+  }
+
+  it('uses the plaintext SHA-256 without encryption', async () => {
+    const { uploader, snapshot, chunkIds } = await backup('plain', null);
+
+    assert.equal(snapshot.chunkIdKey, null);
+    assert.ok(chunkIds.includes(sha256(contents['a.txt'])));
+    await assertRestores(uploader, snapshot, {});
+  });
+
+  it('keys chunk ids with the passphrase when encrypted', async () => {
+    const encryptionConfig = { enabled: true, passphrase_env: PASSPHRASE_ENV };
+    const { uploader, snapshot, chunkIds } = await backup('secret', encryptionConfig);
+
+    assert.equal(snapshot.encrypted, true);
+    assert.equal(snapshot.chunkIdKey, 'secret');
+    for (const content of Object.values(contents)) {
+      assert.ok(!chunkIds.includes(sha256(content)), 'chunk names do not reveal the content hash');
+    }
+
+    await assertRestores(uploader, snapshot, encryptionConfig);
+    assert.equal(await garbageCollect(uploader, path.join(workDir, 'tmp')), 0);
+  });
+
+  it('keys chunk ids with a random key wrapped for the private key holder', async () => {
+    const encryptionConfig = { enabled: true, public_key_file: path.join(workDir, 'public.pem') };
+    const { uploader, snapshot, chunkIds } = await backup('public-key', encryptionConfig);
+
+    assert.equal(snapshot.chunkIdKey, 'public-key');
+    assert.ok(snapshot.wrappedChunkIdKey);
+    assert.ok(!chunkIds.includes(sha256(contents['a.txt'])));
+
+    // The public key alone cannot recover the id key
+    await assert.rejects(assertRestores(uploader, snapshot, encryptionConfig), /no private_key_file/);
+    await assertRestores(uploader, snapshot, { private_key_file: path.join(workDir, 'private.pem') });
+
+    // The key kept in the state directory is reused, so the next run deduplicates
+    const again = await backup('public-key', encryptionConfig);
+    assert.deepEqual(again.chunkIds.sort(), chunkIds.sort());
+  });
+
+  it('plans garbage collection as if the given snapshots were already deleted', async () => {
+    const { uploader, chunkIds } = await backup('planned', null);
+    const snapshotName = (await uploader.listFiles(uploader.getRemotePath())).find(file => file.name.startsWith('snapshot-')).name;
+
+    assert.deepEqual(await planGarbageCollection(uploader, path.join(workDir, 'tmp')), { toDelete: [], locked: [] });
+
+    const plan = await planGarbageCollection(uploader, path.join(workDir, 'tmp'), [snapshotName]);
+    assert.deepEqual(plan.toDelete.map(file => file.name).sort(), chunkIds.map(id => `chunk-${id}`).sort());
+    assert.equal((await uploader.listFiles(uploader.getRemotePath())).length, chunkIds.length + 1);
+  });
+
+  it('skips locked chunks during garbage collection', async () => {
+    const { uploader, chunkIds } = await backup('locked', null);
+    const remotePath = uploader.getRemotePath();
+    const lockedChunk = `chunk-${chunkIds[0]}`;
+
+    // Without the snapshot every chunk is unreferenced
+    for (const file of await uploader.listFiles(remotePath)) {
+      if (file.name.startsWith('snapshot-')) {
+        await uploader.deleteFile(remotePath, file.name);
+      }
+    }
+    uploader.getLockReason = async (_, fileName) => (fileName === lockedChunk ? 'legal hold' : null);
+
+    assert.equal(await garbageCollect(uploader, path.join(workDir, 'tmp')), chunkIds.length - 1);
+    assert.deepEqual((await uploader.listFiles(remotePath)).map(file => file.name), [lockedChunk]);
+  });
+});
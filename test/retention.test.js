@@ -0,0 +1,94 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { getPeriodKey, normalizeRetention, selectGfsBackups, selectNewestBackups } = require('../src/retention');
+
+const at = iso => new Date(iso);
+
+describe('getPeriodKey', () => {
+  it('uses UTC for daily, monthly and yearly keys', () => {
+    const date = at('2025-10-10T23:59:59Z');
+
+    assert.equal(getPeriodKey('daily', date), '2025-10-10');
+    assert.equal(getPeriodKey('monthly', date), '2025-10');
+    assert.equal(getPeriodKey('yearly', date), '2025');
+  });
+
+  it('assigns ISO weeks across year boundaries', () => {
+    const cases = {
+      '2020-12-31T12:00:00Z': '2020-W53',
+      '2021-01-03T23:59:59Z': '2020-W53',
+      '2021-01-04T00:00:00Z': '2021-W01',
+      '2024-12-29T12:00:00Z': '2024-W52',
+      '2024-12-30T00:00:00Z': '2025-W01',
+      '2026-01-01T00:00:00Z': '2026-W01',
+      '2026-12-31T12:00:00Z': '2026-W53',
+      '2027-01-03T12:00:00Z': '2026-W53',
+      '2027-01-04T00:00:00Z': '2027-W01'
+    };
+
+    for (const [iso, key] of Object.entries(cases)) {
+      assert.equal(getPeriodKey('weekly', at(iso)), key, iso);
+    }
+  });
+
+  it('rejects unknown periods', () => {
+    assert.throws(() => getPeriodKey('hourly', at('2025-01-01T00:00:00Z')), /Unknown retention period/);
+  });
+});
+
+describe('normalizeRetention', () => {
+  it('turns a day count into a full policy', () => {
+    assert.deepEqual(normalizeRetention(7), { days: 7, daily: 0, weekly: 0, monthly: 0, yearly: 0, min_keep: 0 });
+  });
+});
+
+describe('selectGfsBackups', () => {
+  // Two backups a day at 02:00 and 14:00 UTC from 2024-12-20 to 2025-01-10
+  const backups = [];
+  for (let day = new Date(Date.UTC(2024, 11, 20)); day <= Date.UTC(2025, 0, 10); day.setUTCDate(day.getUTCDate() + 1)) {
+    for (const hour of [2, 14]) {
+      const timestamp = new Date(day.getTime() + hour * 3600 * 1000);
+      backups.push({ name: timestamp.toISOString(), timestamp });
+    }
+  }
+
+  it('keeps the newest backup of each of the last N days', () => {
+    const kept = selectGfsBackups(backups, normalizeRetention({ days: 0, daily: 3 }));
+
+    assert.deepEqual([...kept].sort(), [
+      '2025-01-08T14:00:00.000Z',
+      '2025-01-09T14:00:00.000Z',
+      '2025-01-10T14:00:00.000Z'
+    ]);
+  });
+
+  it('keeps the newest backup of each ISO week, monthly and yearly period', () => {
+    const kept = selectGfsBackups(backups, normalizeRetention({ days: 0, weekly: 3, monthly: 2, yearly: 2 }));
+
+    assert.deepEqual([...kept].sort(), [
+      '2024-12-29T14:00:00.000Z', // Sunday ending 2024-W52
+      '2024-12-31T14:00:00.000Z', // newest of 2024-12 and 2024 (its week is 2025-W01)
+      '2025-01-05T14:00:00.000Z', // Sunday ending 2025-W01
+      '2025-01-10T14:00:00.000Z'  // newest of 2025-W02, 2025-01 and 2025
+    ]);
+  });
+
+  it('keeps nothing for zero counts', () => {
+    assert.equal(selectGfsBackups(backups, normalizeRetention({ days: 7 })).size, 0);
+  });
+
+  it('does not depend on the input order', () => {
+    const policy = normalizeRetention({ days: 0, daily: 2, weekly: 2 });
+    const shuffled = [...backups].reverse();
+
+    assert.deepEqual([...selectGfsBackups(shuffled, policy)].sort(), [...selectGfsBackups(backups, policy)].sort());
+  });
+});
+
+describe('selectNewestBackups', () => {
+  it('keeps the newest min_keep backups', () => {
+    const backups = ['2025-01-01', '2025-01-03', '2025-01-02'].map(day => ({ name: day, timestamp: at(`${day}T00:00:00Z`) }));
+
+    assert.deepEqual([...selectNewestBackups(backups, normalizeRetention({ days: 0, min_keep: 2 }))], ['2025-01-03', '2025-01-02']);
+  });
+});
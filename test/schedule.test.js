@@ -0,0 +1,56 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { getSchedules, countMissedRuns, getFreshnessCutoff } = require('../src/schedule');
+
+const schedule = (cron, timezone = 'UTC') => getSchedules({ schedule: cron, timezone })[0];
+
+describe('countMissedRuns', () => {
+  it('counts runs after `since` up to and including `until`', () => {
+    const daily = schedule('0 2 * * *');
+
+    assert.equal(countMissedRuns(daily, new Date('2025-01-01T02:00:00Z'), new Date('2025-01-01T23:00:00Z')), 0);
+    assert.equal(countMissedRuns(daily, new Date('2025-01-01T02:00:00Z'), new Date('2025-01-02T02:00:00Z')), 1);
+    assert.equal(countMissedRuns(daily, new Date('2025-01-01T01:00:00Z'), new Date('2025-01-04T03:00:00Z')), 4);
+  });
+
+  it('stops at the limit', () => {
+    const hourly = schedule('0 * * * *');
+
+    assert.equal(countMissedRuns(hourly, new Date('2025-01-01T00:00:00Z'), new Date('2025-02-01T00:00:00Z'), 10), 10);
+  });
+
+  it('counts in the schedule timezone', () => {
+    // 02:00 in Seoul is 17:00 UTC the day before
+    const seoul = schedule('0 2 * * *', 'Asia/Seoul');
+
+    assert.equal(countMissedRuns(seoul, new Date('2025-01-01T12:00:00Z'), new Date('2025-01-01T16:59:59Z')), 0);
+    assert.equal(countMissedRuns(seoul, new Date('2025-01-01T12:00:00Z'), new Date('2025-01-01T17:00:00Z')), 1);
+  });
+});
+
+describe('getFreshnessCutoff', () => {
+  it('returns the run before the most recent one', () => {
+    const hourly = schedule('0 * * * *');
+
+    assert.deepEqual(getFreshnessCutoff(hourly, new Date('2025-01-01T10:30:00Z')), new Date('2025-01-01T09:00:00Z'));
+  });
+
+  it('counts a run starting right now as the most recent one', () => {
+    const hourly = schedule('0 * * * *');
+
+    assert.deepEqual(getFreshnessCutoff(hourly, new Date('2025-01-01T10:00:00Z')), new Date('2025-01-01T09:00:00Z'));
+  });
+
+  it('works across days for daily schedules', () => {
+    const daily = schedule('0 2 * * *');
+
+    assert.deepEqual(getFreshnessCutoff(daily, new Date('2025-01-03T01:00:00Z')), new Date('2025-01-01T02:00:00Z'));
+  });
+});
+
+describe('getSchedules', () => {
+  it('rejects invalid cron expressions and duplicate names', () => {
+    assert.throws(() => getSchedules({ schedules: [{ name: 'a', cron: 'not a cron' }] }), /invalid cron/);
+    assert.throws(() => getSchedules({ schedules: [{ name: 'a', cron: '0 * * * *' }, { name: 'a', cron: '0 2 * * *' }] }), /Duplicate/);
+  });
+});
@@ -0,0 +1,129 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const BaseUploader = require('../../src/uploaders/base');
+const GoogleDriveUploader = require('../../src/uploaders/gdrive');
+const { formatTimestamp } = require('../../src/utils');
+
+const DAY = 24 * 3600 * 1000;
+
+/**
+ * Build a listFiles() entry for a backup taken `daysAgo` days ago
+ * @param {string} prefix - e.g. 'folder-data'
+ * @param {number} daysAgo - Age of the backup
+ * @param {number} [baseDaysAgo] - Age of the full backup an incremental backup depends on
+ * @returns {Object} { name, size, createdTime }
+ */
+function backup(prefix, daysAgo, baseDaysAgo) {
+  const date = new Date(Date.now() - daysAgo * DAY);
+  const extension = baseDaysAgo === undefined
+    ? 'tar.gz'
+    : `incr-${formatTimestamp(new Date(Date.now() - baseDaysAgo * DAY))}.tar.gz`;
+
+  return { name: `${prefix}-${formatTimestamp(date)}.${extension}`, size: 1, createdTime: date.toISOString() };
+}
+
+const expiredNames = (files, ...args) => new BaseUploader({}).selectExpiredBackups(files, ...args).map(file => file.name).sort();
+
+describe('BaseUploader.selectExpiredBackups', () => {
+  it('deletes backups older than the retention days only', () => {
+    const files = [backup('folder-data', 1), backup('folder-data', 10), backup('db-app', 20)];
+
+    assert.deepEqual(expiredNames(files, 7), [files[2].name, files[1].name].sort());
+  });
+
+  it('never deletes files it did not create, or repository chunks', () => {
+    const old = new Date(Date.now() - 100 * DAY).toISOString();
+    const files = [
+      { name: 'notes.txt', size: 1, createdTime: old },
+      { name: 'db-export-20200101-000000.sql', size: 1, createdTime: old },
+      { name: `chunk-${'a'.repeat(64)}`, size: 1, createdTime: old }
+    ];
+
+    assert.deepEqual(expiredNames(files, 7), []);
+  });
+
+  it('keeps the newest min_keep backups of each target however old', () => {
+    const files = [backup('folder-data', 30), backup('folder-data', 40), backup('folder-data', 50), backup('db-app', 60)];
+
+    assert.deepEqual(expiredNames(files, { days: 7, min_keep: 2 }), [files[2].name]);
+  });
+
+  it('keeps every backup of skipped targets', () => {
+    const files = [backup('folder-data', 30), backup('db-app', 30)];
+
+    assert.deepEqual(expiredNames(files, 7, {}, ['db-app']), [files[0].name]);
+  });
+
+  it('applies per-target policies', () => {
+    const files = [backup('folder-data', 10), backup('db-app', 10)];
+
+    assert.deepEqual(expiredNames(files, 7, { 'folder-data': 30 }), [files[1].name]);
+  });
+
+  it('keeps an expired full backup while a kept incremental backup depends on it', () => {
+    const base = backup('folder-data', 10);
+    const oldBase = backup('folder-data', 20);
+    const files = [
+      base,
+      backup('folder-data', 1, 10),
+      oldBase,
+      backup('folder-data', 15, 20)
+    ];
+
+    assert.deepEqual(expiredNames(files, 7), [oldBase.name, files[3].name].sort());
+  });
+});
+
+/**
+ * In-memory uploader holding a fixed set of files, some of them locked
+ */
+class MemoryUploader extends BaseUploader {
+  constructor(files, locked = []) {
+    super({});
+    this.files = files;
+    this.locked = new Set(locked);
+  }
+
+  async listFiles() {
+    return this.files;
+  }
+
+  async deleteFile(remotePath, fileName) {
+    this.files = this.files.filter(file => file.name !== fileName);
+  }
+
+  async getLockReason(remotePath, fileName) {
+    return this.locked.has(fileName) ? 'legal hold' : null;
+  }
+}
+
+describe('BaseUploader.cleanupOldBackups', () => {
+  it('deletes expired backups except locked ones and returns the count', async () => {
+    const files = [backup('folder-data', 1), backup('folder-data', 10), backup('folder-data', 20)];
+    const uploader = new MemoryUploader(files, [files[2].name]);
+
+    assert.equal(await uploader.cleanupOldBackups('backups', 7), 1);
+    assert.deepEqual(uploader.files.map(file => file.name), [files[0].name, files[2].name]);
+  });
+
+  it('deletes exactly what planCleanup() plans and leaves the files untouched while planning', async () => {
+    const files = [backup('folder-data', 1), backup('folder-data', 10), backup('folder-data', 20)];
+    const uploader = new MemoryUploader([...files], [files[2].name]);
+
+    const plan = await uploader.planCleanup('backups', 7);
+    assert.deepEqual(plan.toDelete.map(file => file.name), [files[1].name]);
+    assert.deepEqual(plan.locked, [{ file: files[2], reason: 'legal hold' }]);
+    assert.equal(uploader.files.length, 3);
+
+    await uploader.cleanupOldBackups('backups', 7);
+    assert.deepEqual(uploader.files.map(file => file.name), [files[0].name, files[2].name]);
+  });
+
+  it('returns 0 when there is nothing to clean', async () => {
+    assert.equal(await new MemoryUploader([]).cleanupOldBackups('backups', 7), 0);
+  });
+
+  it('is used by every uploader that does not add its own cleanup', () => {
+    assert.equal(GoogleDriveUploader.prototype.cleanupOldBackups, BaseUploader.prototype.cleanupOldBackups);
+  });
+});
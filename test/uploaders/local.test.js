@@ -0,0 +1,6 @@
+const path = require('path');
+const { describeUploaderContract } = require('../helpers/uploader-contract');
+
+describeUploaderContract('local uploader', {
+  createConfig: (runId, workDir) => ({ type: 'local', path: path.join(workDir, runId) })
+});
@@ -0,0 +1,120 @@
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const S3SdkUploader = require('../../src/uploaders/s3-sdk');
+
+/**
+ * In-memory stand-in for the S3 multipart API
+ */
+class FakeS3Client {
+  constructor() {
+    this.uploads = new Map();
+    this.calls = [];
+    this.failComplete = 0;
+  }
+
+  async send(command) {
+    const name = command.constructor.name;
+    const input = command.input;
+    this.calls.push({ name, partNumber: input.PartNumber });
+
+    switch (name) {
+      case 'CreateMultipartUploadCommand': {
+        const uploadId = `upload-${this.uploads.size + 1}`;
+        this.uploads.set(uploadId, new Map());
+        return { UploadId: uploadId };
+      }
+      case 'UploadPartCommand':
+        this.uploads.get(input.UploadId).set(input.PartNumber, `"etag-${input.PartNumber}"`);
+        return { ETag: `"etag-${input.PartNumber}"` };
+      case 'ListPartsCommand':
+        return {
+          Parts: [...this.uploads.get(input.UploadId)].map(([partNumber, etag]) => ({ PartNumber: partNumber, ETag: etag })),
+          IsTruncated: false
+        };
+      case 'CompleteMultipartUploadCommand':
+        if (this.failComplete > 0) {
+          this.failComplete--;
+          throw new Error('connection reset');
+        }
+        this.uploads.delete(input.UploadId);
+        return {};
+      default:
+        throw new Error(`Unexpected command ${name}`);
+    }
+  }
+
+  count(name) {
+    return this.calls.filter(call => call.name === name).length;
+  }
+}
+
+describe('S3SdkUploader multipart resume', () => {
+  const MB = 1024 * 1024;
+  let workDir;
+  let filePath;
+
+  before(() => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-s3-'));
+    filePath = path.join(workDir, 'data_2025-01-01T00-00-00.tar.gz');
+    fs.writeFileSync(filePath, Buffer.alloc(11 * MB, 1));
+  });
+
+  after(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const createUploader = (client) => {
+    const uploader = new S3SdkUploader({ type: 's3-sdk', bucket: 'backups', part_size_mb: 5 });
+    uploader.s3Client = client;
+    uploader.initialized = true;
+    return uploader;
+  };
+
+  it('uploads only the missing parts when the same run tries again', async () => {
+    const client = new FakeS3Client();
+    const uploader = createUploader(client);
+    client.failComplete = 1;
+
+    await assert.rejects(uploader.uploadFile(filePath, '', path.basename(filePath)), /connection reset/);
+    assert.equal(client.count('UploadPartCommand'), 3);
+
+    // Part 3 did not survive on the server
+    client.uploads.get('upload-1').delete(3);
+    client.calls = [];
+
+    await uploader.uploadFile(filePath, '', path.basename(filePath));
+
+    assert.equal(client.count('CreateMultipartUploadCommand'), 0);
+    assert.deepEqual(client.calls.filter(call => call.name === 'UploadPartCommand').map(call => call.partNumber), [3]);
+    assert.equal(client.count('CompleteMultipartUploadCommand'), 1);
+    assert.equal(uploader.pendingUploads.size, 0);
+  });
+
+  it('starts a new upload after a restart instead of reading state from disk', async () => {
+    const client = new FakeS3Client();
+    client.failComplete = 1;
+
+    await assert.rejects(createUploader(client).uploadFile(filePath, '', path.basename(filePath)));
+    client.calls = [];
+
+    // A new process has no record of the earlier upload; cleanup aborts it once it is stale
+    await createUploader(client).uploadFile(filePath, '', path.basename(filePath));
+
+    assert.equal(client.count('CreateMultipartUploadCommand'), 1);
+    assert.equal(client.count('UploadPartCommand'), 3);
+    assert.ok(client.uploads.has('upload-1'));
+  });
+});
+
+describe('S3SdkUploader repository support', () => {
+  it('rejects repository mode only with an Object Lock retention mode', () => {
+    const create = objectLock => new S3SdkUploader({ type: 's3-sdk', bucket: 'backups', object_lock: objectLock });
+
+    assert.equal(create(undefined).supportsRepository(), true);
+    assert.equal(create({ legal_hold: true }).supportsRepository(), true);
+    assert.equal(create({ mode: 'governance' }).supportsRepository(), false);
+  });
+});
@@ -0,0 +1,248 @@
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after } = require('node:test');
+const WebdavUploader = require('../../src/uploaders/webdav');
+
+const MB = 1024 * 1024;
+const FILES_PATH = '/remote.php/dav/files/alice';
+
+/**
+ * Minimal Nextcloud stand-in: MKCOL, PUT, DELETE, canned PROPFIND replies,
+ * and MOVE of <upload>/.file assembling the uploaded chunks in name order
+ */
+function createServer() {
+  const state = { requests: [], files: new Map(), propfind: '', failMove: false };
+
+  const server = http.createServer((req, res) => {
+    const body = [];
+    req.on('data', data => body.push(data));
+    req.on('end', () => {
+      const pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+      state.requests.push({ method: req.method, path: pathname, headers: req.headers });
+
+      switch (req.method) {
+        case 'MKCOL':
+          res.statusCode = 201;
+          break;
+        case 'PUT':
+          state.files.set(pathname, Buffer.concat(body));
+          res.statusCode = 201;
+          break;
+        case 'DELETE':
+          for (const name of [...state.files.keys()].filter(name => name.startsWith(pathname))) {
+            state.files.delete(name);
+          }
+          res.statusCode = 204;
+          break;
+        case 'PROPFIND':
+          res.statusCode = 207;
+          res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+          return res.end(state.propfind);
+        case 'MOVE': {
+          if (state.failMove) {
+            res.statusCode = 507;
+            return res.end('<d:error xmlns:d="DAV:" xmlns:s="http://sabredav.org/ns"><s:message>Insufficient Storage</s:message></d:error>');
+          }
+
+          const uploadDir = `${path.posix.dirname(pathname)}/`;
+          const chunks = [...state.files.keys()].filter(name => name.startsWith(uploadDir)).sort();
+          const destination = decodeURIComponent(new URL(req.headers.destination).pathname);
+
+          state.files.set(destination, Buffer.concat(chunks.map(name => state.files.get(name))));
+          chunks.forEach(name => state.files.delete(name));
+          res.statusCode = 201;
+          break;
+        }
+        default:
+          res.statusCode = 405;
+      }
+
+      res.end();
+    });
+  });
+
+  return { server, state };
+}
+
+describe('WebdavUploader', () => {
+  let workDir;
+  let server;
+  let state;
+  let baseUrl;
+
+  before(async () => {
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-webdav-'));
+    ({ server, state } = createServer());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}${FILES_PATH}`;
+  });
+
+  after(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  const createUploader = async () => {
+    const uploader = new WebdavUploader({ type: 'webdav', url: baseUrl, folder_path: 'Backups', chunk_size_mb: 5 });
+    await uploader.initialize();
+    state.requests = [];
+    return uploader;
+  };
+
+  describe('PROPFIND parsing', () => {
+    it('reads Nextcloud sizes, modification times, checksums and percent-encoded names', async () => {
+      const sha256 = crypto.createHash('sha256').update('data').digest('hex');
+      state.propfind = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:" xmlns:s="http://sabredav.org/ns" xmlns:oc="http://owncloud.org/ns">
+  <d:response>
+    <d:href>${FILES_PATH}/Backups/</d:href>
+    <d:propstat>
+      <d:prop><d:resourcetype><d:collection/></d:resourcetype><d:quota-available-bytes>1048576</d:quota-available-bytes></d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+    <d:propstat>
+      <d:prop><d:getcontentlength/><oc:checksums/></d:prop>
+      <d:status>HTTP/1.1 404 Not Found</d:status>
+    </d:propstat>
+  </d:response>
+  <d:response>
+    <d:href>${FILES_PATH}/Backups/folder-my%20data-20250101-020000.tar.gz</d:href>
+    <d:propstat>
+      <d:prop>
+        <d:resourcetype/>
+        <d:getcontentlength>5368709120</d:getcontentlength>
+        <d:getlastmodified>Wed, 01 Jan 2025 02:00:07 GMT</d:getlastmodified>
+        <oc:checksums><oc:checksum>SHA1:da39a3ee MD5:d41d8cd9 SHA256:${sha256.toUpperCase()}</oc:checksum></oc:checksums>
+      </d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+  </d:response>
+  <d:response>
+    <d:href>${FILES_PATH}/Backups/db-caf%C3%A9-20250102-020000.sql.gz</d:href>
+    <d:propstat>
+      <d:prop><d:resourcetype/><d:getcontentlength>42</d:getcontentlength><d:getlastmodified>Thu, 02 Jan 2025 02:00:03 GMT</d:getlastmodified></d:prop>
+      <d:status>HTTP/1.1 200 OK</d:status>
+    </d:propstat>
+    <d:propstat>
+      <d:prop><oc:checksums/></d:prop>
+      <d:status>HTTP/1.1 404 Not Found</d:status>
+    </d:propstat>
+  </d:response>
+</d:multistatus>`;
+
+      const uploader = await createUploader();
+
+      assert.deepEqual(await uploader.listFiles('Backups'), [
+        {
+          name: 'db-café-20250102-020000.sql.gz',
+          size: 42,
+          createdTime: '2025-01-02T02:00:03.000Z',
+          id: `${FILES_PATH}/Backups/db-caf%C3%A9-20250102-020000.sql.gz`
+        },
+        {
+          name: 'folder-my data-20250101-020000.tar.gz',
+          size: 5368709120,
+          createdTime: '2025-01-01T02:00:07.000Z',
+          id: `${FILES_PATH}/Backups/folder-my%20data-20250101-020000.tar.gz`
+        }
+      ]);
+      assert.equal(state.requests[0].headers.depth, '1');
+
+      const [folder, file, other] = await uploader.propfind(uploader.resolveFolderUrl('Backups'), 1);
+      assert.equal(folder.isCollection, true);
+      assert.equal(folder.quotaAvailable, 1048576);
+      assert.equal(file.sha256, sha256);
+      assert.equal(other.sha256, null);
+    });
+
+    it('reads Apache mod_dav replies with other namespace prefixes', async () => {
+      state.propfind = `<?xml version="1.0" encoding="utf-8"?>
+<D:multistatus xmlns:D="DAV:" xmlns:ns0="DAV:">
+<D:response xmlns:lp1="DAV:">
+<D:href>/dav/Backups/folder-data-20250103-020000.tar.gz</D:href>
+<D:propstat>
+<D:prop>
+<lp1:resourcetype/>
+<lp1:getcontentlength>7</lp1:getcontentlength>
+<lp1:getlastmodified>Fri, 03 Jan 2025 02:00:00 GMT</lp1:getlastmodified>
+</D:prop>
+<D:status>HTTP/1.1 200 OK</D:status>
+</D:propstat>
+</D:response>
+</D:multistatus>`;
+
+      const uploader = await createUploader();
+      const [file] = await uploader.listFiles('Backups');
+
+      assert.equal(file.name, 'folder-data-20250103-020000.tar.gz');
+      assert.equal(file.size, 7);
+      assert.equal(file.createdTime, '2025-01-03T02:00:00.000Z');
+    });
+  });
+
+  describe('chunked upload', () => {
+    let filePath;
+    let content;
+    let checksum;
+    const fileName = 'folder-my data-20250101-020000.tar.gz';
+
+    before(() => {
+      content = crypto.randomBytes(12 * MB + 5);
+      checksum = crypto.createHash('sha256').update(content).digest('hex');
+      filePath = path.join(workDir, fileName);
+      fs.writeFileSync(filePath, content);
+    });
+
+    it('sends numbered chunks and assembles them with MOVE', async () => {
+      state.failMove = false;
+      const uploader = await createUploader();
+
+      await uploader.uploadFile(filePath, 'Backups', fileName, { checksum });
+
+      const [mkcol, ...rest] = state.requests;
+      const puts = rest.filter(request => request.method === 'PUT');
+      const move = rest.find(request => request.method === 'MOVE');
+      const uploadDir = mkcol.path;
+
+      assert.equal(mkcol.method, 'MKCOL');
+      assert.ok(uploadDir.startsWith('/remote.php/dav/uploads/alice/backup-'));
+      assert.deepEqual(puts.map(request => request.path), ['00001', '00002', '00003'].map(name => `${uploadDir}/${name}`));
+      assert.deepEqual(puts.map(request => Number(request.headers['content-length'])), [5 * MB, 5 * MB, 2 * MB + 5]);
+
+      assert.equal(move.path, `${uploadDir}/.file`);
+      assert.equal(move.headers.destination, `${baseUrl}/Backups/folder-my%20data-20250101-020000.tar.gz`);
+      assert.equal(move.headers['oc-total-length'], String(content.length));
+      assert.equal(move.headers['oc-checksum'], `SHA256:${checksum}`);
+
+      assert.ok(state.files.get(`${FILES_PATH}/Backups/${fileName}`).equals(content));
+      assert.ok(![...state.files.keys()].some(name => name.startsWith(uploadDir)));
+    });
+
+    it('deletes the upload folder when the assembly fails', async () => {
+      state.failMove = true;
+      const uploader = await createUploader();
+
+      await assert.rejects(uploader.uploadFile(filePath, 'Backups', 'folder-data-20250102-020000.tar.gz', { checksum }), /507.*Insufficient Storage/);
+
+      const uploadDir = state.requests[0].path;
+      const last = state.requests.at(-1);
+      assert.equal(`${last.method} ${last.path}`, `DELETE ${uploadDir}`);
+      assert.ok(![...state.files.keys()].some(name => name.startsWith(uploadDir)));
+    });
+
+    it('uses a single PUT for files no larger than one chunk', async () => {
+      const small = path.join(workDir, 'db-app-20250101-020000.sql.gz');
+      fs.writeFileSync(small, 'dump');
+      const uploader = await createUploader();
+
+      await uploader.uploadFile(small, 'Backups', path.basename(small));
+
+      assert.deepEqual(state.requests.map(request => `${request.method} ${request.path}`), [`PUT ${FILES_PATH}/Backups/db-app-20250101-020000.sql.gz`]);
+    });
+  });
+});
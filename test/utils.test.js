@@ -0,0 +1,65 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+const { parseBackupFilename, generateTimestampFilename, getContentType } = require('../src/utils');
+
+describe('parseBackupFilename', () => {
+  it('parses a full folder backup', () => {
+    assert.deepEqual(parseBackupFilename('folder-my-data-20251010-143025.tar.gz'), {
+      kind: 'folder',
+      target: 'my-data',
+      timestamp: new Date('2025-10-10T14:30:25Z'),
+      extension: 'tar.gz',
+      type: 'full',
+      base: null
+    });
+  });
+
+  it('parses an encrypted incremental backup and its base', () => {
+    const parsed = parseBackupFilename('folder-src-20251012-020000.incr-20251010-020000.tar.gz.enc');
+
+    assert.equal(parsed.type, 'incremental');
+    assert.equal(parsed.extension, 'incr-20251010-020000.tar.gz.enc');
+    assert.deepEqual(parsed.timestamp, new Date('2025-10-12T02:00:00Z'));
+    assert.deepEqual(parsed.base, new Date('2025-10-10T02:00:00Z'));
+  });
+
+  it('parses database dumps and repository snapshots', () => {
+    assert.equal(parseBackupFilename('db-mydb-20251010-143025.tar.gz').kind, 'db');
+    assert.equal(parseBackupFilename('db-mydb-20251010-143025.dump.enc').target, 'mydb');
+    assert.equal(parseBackupFilename('snapshot-repo-20251010-143025.json').kind, 'snapshot');
+  });
+
+  it('keeps spaces and non-ASCII characters in target names', () => {
+    assert.equal(parseBackupFilename('folder-my project-20251010-143025.tar.gz').target, 'my project');
+    assert.equal(parseBackupFilename('folder-내 문서-20251010-143025.tar.gz').target, '내 문서');
+  });
+
+  it('rejects names this tool does not create', () => {
+    for (const name of [
+      'notes.txt',
+      'folder-data.tar.gz',
+      'db-export-20251010-143025.sql',
+      'folder-data-20251010-143025.dump',
+      'snapshot-repo-20251010-143025.tar.gz',
+      'folder-data-20251010-143025.tar.gz.sha256'
+    ]) {
+      assert.equal(parseBackupFilename(name), null, name);
+    }
+  });
+
+  it('round-trips names from generateTimestampFilename()', () => {
+    const parsed = parseBackupFilename(generateTimestampFilename('folder-data'));
+
+    assert.equal(parsed.target, 'data');
+    assert.ok(Math.abs(parsed.timestamp - Date.now()) < 5000);
+  });
+});
+
+describe('getContentType', () => {
+  it('maps backup files to a content type', () => {
+    assert.equal(getContentType('folder-data-20251010-143025.tar.gz'), 'application/gzip');
+    assert.equal(getContentType('snapshot-repo-20251010-143025.json'), 'application/json');
+    assert.equal(getContentType('folder-data-20251010-143025.tar.gz.enc'), 'application/octet-stream');
+    assert.equal(getContentType('db-app-20251010-143025.dump'), 'application/octet-stream');
+  });
+});